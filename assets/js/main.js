@@ -4,9 +4,14 @@
  */
 
 import {
+  calculateFieldAreas,
+  calculateFieldZones,
   calculateGeometry,
   distanceBetween,
   formatMeters,
+  formatMetersDelta,
+  formatSquareMeters,
+  formatSquareMetersDelta,
 } from "./modules/geometry.js";
 import {
   createHoverHandler,
@@ -20,17 +25,76 @@ import {
   calculateCanvasDimensions,
   drawDimensionLine,
   drawEditHandles,
+  drawCoverageRegions,
+  drawFielderTokens,
   drawLine,
   drawSnapIndicator,
+  drawSprayDensity,
+  drawSprayHits,
   fromCanvasWithZoom,
   toCanvas,
 } from "./modules/rendering.js";
-import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
+import { COVERAGE_COLORS, calculateCoverage } from "./modules/coverage.js";
+import { customAlert, customConfirm } from "./modules/dialogs.js";
+import { initFielderPanel } from "./modules/fielderPanel.js";
+import {
+  FIELDER_RADIUS,
+  FIELDER_ROLES,
+  getFielderUnderPoint,
+  getFielders,
+  initFormationStorage,
+  moveFielder,
+} from "./modules/fielders.js";
+import { checkFieldProfile } from "./modules/fieldRules.js";
+import { groupHistoryOnDrag, initHistoryControls } from "./modules/history.js";
+import { initSidePanels } from "./modules/panels.js";
+import { initRunnerPanel } from "./modules/runnerPanel.js";
+import { initRunnerStorage } from "./modules/runners.js";
+import {
+  calculateSprayDensity,
+  filterSprayHits,
+  getOutcomeColors,
+  getSprayChart,
+  initSprayStorage,
+} from "./modules/sprayChart.js";
+import { initSprayPanel } from "./modules/sprayPanel.js";
+import { initThrowPanel } from "./modules/throwPanel.js";
+import { findThrowPoint, getThrowPoints } from "./modules/throws.js";
+import { initProfileEditor } from "./modules/profileEditor.js";
+import { initFieldProfileStorage } from "./modules/profileStorage.js";
+import { initProfileTransfer } from "./modules/profileTransfer.js";
+import {
+  DEFAULT_FIELD_PROFILE_ID,
+  getFieldProfile,
+  getFieldRules,
+  isApproximateFieldProfile,
+  listFieldProfiles,
+  registerFieldProfile,
+} from "./modules/profiles.js";
+import {
+  getProfileLabel,
+  renderComparisonSelect,
+  renderProfileSelector,
+} from "./modules/profileSelector.js";
+import { store } from "./modules/state.js";
+import { translate } from "./modules/text.js";
+import { initScenarioLibrary } from "./modules/scenarioLibrary.js";
+import {
+  captureSnapshot,
+  initScenarioStorage,
+  snapshotToState,
+} from "./modules/scenarios.js";
+import {
+  initShareButton,
+  SHARE_VERSION,
+  watchSharedScenario,
+} from "./modules/shareLink.js";
+import { persistWorkspace, restoreWorkspace } from "./modules/workspace.js";
 
 (() => {
   // DOM elements
   const canvas = document.getElementById("fullFieldCanvas");
-  const fieldButtons = document.querySelectorAll("[data-fullfield]");
+  const fieldSelector = document.getElementById("fieldProfileSelector");
   const resetEdits = document.getElementById("resetEdits");
   const zoomIn = document.getElementById("zoomIn");
   const zoomOut = document.getElementById("zoomOut");
@@ -40,6 +104,14 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
   const tooltip = document.getElementById("measurementTooltip");
   const infoToggle = document.getElementById("infoToggle");
   const infoCopy = document.getElementById("infoCopy");
+  const comparisonSelect = document.getElementById("comparisonProfileSelect");
+  const comparisonLegend = document.getElementById("comparisonLegend");
+  const ruleCheckList = document.getElementById("ruleCheck");
+  const deltaTargets = Object.fromEntries(
+    Array.from(document.querySelectorAll("[data-dimension-delta]")).map(
+      (element) => [element.dataset.dimensionDelta, element],
+    ),
+  );
   const dimensionTargets = {
     first: document.querySelector("[data-dimension='first']"),
     second: document.querySelector("[data-dimension='second']"),
@@ -47,12 +119,142 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     back: document.querySelector("[data-dimension='back']"),
     diagonal: document.querySelector("[data-dimension='diagonal']"),
     width: document.querySelector("[data-dimension='width']"),
+    fieldArea: document.querySelector("[data-dimension='fieldArea']"),
+    sectorArea: document.querySelector("[data-dimension='sectorArea']"),
+    infieldArea: document.querySelector("[data-dimension='infieldArea']"),
+    outfieldArea: document.querySelector("[data-dimension='outfieldArea']"),
+    areaPerFielder: document.querySelector("[data-dimension='areaPerFielder']"),
   };
+  const AREA_DIMENSIONS = new Set([
+    "fieldArea",
+    "sectorArea",
+    "infieldArea",
+    "outfieldArea",
+    "areaPerFielder",
+  ]);
 
   if (!canvas) return;
 
   const ctx = canvas.getContext("2d");
 
+  // Overlay color for the comparison profile
+  const COMPARISON_COLOR = "#ffd166";
+
+  // Line color for the throw picked from the throw matrix
+  const THROW_COLOR = "#ff9f43";
+
+  const FIELDER_LABELS = Object.fromEntries(
+    FIELDER_ROLES.map((role) => [role.id, role.short]),
+  );
+
+  /**
+   * Fielders currently on the field
+   * @returns {Array<Fielder>}
+   */
+  const getCurrentFielders = () => {
+    const state = store.getState();
+    return getFielders(
+      state,
+      calculateGeometry(state.fieldProfile, state.editablePoints),
+    );
+  };
+
+  let coverageCache = { key: null, regions: [] };
+
+  let sprayCache = { key: null, layer: null };
+
+  /**
+   * Imported hits that pass the filters, with their density
+   * Recalculated only when the hits or filters change.
+   * @returns {{hits: Array<SprayHit>, colors: Map<string, string>, density: SprayDensity|null}|null}
+   */
+  const getSprayLayer = () => {
+    const state = store.getState();
+    const chart = getSprayChart();
+    if (!chart) return null;
+
+    const key = [chart, state.sprayBatter, state.sprayHiddenOutcomes];
+    if (
+      sprayCache.key &&
+      key.every((value, index) => value === sprayCache.key[index])
+    ) {
+      return sprayCache.layer;
+    }
+
+    const hits = filterSprayHits(chart.hits, {
+      batter: state.sprayBatter,
+      hiddenOutcomes: state.sprayHiddenOutcomes,
+    });
+    const layer = {
+      hits,
+      colors: getOutcomeColors(chart.hits),
+      density: calculateSprayDensity(hits),
+    };
+    sprayCache = { key, layer };
+    return layer;
+  };
+
+  /**
+   * Responsibility regions of the current fielders
+   * Recalculated only when the field, fielders or speeds change.
+   * @returns {Array<CoverageRegion>} Regions in fielder order
+   */
+  const getCurrentCoverage = () => {
+    const state = store.getState();
+    const key = [
+      state.fieldProfile,
+      state.editablePoints,
+      state.formationId,
+      state.fielders,
+      state.coverageWeighted,
+      state.fielderSpeeds,
+    ];
+    if (
+      coverageCache.key &&
+      key.every((value, index) => value === coverageCache.key[index])
+    ) {
+      return coverageCache.regions;
+    }
+
+    const geometry = calculateGeometry(
+      state.fieldProfile,
+      state.editablePoints,
+    );
+    const regions = calculateCoverage(
+      calculateFieldZones(geometry).field,
+      getFielders(state, geometry),
+      { speeds: state.coverageWeighted ? state.fielderSpeeds || {} : null },
+    );
+    coverageCache = { key, regions };
+    return regions;
+  };
+
+  /**
+   * Bases and shown fielders for the throw matrix
+   * @returns {Array<ThrowPoint>}
+   */
+  const getCurrentThrowPoints = () => {
+    const state = store.getState();
+    const geometry = calculateGeometry(
+      state.fieldProfile,
+      state.editablePoints,
+    );
+    return getThrowPoints(
+      geometry,
+      state.showFielders ? getFielders(state, geometry) : [],
+    );
+  };
+
+  /**
+   * Fielder token under a field point, if the layer is shown
+   * @param {Point} fieldPos - Point in field coordinates
+   * @returns {string|null} Role id
+   */
+  const getFielderUnderMouse = (fieldPos) =>
+    store.getState().showFielders
+      ? getFielderUnderPoint(fieldPos, getCurrentFielders())
+      : null;
+
   // Canvas dimensions (updated on resize)
   let canvasDimensions = {
     width: 0,
@@ -291,79 +493,6 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     return nearest;
   };
 
-  /**
-   * Custom confirm dialog
-   * @param {string} message - Message to display
-   * @param {string} title - Dialog title (optional)
-   * @returns {Promise<boolean>} True if OK clicked, false if cancelled
-   */
-  const customConfirm = (message, title = "Vahvistus") => {
-    return new Promise((resolve) => {
-      const modal = document.getElementById("confirmModal");
-      const titleEl = document.getElementById("confirmTitle");
-      const messageEl = document.getElementById("confirmMessage");
-      const okBtn = document.getElementById("confirmOk");
-      const cancelBtn = document.getElementById("confirmCancel");
-
-      titleEl.textContent = title;
-      messageEl.textContent = message;
-      modal.classList.add("active");
-
-      const cleanup = () => {
-        modal.classList.remove("active");
-        okBtn.removeEventListener("click", handleOk);
-        cancelBtn.removeEventListener("click", handleCancel);
-      };
-
-      const handleOk = () => {
-        cleanup();
-        resolve(true);
-      };
-
-      const handleCancel = () => {
-        cleanup();
-        resolve(false);
-      };
-
-      okBtn.addEventListener("click", handleOk);
-      cancelBtn.addEventListener("click", handleCancel);
-    });
-  };
-
-  /**
-   * Custom alert dialog
-   * @param {string} message - Message to display
-   * @param {string} title - Dialog title (optional)
-   * @returns {Promise<void>}
-   */
-  const customAlert = (message, title = "Ilmoitus") => {
-    return new Promise((resolve) => {
-      const modal = document.getElementById("confirmModal");
-      const titleEl = document.getElementById("confirmTitle");
-      const messageEl = document.getElementById("confirmMessage");
-      const okBtn = document.getElementById("confirmOk");
-      const cancelBtn = document.getElementById("confirmCancel");
-
-      titleEl.textContent = title;
-      messageEl.textContent = message;
-      cancelBtn.style.display = "none"; // Hide cancel button for alerts
-      modal.classList.add("active");
-
-      const cleanup = () => {
-        modal.classList.remove("active");
-        cancelBtn.style.display = ""; // Restore cancel button
-        okBtn.removeEventListener("click", handleOk);
-      };
-
-      const handleOk = () => {
-        cleanup();
-        resolve();
-      };
-
-      okBtn.addEventListener("click", handleOk);
-    });
-  };
-
   /**
    * Check if mouse is over a custom measurement handle
    * @param {Point} fieldPos - Mouse position in field coordinates
@@ -465,60 +594,131 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
 
   /**
    * Update dimension displays
+   * @param {Object} values - Measurements and areas of the active profile
+   * @param {Object|null} comparisonValues - Same for the compared profile
    */
-  const updateDimensions = (values) => {
+  const updateDimensions = (values, comparisonValues = null) => {
     Object.entries(dimensionTargets).forEach(([key, element]) => {
       if (element && values[key] !== undefined) {
-        element.textContent = formatMeters(values[key]);
+        element.textContent = AREA_DIMENSIONS.has(key)
+          ? formatSquareMeters(values[key])
+          : formatMeters(values[key]);
+      }
+    });
+    Object.entries(deltaTargets).forEach(([key, element]) => {
+      if (!comparisonValues || comparisonValues[key] === undefined) {
+        element.textContent = "";
+        return;
       }
+      const delta = comparisonValues[key] - values[key];
+      element.textContent = AREA_DIMENSIONS.has(key)
+        ? formatSquareMetersDelta(delta)
+        : formatMetersDelta(delta);
     });
   };
 
+  let ruleCheckedProfile = null;
+
   /**
-   * Main field drawing function
+   * List dimensions that drift from the official values
+   * Runs only when the profile changes.
+   * @param {FieldProfile} fieldProfile - Active profile
    */
-  const drawField = () => {
-    const state = store.getState();
-    if (!state.fieldProfile) {
-      return;
-    }
-    const geometry = calculateGeometry(
-      state.fieldProfile,
-      state.editablePoints,
-      canvasDimensions.scale,
+  const updateRuleCheck = (fieldProfile) => {
+    if (!ruleCheckList || fieldProfile === ruleCheckedProfile) return;
+    ruleCheckedProfile = fieldProfile;
+
+    const rules = getFieldRules(fieldProfile.id);
+    const drifts = checkFieldProfile(fieldProfile, rules);
+    ruleCheckList.innerHTML = "";
+
+    Object.values(dimensionTargets).forEach((element) =>
+      element?.parentElement.classList.remove("rule-drift"),
     );
 
-    // Update state with initialized editable points if they were null
-    if (
-      state.editablePoints.homePathStart === null ||
-      state.editablePoints.homePathMid === null ||
-      state.editablePoints.homePathEnd === null
-    ) {
-      store.setState({
-        editablePoints: geometry.initializedEditablePoints,
-        snapTargets: geometry.snapTargets,
-      });
+    drifts.forEach(({ dimension, official, derived, drift }) => {
+      dimensionTargets[dimension]?.parentElement.classList.add("rule-drift");
+      const item = document.createElement("li");
+      item.textContent = translate(
+        "ruleCheck.drift",
+        "{name}: piirroksessa {derived}, virallinen {official} ({drift})",
+      )
+        .replace(
+          "{name}",
+          translate(`pesiskentta.dimensions.${dimension}`, dimension),
+        )
+        .replace("{derived}", formatMeters(derived))
+        .replace("{official}", formatMeters(official))
+        .replace("{drift}", formatMetersDelta(drift));
+      ruleCheckList.appendChild(item);
+    });
+
+    if (rules && drifts.length === 0) {
+      const item = document.createElement("li");
+      item.className = "rule-check__ok";
+      item.textContent = translate(
+        "ruleCheck.ok",
+        "Mitat vastaavat virallisia arvoja",
+      );
+      ruleCheckList.appendChild(item);
     }
 
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (isApproximateFieldProfile(fieldProfile.id)) {
+      const item = document.createElement("li");
+      item.className = "rule-check__note";
+      item.textContent = translate(
+        "ruleCheck.approximate",
+        "Juniorikentän mitat ovat likimääräisiä eivätkä perustu sääntökirjan taulukkoon",
+      );
+      ruleCheckList.appendChild(item);
+    }
+  };
 
-    const { origin, scale } = canvasDimensions;
+  /**
+   * Display name of the compared profile
+   * @returns {string}
+   */
+  const getComparisonLabel = () => {
+    const { comparisonProfile } = store.getState();
+    const entry = listFieldProfiles().find(
+      (item) => item.profile.id === comparisonProfile?.id,
+    );
+    return entry ? getProfileLabel(entry) : comparisonProfile?.id || "";
+  };
 
-    // Apply zoom and pan transformation
-    ctx.save();
-    ctx.translate(state.panX, state.panY);
-    ctx.scale(state.zoomLevel, state.zoomLevel);
+  /**
+   * Update comparison legend above the dimension list
+   */
+  const updateComparisonLegend = () => {
+    if (!comparisonLegend) return;
+    const { comparisonProfile } = store.getState();
+    comparisonLegend.hidden = !comparisonProfile;
+    if (comparisonProfile) {
+      comparisonLegend.textContent = translate(
+        "comparison.legend",
+        "Keltainen kenttä: {name}. Erot kertovat, paljonko {name} on pidempi (+) tai lyhyempi (−) kuin valittu kenttä.",
+      ).replaceAll("{name}", getComparisonLabel());
+    }
+  };
 
-    // Reset measurement hit areas
-    const measurementHitAreas = [];
+  /**
+   * Draw field lines, bases and arcs for one profile
+   * Expects the zoom/pan transform to be applied already.
+   * @param {Object} geometry - Geometry from calculateGeometry
+   * @param {FieldProfile} fieldProfile - Profile the geometry belongs to
+   * @param {Object} [style]
+   * @param {string} [style.color] - Line and fill color
+   * @param {number} [style.alpha] - Opacity
+   */
+  const drawFieldMarkings = (
+    geometry,
+    fieldProfile,
+    { color = "#ffffff", alpha = 1 } = {},
+  ) => {
+    const { origin, scale } = canvasDimensions;
 
     // Helper to convert and draw line
-    const drawFieldLine = (
-      lineSegment,
-      strokeStyle = "#ffffff",
-      lineWidth = 2,
-    ) => {
+    const drawFieldLine = (lineSegment, strokeStyle = color, lineWidth = 2) => {
       ctx.strokeStyle = strokeStyle;
       ctx.lineWidth = lineWidth;
       const a = toCanvas(lineSegment.start, origin, scale);
@@ -526,8 +726,8 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
       drawLine(ctx, a, b);
     };
 
-    // Draw field geometry
     ctx.save();
+    ctx.globalAlpha = alpha;
 
     // Home left to home right (kotipesän sivurajoihin saakka)
     drawFieldLine({ start: geometry.homeLeft, end: geometry.homeRight });
@@ -560,19 +760,19 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
 
     // Home plate circle (filled)
     const homePlateCanvas = toCanvas({ x: 0, y: 0 }, origin, scale);
-    ctx.fillStyle = "#ffffff";
+    ctx.fillStyle = color;
     ctx.beginPath();
     ctx.arc(
       homePlateCanvas.x,
       homePlateCanvas.y,
-      state.fieldProfile.homePlate.radius * scale,
+      fieldProfile.homePlate.radius * scale,
       0,
       Math.PI * 2,
     );
     ctx.fill();
 
     // Base arcs (filled, not full circles)
-    ctx.fillStyle = "#ffffff";
+    ctx.fillStyle = color;
 
     // First base - quarter circle
     const firstBaseCanvas = toCanvas(geometry.firstBaseCenter, origin, scale);
@@ -580,12 +780,8 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     const thirdBaseCanvas = toCanvas(geometry.thirdBaseCenter, origin, scale);
 
     const leftDir = {
-      x: Math.sin(
-        (state.fieldProfile.battingSector.leftAngleDeg * Math.PI) / 180,
-      ),
-      y: Math.cos(
-        (state.fieldProfile.battingSector.leftAngleDeg * Math.PI) / 180,
-      ),
+      x: Math.sin((fieldProfile.battingSector.leftAngleDeg * Math.PI) / 180),
+      y: Math.cos((fieldProfile.battingSector.leftAngleDeg * Math.PI) / 180),
     };
     const angleToSecond = Math.atan2(
       secondBaseCanvas.y - firstBaseCanvas.y,
@@ -598,7 +794,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     ctx.arc(
       firstBaseCanvas.x,
       firstBaseCanvas.y,
-      state.fieldProfile.baseRadius * scale,
+      fieldProfile.baseRadius * scale,
       leftLineAngle,
       angleToSecond,
     );
@@ -610,7 +806,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     ctx.arc(
       secondBaseCanvas.x,
       secondBaseCanvas.y,
-      state.fieldProfile.baseRadius * scale,
+      fieldProfile.baseRadius * scale,
       Math.PI / 2,
       Math.PI * 1.5,
     );
@@ -621,7 +817,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     ctx.arc(
       thirdBaseCanvas.x,
       thirdBaseCanvas.y,
-      state.fieldProfile.baseRadius * scale,
+      fieldProfile.baseRadius * scale,
       -Math.PI / 2,
       Math.PI / 2,
     );
@@ -630,18 +826,14 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     // Adjust base lines for proper rendering (compensate for scale)
     const lineHalfWidth = 1 / scale;
     const secondBaseLineY =
-      geometry.secondBaseCenter.y -
-      state.fieldProfile.baseRadius +
-      lineHalfWidth;
+      geometry.secondBaseCenter.y - fieldProfile.baseRadius + lineHalfWidth;
     const thirdBaseLineY =
-      geometry.thirdBaseCenter.y -
-      state.fieldProfile.baseRadius +
-      lineHalfWidth;
+      geometry.thirdBaseCenter.y - fieldProfile.baseRadius + lineHalfWidth;
 
     drawFieldLine({
       start: { x: geometry.secondBaseCenter.x, y: secondBaseLineY },
       end: {
-        x: geometry.secondBaseCenter.x + state.fieldProfile.baseLineLength,
+        x: geometry.secondBaseCenter.x + fieldProfile.baseLineLength,
         y: secondBaseLineY,
       },
     });
@@ -649,7 +841,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     drawFieldLine({
       start: { x: geometry.thirdBaseCenter.x, y: thirdBaseLineY },
       end: {
-        x: geometry.thirdBaseCenter.x - state.fieldProfile.baseLineLength,
+        x: geometry.thirdBaseCenter.x - fieldProfile.baseLineLength,
         y: thirdBaseLineY,
       },
     });
@@ -668,10 +860,9 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     // Front arc - single arc with correct angles
     const frontArcCenter = toCanvas({ x: 0, y: 0 }, origin, scale);
     const arcRadius =
-      (state.fieldProfile.frontArc.outerRadius +
-        state.fieldProfile.frontArc.innerRadius) /
+      (fieldProfile.frontArc.outerRadius + fieldProfile.frontArc.innerRadius) /
       2;
-    ctx.strokeStyle = "#ffffff";
+    ctx.strokeStyle = color;
     ctx.lineWidth = 2;
     ctx.beginPath();
     ctx.arc(
@@ -686,13 +877,13 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
 
     // Home arcs - half circles from 0 to π, centered at home line
     const homeLineCenter = toCanvas(
-      { x: 0, y: state.fieldProfile.homePlate.centerToHomeLine },
+      { x: 0, y: fieldProfile.homePlate.centerToHomeLine },
       origin,
       scale,
     );
     [
-      state.fieldProfile.homeArcs.innerRadius,
-      state.fieldProfile.homeArcs.outerRadius,
+      fieldProfile.homeArcs.innerRadius,
+      fieldProfile.homeArcs.outerRadius,
     ].forEach((radius) => {
       ctx.beginPath();
       ctx.arc(homeLineCenter.x, homeLineCenter.y, radius * scale, 0, Math.PI);
@@ -700,6 +891,79 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     });
 
     ctx.restore();
+  };
+
+  /**
+   * Main field drawing function
+   */
+  const drawField = () => {
+    const state = store.getState();
+    if (!state.fieldProfile) {
+      return;
+    }
+    const geometry = calculateGeometry(
+      state.fieldProfile,
+      state.editablePoints,
+      canvasDimensions.scale,
+    );
+
+    // Update state with initialized editable points if they were null
+    if (
+      state.editablePoints.homePathStart === null ||
+      state.editablePoints.homePathMid === null ||
+      state.editablePoints.homePathEnd === null
+    ) {
+      store.setState(
+        {
+          editablePoints: geometry.initializedEditablePoints,
+          snapTargets: geometry.snapTargets,
+        },
+        { history: false },
+      );
+    }
+
+    // Clear canvas
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const { origin, scale } = canvasDimensions;
+
+    // Apply zoom and pan transformation
+    ctx.save();
+    ctx.translate(state.panX, state.panY);
+    ctx.scale(state.zoomLevel, state.zoomLevel);
+
+    // Reset measurement hit areas
+    const measurementHitAreas = [];
+
+    // Draw field geometry
+    drawFieldMarkings(geometry, state.fieldProfile);
+
+    // Comparison profile on top, aligned on the home plate
+    const comparisonGeometry = state.comparisonProfile
+      ? calculateGeometry(
+          state.comparisonProfile,
+          { homePathStart: null, homePathMid: null, homePathEnd: null },
+          scale,
+        )
+      : null;
+    if (comparisonGeometry) {
+      drawFieldMarkings(comparisonGeometry, state.comparisonProfile, {
+        color: COMPARISON_COLOR,
+        alpha: 0.6,
+      });
+    }
+
+    /**
+     * Tooltip line with difference to the compared profile
+     * @param {string} key - Measurement key
+     * @returns {string} HTML snippet or empty string
+     */
+    const deltaNote = (key) =>
+      comparisonGeometry
+        ? `<br>${translate("comparison.delta", "Ero")} (${getComparisonLabel()}): ${formatMetersDelta(
+            comparisonGeometry.measurements[key] - geometry.measurements[key],
+          )}`
+        : "";
 
     // Draw measurements if enabled
     if (state.showMeasurementsOnField) {
@@ -723,7 +987,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
         labelOffsetPx: 15,
         tooltipData: {
           value: formatMeters(geometry.measurements.first),
-          description: "Etäisyys kotipesäviivasta ensimmäiseen pesään",
+          description: `Etäisyys kotipesäviivasta ensimmäiseen pesään${deltaNote("first")}`,
         },
       });
 
@@ -738,7 +1002,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
         labelOffsetPx: 0,
         tooltipData: {
           value: formatMeters(geometry.measurements.second),
-          description: "Etäisyys ensimmäisestä pesästä toiseen pesään",
+          description: `Etäisyys ensimmäisestä pesästä toiseen pesään${deltaNote("second")}`,
         },
       });
 
@@ -753,7 +1017,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
         labelOffsetPx: 0,
         tooltipData: {
           value: formatMeters(geometry.measurements.third),
-          description: "Etäisyys toisesta pesästä kolmanteen pesään",
+          description: `Etäisyys toisesta pesästä kolmanteen pesään${deltaNote("third")}`,
         },
       });
 
@@ -777,7 +1041,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
         labelOffsetPx: 0,
         tooltipData: {
           value: formatMeters(geometry.measurements.back),
-          description: "Kentän pituus kotipesäviivasta takarajaan",
+          description: `Kentän pituus kotipesäviivasta takarajaan${deltaNote("back")}`,
         },
       });
 
@@ -793,7 +1057,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
         labelOffsetPx: 0,
         tooltipData: {
           value: formatMeters(geometry.measurements.width),
-          description: "Kentän leveys takarajalla",
+          description: `Kentän leveys takarajalla${deltaNote("width")}`,
         },
       });
 
@@ -837,7 +1101,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
         labelOffsetPx: -15,
         tooltipData: {
           value: formatMeters(geometry.measurements.diagonal),
-          description: `Lipulle ${formatMeters(firstSegmentLength)}<br>Kotipesään ${formatMeters(secondSegmentLength)}`,
+          description: `Lipulle ${formatMeters(firstSegmentLength)}<br>Kotipesään ${formatMeters(secondSegmentLength)}${deltaNote("diagonal")}`,
         },
       });
 
@@ -851,7 +1115,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
         labelOffsetPx: -15,
         tooltipData: {
           value: formatMeters(geometry.measurements.diagonal),
-          description: `Lipulle ${formatMeters(firstSegmentLength)}<br>Kotipesään ${formatMeters(secondSegmentLength)}`,
+          description: `Lipulle ${formatMeters(firstSegmentLength)}<br>Kotipesään ${formatMeters(secondSegmentLength)}${deltaNote("diagonal")}`,
         },
       });
 
@@ -890,7 +1154,16 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     store.setState((prevState) => ({ ...prevState, customSnapTargets }));
 
     // Update dimension displays
-    updateDimensions(geometry.measurements);
+    updateDimensions(
+      { ...geometry.measurements, ...calculateFieldAreas(geometry) },
+      comparisonGeometry
+        ? {
+            ...comparisonGeometry.measurements,
+            ...calculateFieldAreas(comparisonGeometry),
+          }
+        : null,
+    );
+    updateRuleCheck(state.fieldProfile);
 
     // Draw edit handles if in edit mode
     if (state.editMode && state.showMeasurementsOnField) {
@@ -1080,6 +1353,60 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
       }
     }
 
+    // Throw picked from the throw matrix
+    if (state.highlightedThrow) {
+      const points = getCurrentThrowPoints();
+      const from = findThrowPoint(points, state.highlightedThrow.from);
+      const to = findThrowPoint(points, state.highlightedThrow.to);
+      if (from && to) {
+        drawDimensionLine(ctx, {
+          pointA: from,
+          pointB: to,
+          distance: distanceBetween(from, to),
+          offset: 0,
+          side: "on-line",
+          color: THROW_COLOR,
+          origin,
+          scale,
+        });
+      }
+    }
+
+    // Imported game hits under the fielders
+    const sprayLayer = state.showSpray ? getSprayLayer() : null;
+    if (sprayLayer) {
+      if (state.sprayHeat && sprayLayer.density) {
+        drawSprayDensity(ctx, { density: sprayLayer.density, origin, scale });
+      }
+      drawSprayHits(ctx, {
+        hits: sprayLayer.hits,
+        colors: sprayLayer.colors,
+        origin,
+        scale,
+      });
+    }
+
+    // Fielder layer on top of the field markings
+    if (state.showFielders) {
+      if (state.showCoverage) {
+        drawCoverageRegions(ctx, {
+          regions: getCurrentCoverage(),
+          fielders: getFielders(state, geometry),
+          colors: COVERAGE_COLORS,
+          origin,
+          scale,
+        });
+      }
+      drawFielderTokens(ctx, {
+        fielders: getFielders(state, geometry),
+        labels: FIELDER_LABELS,
+        draggingFielder: state.draggingFielder,
+        radius: FIELDER_RADIUS,
+        origin,
+        scale,
+      });
+    }
+
     // Debug: Draw all snap points
     if (state.showDebugSnap && state.customSnapTargets) {
       state.customSnapTargets.forEach((snapPoint) => {
@@ -1158,25 +1485,111 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     });
   }
 
+  /**
+   * Switch to another field profile
+   * @param {FieldProfile} profile - Profile to show
+   */
+  const selectFieldProfile = (profile) => {
+    store.setFieldProfile(profile);
+    if (store.getState().comparisonProfile?.id === profile.id) {
+      store.setComparisonProfile(null);
+    }
+    renderComparison();
+    // Reset zoom and pan when switching fields so view starts fresh
+    store.setZoom(1.0);
+    store.setPan(0, 0);
+    updateZoomDisplay();
+    resizeCanvas();
+  };
+
   // Field profile buttons
-  fieldButtons.forEach((button) => {
-    button.addEventListener("click", (event) => {
-      fieldButtons.forEach((btn) => btn.classList.remove("active"));
-      event.currentTarget.classList.add("active");
+  const renderFieldSelector = () => {
+    renderProfileSelector(fieldSelector, {
+      activeId: store.getState().fieldProfile.id,
+      dataAttribute: "fullfield",
+      onSelect: selectFieldProfile,
+    });
+  };
+
+  // Comparison overlay
+  const renderComparison = () => {
+    const { fieldProfile, comparisonProfile } = store.getState();
+    // Follow registry changes (deleted or re-imported profiles)
+    const current = comparisonProfile
+      ? getFieldProfile(comparisonProfile.id)
+      : null;
+    if (current !== comparisonProfile) {
+      store.setComparisonProfile(current);
+    }
+    renderComparisonSelect(comparisonSelect, {
+      activeId: fieldProfile.id,
+      comparisonId: current?.id || null,
+    });
+    updateComparisonLegend();
+  };
 
-      const profile =
-        event.currentTarget.dataset.fullfield === "men"
-          ? fieldProfileMen
-          : fieldProfileWomen;
+  if (comparisonSelect) {
+    comparisonSelect.addEventListener("change", () => {
+      store.setComparisonProfile(getFieldProfile(comparisonSelect.value));
+      updateComparisonLegend();
+      drawField();
+    });
+  }
 
+  initFieldProfileStorage();
+  initFormationStorage();
+  initRunnerStorage();
+  initSprayStorage();
+  restoreWorkspace(store);
+  renderFieldSelector();
+  renderComparison();
+  window.addEventListener("fieldProfilesChanged", () => {
+    renderFieldSelector();
+    renderComparison();
+  });
+
+  // Custom field profile editor
+  initSidePanels();
+  initProfileEditor({
+    getActiveProfile: () => store.getState().fieldProfile,
+    onPreview: (profile) => {
       store.setFieldProfile(profile);
-      // Reset zoom and pan when switching fields so view starts fresh
-      store.setZoom(1.0);
-      store.setPan(0, 0);
-      updateZoomDisplay();
       resizeCanvas();
-    });
+    },
+    onSave: (profile) => {
+      store.setFieldProfile(profile);
+      registerFieldProfile(profile, { custom: true });
+      resizeCanvas();
+    },
+    onCancel: (profile) => {
+      store.setFieldProfile(profile);
+      resizeCanvas();
+    },
   });
+  initProfileTransfer({
+    onImport: selectFieldProfile,
+    onDelete: () =>
+      selectFieldProfile(getFieldProfile(DEFAULT_FIELD_PROFILE_ID)),
+  });
+  initFielderPanel({
+    getGeometry: () => {
+      const state = store.getState();
+      return calculateGeometry(state.fieldProfile, state.editablePoints);
+    },
+    getCoverage: getCurrentCoverage,
+    onChange: drawField,
+  });
+  initThrowPanel({
+    getPoints: getCurrentThrowPoints,
+    onChange: drawField,
+  });
+  initRunnerPanel({
+    getGeometry: () => {
+      const state = store.getState();
+      return calculateGeometry(state.fieldProfile, state.editablePoints);
+    },
+  });
+  initSprayPanel({ onChange: drawField });
 
   // Reset edits button
   if (resetEdits) {
@@ -1185,9 +1598,12 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
         "Palautetaanko mittaukset alkuperäisiin arvoihin?",
       );
       if (confirmed) {
+        // Reset is a single undo step
+        store.beginHistoryGroup();
         store.resetEditablePoints();
         // Also clear custom measurements
         store.setState({ customMeasurements: [] });
+        store.endHistoryGroup();
         drawField();
       }
     });
@@ -1529,6 +1945,15 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
       state.panY,
     );
 
+    // Fielder tokens are drawn on top, so they are picked first
+    const fielderRole = getFielderUnderMouse(fieldPos);
+    if (fielderRole) {
+      store.setState({ draggingFielder: fielderRole });
+      canvas.style.cursor = "grabbing";
+      drawField();
+      return;
+    }
+
     // Check if clicking on a custom measurement handle (works even when not in custom measurement mode)
     const customHandle = getCustomMeasurementHandleUnderMouse(
       fieldPos,
@@ -1586,6 +2011,18 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
       state.panY,
     );
 
+    if (state.draggingFielder) {
+      store.setState({
+        fielders: moveFielder(
+          getCurrentFielders(),
+          state.draggingFielder,
+          fieldPos,
+        ),
+      });
+      drawField();
+      return;
+    }
+
     // Handle dragging custom measurement handle
     if (state.draggingCustomMeasurement) {
       // Apply snapping
@@ -1668,6 +2105,13 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
   const wrappedMouseUpHandler = (event) => {
     const state = store.getState();
 
+    if (state.draggingFielder) {
+      store.setState({ draggingFielder: null });
+      canvas.style.cursor = "default";
+      drawField();
+      return;
+    }
+
     // Handle dragging custom measurement handle - finish
     if (state.draggingCustomMeasurement) {
       store.setState({
@@ -1760,7 +2204,15 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
       0.8,
     );
 
-    if (customHandle && !state.draggingCustomMeasurement) {
+    if (state.draggingFielder) {
+      canvas.style.cursor = "grabbing";
+      return;
+    }
+
+    if (
+      (customHandle || getFielderUnderMouse(fieldPos)) &&
+      !state.draggingCustomMeasurement
+    ) {
       canvas.style.cursor = "grab";
       // Don't show tooltip when hovering handle
       if (tooltip) {
@@ -1850,7 +2302,12 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
         0.8,
       );
 
-      if (handleUnder || customHandle || state.customMeasurementMode) {
+      if (
+        handleUnder ||
+        customHandle ||
+        getFielderUnderMouse(fieldPos) ||
+        state.customMeasurementMode
+      ) {
         e.preventDefault(); // Prevent scrolling when touching handle or in custom measurement mode
         isDragging = true;
       }
@@ -2101,6 +2558,13 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     }
   });
 
+  // Comparison texts are built in JS, so refresh them with the language
+  window.addEventListener("languageChanged", () => {
+    renderComparison();
+    ruleCheckedProfile = null;
+    drawField();
+  });
+
   // Add touch support for handle tapping on mobile
   let lastTouchEnd = 0;
   canvas.addEventListener("touchend", (e) => {
@@ -2124,13 +2588,53 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     handleCanvasTap(mouseEvent);
   });
 
-  // Initial render - reset editable points to ensure clean state
-  store.setState({
-    editablePoints: {
-      homePathStart: null,
-      homePathMid: null,
-      homePathEnd: null,
+  // Undo/redo (a drag on the canvas is one step)
+  groupHistoryOnDrag(canvas);
+  initHistoryControls({
+    onRestore: () => {
+      renderFieldSelector();
+      renderComparison();
+      resizeCanvas();
     },
   });
+
+  // Initial render (editable points come from the saved workspace or
+  // are initialized by drawField)
   resizeCanvas();
+  store.clearHistory();
+  persistWorkspace(store);
+
+  /**
+   * Apply saved or shared scenario
+   * Undoable, so the previous workspace is one Ctrl+Z away.
+   * @param {ScenarioSnapshot} snapshot - Scenario to show
+   * @returns {boolean} False if the scenario could not be used
+   */
+  const applyScenario = (snapshot) => {
+    const updates = snapshotToState(snapshot);
+    if (!updates) return false;
+
+    store.setState(updates);
+    renderFieldSelector();
+    renderComparison();
+    resizeCanvas();
+    return true;
+  };
+
+  initScenarioStorage();
+  initScenarioLibrary({
+    page: "kentta",
+    capture: () => captureSnapshot(store.getState()),
+    apply: applyScenario,
+  });
+
+  // Share links carry the whole workspace in the URL hash
+  initShareButton({
+    buildPayload: () => ({
+      v: SHARE_VERSION,
+      page: "kentta",
+      ...captureSnapshot(store.getState()),
+    }),
+  });
+  watchSharedScenario("kentta", applyScenario);
 })();
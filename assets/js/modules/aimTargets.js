@@ -0,0 +1,226 @@
+/**
+ * Aim target module
+ * Numbered PesisKulma targets for a practice session and the drill order
+ * they are hit in
+ */
+
+import { isPoint } from "./workspace.js";
+
+// Target colours in the order new targets get them
+export const TARGET_COLORS = [
+  "#ffd166",
+  "#16e1ff",
+  "#ff8fab",
+  "#b8f35d",
+  "#c792ea",
+  "#ff9f43",
+  "#ffffff",
+  "#4dd0e1",
+];
+
+export const DRILL_MODES = {
+  sequence: "Järjestyksessä",
+  random: "Satunnaisesti",
+};
+
+// Where a new target goes when no target point has been set
+const DEFAULT_TARGET_POINT = { x: 0, y: 25 };
+
+/**
+ * Practice target
+ * @typedef {Object} AimTarget
+ * @property {string} id - Target id
+ * @property {Point} point - Target point on the field
+ * @property {string} label - Optional name, e.g. "pitkä vasen"
+ * @property {string} color - Colour from TARGET_COLORS
+ */
+
+/**
+ * Drill in progress
+ * @typedef {Object} Drill
+ * @property {"sequence"|"random"} mode - How the targets are ordered
+ * @property {Array<string>} order - Target ids of the current round
+ * @property {number} step - Index into order
+ * @property {number} round - Round number, starting from 1
+ */
+
+const createTargetId = () =>
+  `target-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Targets with up-to-date points
+ * The active target follows the ball, so its point is read from
+ * ballPosition instead of the list.
+ * @param {AppState} state
+ * @returns {Array<AimTarget>}
+ */
+export const resolveTargets = (state) =>
+  state.aimTargets.map((target) =>
+    target.id === state.activeTargetId && state.ballPosition
+      ? { ...target, point: state.ballPosition }
+      : target,
+  );
+
+/**
+ * State updates that make a target active and move the ball onto it
+ * @param {AppState} state
+ * @param {string|null} id - Target id, null to release the ball
+ * @returns {Partial<AppState>}
+ */
+export const selectTarget = (state, id) => {
+  const aimTargets = resolveTargets(state);
+  const target = aimTargets.find((candidate) => candidate.id === id);
+  return {
+    aimTargets,
+    activeTargetId: target ? target.id : null,
+    ...(target && { ballPosition: target.point }),
+  };
+};
+
+/**
+ * State updates that add a target at the ball and make it active
+ * @param {AppState} state
+ * @returns {Partial<AppState>}
+ */
+export const addTarget = (state) => {
+  const aimTargets = resolveTargets(state);
+  const usedColors = new Set(aimTargets.map((target) => target.color));
+  const color =
+    TARGET_COLORS.find((candidate) => !usedColors.has(candidate)) ||
+    TARGET_COLORS[aimTargets.length % TARGET_COLORS.length];
+  const target = {
+    id: createTargetId(),
+    point: state.ballPosition || DEFAULT_TARGET_POINT,
+    label: "",
+    color,
+  };
+  return {
+    aimTargets: [...aimTargets, target],
+    activeTargetId: target.id,
+    ballPosition: target.point,
+  };
+};
+
+/**
+ * State updates that remove a target
+ * The ball stays where it is; it just no longer moves a target.
+ * @param {AppState} state
+ * @param {string} id - Target id
+ * @returns {Partial<AppState>}
+ */
+export const removeTarget = (state, id) => ({
+  aimTargets: resolveTargets(state).filter((target) => target.id !== id),
+  activeTargetId: state.activeTargetId === id ? null : state.activeTargetId,
+  drill: null,
+});
+
+/**
+ * State updates that rename a target
+ * @param {AppState} state
+ * @param {string} id - Target id
+ * @param {string} label - New label
+ * @returns {Partial<AppState>}
+ */
+export const renameTarget = (state, id, label) => ({
+  aimTargets: state.aimTargets.map((target) =>
+    target.id === id ? { ...target, label: label.trim() } : target,
+  ),
+});
+
+/**
+ * Target order for one drill round
+ * Random rounds are shuffled so that a round does not start with the
+ * target the previous one ended on.
+ * @param {Array<string>} ids - Target ids in list order
+ * @param {"sequence"|"random"} mode - Drill mode
+ * @param {string|null} [previousId] - Last target of the previous round
+ * @param {Function} [random] - Random number source
+ * @returns {Array<string>}
+ */
+export const createDrillOrder = (
+  ids,
+  mode,
+  previousId = null,
+  random = Math.random,
+) => {
+  if (mode !== "random") return [...ids];
+
+  const order = [...ids];
+  for (let index = order.length - 1; index > 0; index--) {
+    const swap = Math.floor(random() * (index + 1));
+    [order[index], order[swap]] = [order[swap], order[index]];
+  }
+  if (order.length > 1 && order[0] === previousId) {
+    [order[0], order[1]] = [order[1], order[0]];
+  }
+  return order;
+};
+
+/**
+ * State updates that start a drill on the first target
+ * @param {AppState} state
+ * @param {"sequence"|"random"} mode - Drill mode
+ * @returns {Partial<AppState>|null} Null when there are no targets
+ */
+export const startDrill = (state, mode) => {
+  if (state.aimTargets.length === 0) return null;
+  const order = createDrillOrder(
+    state.aimTargets.map((target) => target.id),
+    mode,
+  );
+  return {
+    ...selectTarget(state, order[0]),
+    drill: { mode, order, step: 0, round: 1 },
+  };
+};
+
+/**
+ * State updates that move the drill to the next target
+ * After the last target a new round starts.
+ * @param {AppState} state
+ * @returns {Partial<AppState>|null} Null when no drill is running
+ */
+export const advanceDrill = (state) => {
+  const { drill } = state;
+  if (!drill) return null;
+
+  let next = { ...drill, step: drill.step + 1 };
+  if (next.step >= drill.order.length) {
+    next = {
+      ...drill,
+      order: createDrillOrder(
+        state.aimTargets.map((target) => target.id),
+        drill.mode,
+        drill.order.at(-1),
+      ),
+      step: 0,
+      round: drill.round + 1,
+    };
+  }
+  return {
+    ...selectTarget(state, next.order[next.step]),
+    drill: next,
+  };
+};
+
+/**
+ * Keep only well-formed targets
+ * @param {*} value - Target list from a snapshot
+ * @returns {Array<AimTarget>}
+ */
+export const sanitizeTargets = (value) =>
+  Array.isArray(value)
+    ? value
+        .filter(
+          (target) =>
+            typeof target?.id === "string" &&
+            isPoint(target.point) &&
+            typeof target.color === "string",
+        )
+        .map(({ id, point, label, color }) => ({
+          id,
+          point,
+          label: typeof label === "string" ? label : "",
+          color,
+        }))
+    : [];
@@ -0,0 +1,202 @@
+/**
+ * Aiming module
+ * Works backwards from a landing point: which launch angle reaches it at
+ * a given exit speed, and how high that hit meets the net
+ */
+
+import { CONTACT_HEIGHT, simulateBallFlight } from "./ballFlight.js";
+import { findNetCrossing } from "./elevation.js";
+
+// Search range for the launch angle (degrees)
+const MIN_ANGLE_DEG = -30;
+const MAX_ANGLE_DEG = 60;
+
+// Angle accuracy of the solution and of the longest-carry angle (degrees)
+const ANGLE_TOLERANCE_DEG = 0.01;
+const PEAK_TOLERANCE_DEG = 0.5;
+const PEAK_SCAN_STEP_DEG = 5;
+
+// The search flies with a coarse step (s) and only the final angle is
+// corrected with full-accuracy flights, which keeps dragging smooth
+const SEARCH_TIME_STEP = 0.02;
+// Angle step for the first slope of carry in that correction (degrees),
+// the carry error that ends it (m) and the most full flights it may take
+const SLOPE_STEP_DEG = 0.1;
+const CARRY_TOLERANCE = 0.005;
+const MAX_CORRECTIONS = 3;
+
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+// Targets closer than this to the launch point give no hit direction (m)
+const MIN_TARGET_DISTANCE = 0.01;
+
+/**
+ * Aim for a landing point
+ * @typedef {Object} NetAim
+ * @property {number|null} launchAngleDeg - Required launch angle, null if out of reach
+ * @property {number} maxCarry - Longest carry at this exit speed (m)
+ * @property {BallFlight|null} flight - Flight with the required angle
+ * @property {NetCrossing|null} netCrossing - Where that flight meets the net
+ */
+
+/**
+ * Find the launch angle that carries the ball a given distance
+ * Carry grows with the angle up to the longest hit, so the flatter of the
+ * two possible angles is found by bisection below that peak. The flatter
+ * one is what a hit into a net in front of the batter looks like.
+ * @param {Object} params
+ * @param {Point} params.launchPoint - Contact point on the field
+ * @param {Point} params.target - Wanted landing point
+ * @param {number} params.exitSpeed - Exit speed in m/s
+ * @param {number} [params.contactHeight] - Contact height in meters
+ * @returns {{launchAngleDeg: number|null, maxCarry: number, flight: BallFlight|null}}
+ */
+export const solveLaunchAngle = ({
+  launchPoint,
+  target,
+  exitSpeed,
+  contactHeight = CONTACT_HEIGHT,
+}) => {
+  const direction = {
+    x: target.x - launchPoint.x,
+    y: target.y - launchPoint.y,
+  };
+  const distance = Math.hypot(direction.x, direction.y);
+  const fly = (launchAngleDeg, timeStep) =>
+    simulateBallFlight({
+      launchPoint,
+      direction,
+      exitSpeed,
+      launchAngleDeg,
+      contactHeight,
+      timeStep,
+    });
+  const searchCarry = (launchAngleDeg) =>
+    fly(launchAngleDeg, SEARCH_TIME_STEP).carry;
+
+  // Coarse scan for the angle of the longest carry, then narrow it down
+  // with a golden-section search around the best coarse angle
+  let peakAngle = MIN_ANGLE_DEG;
+  let peakCarry = searchCarry(peakAngle);
+  for (
+    let angle = MIN_ANGLE_DEG + PEAK_SCAN_STEP_DEG;
+    angle <= MAX_ANGLE_DEG;
+    angle += PEAK_SCAN_STEP_DEG
+  ) {
+    const carry = searchCarry(angle);
+    if (carry > peakCarry) {
+      peakAngle = angle;
+      peakCarry = carry;
+    }
+  }
+  let left = Math.max(MIN_ANGLE_DEG, peakAngle - PEAK_SCAN_STEP_DEG);
+  let right = Math.min(MAX_ANGLE_DEG, peakAngle + PEAK_SCAN_STEP_DEG);
+  let first = right - GOLDEN_RATIO * (right - left);
+  let second = left + GOLDEN_RATIO * (right - left);
+  let firstCarry = searchCarry(first);
+  let secondCarry = searchCarry(second);
+  while (right - left > PEAK_TOLERANCE_DEG) {
+    // The surviving probe becomes the other probe of the narrower range
+    if (firstCarry < secondCarry) {
+      left = first;
+      first = second;
+      firstCarry = secondCarry;
+      second = left + GOLDEN_RATIO * (right - left);
+      secondCarry = searchCarry(second);
+    } else {
+      right = second;
+      second = first;
+      secondCarry = firstCarry;
+      first = right - GOLDEN_RATIO * (right - left);
+      firstCarry = searchCarry(first);
+    }
+  }
+  const middleCarry = searchCarry((left + right) / 2);
+  if (middleCarry > peakCarry) {
+    peakAngle = (left + right) / 2;
+    peakCarry = middleCarry;
+  }
+
+  const peakFlight = fly(peakAngle);
+  const maxCarry = peakFlight.carry;
+  const lowFlight = fly(MIN_ANGLE_DEG);
+  if (
+    distance < MIN_TARGET_DISTANCE ||
+    distance > maxCarry ||
+    distance < lowFlight.carry
+  ) {
+    return { launchAngleDeg: null, maxCarry, flight: null };
+  }
+
+  // Aim the coarse search at the distance less the coarse step's shortfall
+  // at the peak, so targets near the longest carry are still bracketed
+  const searchDistance = distance - (maxCarry - peakCarry);
+  let low = MIN_ANGLE_DEG;
+  let high = peakAngle;
+  while (high - low > ANGLE_TOLERANCE_DEG) {
+    const middle = (low + high) / 2;
+    if (searchCarry(middle) < searchDistance) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  // The coarse step shifts the carry a little, so the estimate is
+  // corrected with secant steps on full-accuracy flights, starting from
+  // the coarse slope
+  const estimate = (low + high) / 2;
+  let solution = { launchAngleDeg: estimate, flight: fly(estimate) };
+  let slope =
+    (searchCarry(estimate + SLOPE_STEP_DEG) - searchCarry(estimate)) /
+    SLOPE_STEP_DEG;
+  for (let step = 0; step < MAX_CORRECTIONS && slope > 0; step++) {
+    const error = distance - solution.flight.carry;
+    if (Math.abs(error) <= CARRY_TOLERANCE) break;
+    const angle = Math.min(
+      peakAngle,
+      Math.max(MIN_ANGLE_DEG, solution.launchAngleDeg + error / slope),
+    );
+    if (angle === solution.launchAngleDeg) break;
+    const flight = fly(angle);
+    slope =
+      (flight.carry - solution.flight.carry) /
+      (angle - solution.launchAngleDeg);
+    if (Math.abs(distance - flight.carry) >= Math.abs(error)) break;
+    solution = { launchAngleDeg: angle, flight };
+  }
+  const candidates = [
+    solution,
+    { launchAngleDeg: MIN_ANGLE_DEG, flight: lowFlight },
+    { launchAngleDeg: peakAngle, flight: peakFlight },
+  ];
+
+  // Pick whichever angle lands closest to the target
+  const best = candidates.reduce((closest, candidate) =>
+    Math.abs(candidate.flight.carry - distance) <
+    Math.abs(closest.flight.carry - distance)
+      ? candidate
+      : closest,
+  );
+  return { ...best, maxCarry };
+};
+
+/**
+ * Aim a hit at a landing point through a net
+ * @param {Object} params
+ * @param {Point} params.launchPoint - Contact point on the field
+ * @param {Point} params.target - Wanted landing point
+ * @param {number} params.exitSpeed - Exit speed in m/s
+ * @param {Net} params.net - Net placement from createNet
+ * @param {number} [params.contactHeight] - Contact height in meters
+ * @returns {NetAim}
+ */
+export const calculateNetAim = ({ net, ...params }) => {
+  const { launchAngleDeg, maxCarry, flight } = solveLaunchAngle(params);
+  return {
+    launchAngleDeg,
+    maxCarry,
+    flight,
+    netCrossing: flight ? findNetCrossing(flight, net) : null,
+  };
+};
@@ -0,0 +1,159 @@
+/**
+ * Ball flight module
+ * Simulates a batted pesäpallo with gravity and air drag and tells where
+ * it lands relative to the field
+ */
+
+import { calculateFieldZones, isPointInPolygon } from "./geometry.js";
+
+// Physical constants (SI units)
+const GRAVITY = 9.81;
+const AIR_DENSITY = 1.2;
+
+// Pesäpallo (men's ball): about 163 g, circumference about 22 cm
+export const BALL_MASS = 0.163;
+export const BALL_DIAMETER = 0.07;
+// Rough value for a seamed ball of this size, not a measured one
+export const DRAG_COEFFICIENT = 0.4;
+
+// Height of the ball at contact (m)
+export const CONTACT_HEIGHT = 1;
+
+export const DEFAULT_EXIT_SPEED_KMH = 110;
+export const DEFAULT_LAUNCH_ANGLE_DEG = 20;
+
+// Integration step and safety limit (s)
+const TIME_STEP = 0.002;
+const MAX_FLIGHT_TIME = 20;
+
+/**
+ * Point of the simulated flight
+ * @typedef {Object} FlightPoint
+ * @property {number} x - Field X in meters
+ * @property {number} y - Field Y in meters
+ * @property {number} z - Height above ground in meters
+ * @property {number} t - Time since contact in seconds
+ */
+
+/**
+ * Simulated flight
+ * @typedef {Object} BallFlight
+ * @property {Array<FlightPoint>} path - Sampled flight path
+ * @property {Point} landingPoint - Where the ball first hits the ground
+ * @property {number} carry - Ground distance from contact to landing (m)
+ * @property {number} flightTime - Time in the air (s)
+ * @property {number} maxHeight - Highest point (m)
+ */
+
+/**
+ * Convert km/h to m/s
+ * @param {number} value - Speed in km/h
+ * @returns {number} Speed in m/s
+ */
+export const kmhToMetersPerSecond = (value) => value / 3.6;
+
+/**
+ * Simulate batted ball until it lands
+ * Drag force is ½·ρ·Cd·A·v², acting against the velocity.
+ * @param {Object} params
+ * @param {Point} params.launchPoint - Contact point on the field
+ * @param {Point} params.direction - Horizontal direction (need not be unit length)
+ * @param {number} params.exitSpeed - Exit speed in m/s
+ * @param {number} params.launchAngleDeg - Vertical launch angle in degrees
+ * @param {number} [params.contactHeight] - Contact height in meters
+ * @param {number} [params.timeStep] - Integration step in seconds
+ * @returns {BallFlight}
+ */
+export const simulateBallFlight = ({
+  launchPoint,
+  direction,
+  exitSpeed,
+  launchAngleDeg,
+  contactHeight = CONTACT_HEIGHT,
+  timeStep = TIME_STEP,
+}) => {
+  const length = Math.hypot(direction.x, direction.y) || 1;
+  const heading = { x: direction.x / length, y: direction.y / length };
+  const angle = (launchAngleDeg * Math.PI) / 180;
+  const area = Math.PI * (BALL_DIAMETER / 2) ** 2;
+  const dragFactor = (0.5 * AIR_DENSITY * DRAG_COEFFICIENT * area) / BALL_MASS;
+
+  let position = { x: launchPoint.x, y: launchPoint.y, z: contactHeight };
+  let velocity = {
+    x: heading.x * exitSpeed * Math.cos(angle),
+    y: heading.y * exitSpeed * Math.cos(angle),
+    z: exitSpeed * Math.sin(angle),
+  };
+  let t = 0;
+  let maxHeight = position.z;
+  const path = [{ ...position, t }];
+
+  // A ball hit from ground level still takes its first step; counting
+  // points rather than time ends a ball driven straight into the ground
+  while ((position.z > 0 || path.length === 1) && t < MAX_FLIGHT_TIME) {
+    const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+    const drag = dragFactor * speed;
+
+    // Semi-implicit Euler: update velocity first, then position
+    velocity = {
+      x: velocity.x - drag * velocity.x * timeStep,
+      y: velocity.y - drag * velocity.y * timeStep,
+      z: velocity.z - (GRAVITY + drag * velocity.z) * timeStep,
+    };
+    const next = {
+      x: position.x + velocity.x * timeStep,
+      y: position.y + velocity.y * timeStep,
+      z: position.z + velocity.z * timeStep,
+    };
+    t += timeStep;
+
+    if (next.z <= 0) {
+      // Interpolate the ground crossing within the last step
+      const share = position.z / (position.z - next.z);
+      position = {
+        x: position.x + (next.x - position.x) * share,
+        y: position.y + (next.y - position.y) * share,
+        z: 0,
+      };
+      t -= timeStep * (1 - share);
+    } else {
+      position = next;
+    }
+
+    maxHeight = Math.max(maxHeight, position.z);
+    path.push({ ...position, t });
+  }
+
+  const landingPoint = { x: position.x, y: position.y };
+  return {
+    // Every tenth step is plenty for drawing
+    path: path.filter(
+      (point, index) => index % 10 === 0 || index === path.length - 1,
+    ),
+    landingPoint,
+    carry: Math.hypot(
+      landingPoint.x - launchPoint.x,
+      landingPoint.y - launchPoint.y,
+    ),
+    flightTime: t,
+    maxHeight,
+  };
+};
+
+/**
+ * Where a landing point is relative to the field
+ * @param {Point} point - Landing point
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {"field"|"beyondBack"|"outsideSector"}
+ */
+export const classifyLanding = (point, geometry) => {
+  if (isPointInPolygon(point, calculateFieldZones(geometry).field)) {
+    return "field";
+  }
+  const isBetweenSideLines =
+    point.x >= geometry.leftVerticalEnd.x &&
+    point.x <= geometry.rightVerticalEnd.x;
+  return isBetweenSideLines && point.y > geometry.leftVerticalEnd.y
+    ? "beyondBack"
+    : "outsideSector";
+};
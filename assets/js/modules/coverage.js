@@ -0,0 +1,222 @@
+/**
+ * Coverage module
+ * Splits the field into fielder responsibility regions (Voronoi cells
+ * clipped to the field) and measures each region
+ */
+
+import { distanceBetween, isPointInPolygon, polygonArea } from "./geometry.js";
+
+// Running speed used when a fielder has no own value (m/s)
+export const DEFAULT_FIELDER_SPEED = 7;
+
+// Grid cell size for speed-weighted regions (meters)
+export const COVERAGE_CELL_SIZE = 0.5;
+
+// Region fill colors, one per fielder in FIELDER_ROLES order
+export const COVERAGE_COLORS = [
+  "#ef5350",
+  "#ab47bc",
+  "#5c6bc0",
+  "#29b6f6",
+  "#26a69a",
+  "#9ccc65",
+  "#ffee58",
+  "#ffa726",
+  "#8d6e63",
+];
+
+/**
+ * Responsibility region of one fielder
+ * @typedef {Object} CoverageRegion
+ * @property {string} role - Role id
+ * @property {Array<Array<Point>>} polygons - Shapes to shade (one cell, or grid row runs when weighted)
+ * @property {number} area - Covered area in m²
+ * @property {number} worstDistance - Longest distance from the fielder to the region (m)
+ * @property {Point|null} worstPoint - Point of the region farthest away
+ * @property {number|null} worstTime - Time to reach worstPoint in seconds (weighted only)
+ */
+
+/**
+ * Clip polygon to the half-plane normal · p <= limit (Sutherland–Hodgman)
+ * @param {Array<Point>} polygon - Polygon corners in order
+ * @param {Point} normal - Half-plane normal
+ * @param {number} limit - Half-plane offset
+ * @returns {Array<Point>} Clipped polygon (empty if nothing is left)
+ */
+const clipToHalfPlane = (polygon, normal, limit) => {
+  const side = (point) => normal.x * point.x + normal.y * point.y - limit;
+  const clipped = [];
+
+  polygon.forEach((current, index) => {
+    const previous = polygon[(index + polygon.length - 1) % polygon.length];
+    const currentSide = side(current);
+    const previousSide = side(previous);
+
+    if (currentSide <= 0 !== previousSide <= 0) {
+      const t = previousSide / (previousSide - currentSide);
+      clipped.push({
+        x: previous.x + (current.x - previous.x) * t,
+        y: previous.y + (current.y - previous.y) * t,
+      });
+    }
+    if (currentSide <= 0) clipped.push(current);
+  });
+
+  return clipped;
+};
+
+/**
+ * Farthest polygon corner from a point
+ * The farthest point of a polygon always lies on a corner.
+ * @param {Point} from - Reference point
+ * @param {Array<Point>} polygon - Polygon corners
+ * @returns {{point: Point|null, distance: number}}
+ */
+const farthestCorner = (from, polygon) =>
+  polygon.reduce(
+    (best, corner) => {
+      const distance = distanceBetween(from, corner);
+      return distance > best.distance ? { point: corner, distance } : best;
+    },
+    { point: null, distance: 0 },
+  );
+
+/**
+ * Exact Voronoi regions: each point belongs to the nearest fielder
+ * @param {Array<Point>} field - Field polygon
+ * @param {Array<Fielder>} fielders - Fielders
+ * @returns {Array<CoverageRegion>}
+ */
+const calculateNearestRegions = (field, fielders) =>
+  fielders.map((fielder, index) => {
+    const polygon = fielders.reduce((region, other, otherIndex) => {
+      if (otherIndex === index || region.length === 0) return region;
+      // Fielders on the same spot: the first one takes the region
+      if (distanceBetween(fielder, other) === 0) {
+        return otherIndex < index ? [] : region;
+      }
+      // Keep points closer to fielder than to other
+      const normal = { x: other.x - fielder.x, y: other.y - fielder.y };
+      const limit =
+        (other.x ** 2 + other.y ** 2 - fielder.x ** 2 - fielder.y ** 2) / 2;
+      return clipToHalfPlane(region, normal, limit);
+    }, field);
+
+    const worst = farthestCorner(fielder, polygon);
+    return {
+      role: fielder.role,
+      polygons: polygon.length >= 3 ? [polygon] : [],
+      area: polygon.length >= 3 ? polygonArea(polygon) : 0,
+      worstDistance: worst.distance,
+      worstPoint: worst.point,
+      worstTime: null,
+    };
+  });
+
+/**
+ * Speed-weighted regions: each point belongs to the fielder who gets
+ * there first. Borders are curves, so the field is sampled on a grid.
+ * @param {Array<Point>} field - Field polygon
+ * @param {Array<Fielder>} fielders - Fielders
+ * @param {Array<number>} speeds - Speed of each fielder (m/s)
+ * @param {number} cellSize - Grid cell size (m)
+ * @returns {Array<CoverageRegion>}
+ */
+const calculateWeightedRegions = (field, fielders, speeds, cellSize) => {
+  const regions = fielders.map((fielder) => ({
+    role: fielder.role,
+    polygons: [],
+    area: 0,
+    worstDistance: 0,
+    worstPoint: null,
+    worstTime: 0,
+  }));
+
+  const xs = field.map((point) => point.x);
+  const ys = field.map((point) => point.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const cellArea = cellSize * cellSize;
+
+  for (let y = minY; y < maxY; y += cellSize) {
+    // Consecutive cells with the same owner are shaded as one rectangle
+    let run = null;
+    const closeRun = () => {
+      if (!run) return;
+      regions[run.owner].polygons.push([
+        { x: run.startX, y },
+        { x: run.endX, y },
+        { x: run.endX, y: y + cellSize },
+        { x: run.startX, y: y + cellSize },
+      ]);
+      run = null;
+    };
+
+    for (let x = minX; x < maxX; x += cellSize) {
+      const center = { x: x + cellSize / 2, y: y + cellSize / 2 };
+      if (!isPointInPolygon(center, field)) {
+        closeRun();
+        continue;
+      }
+
+      let owner = 0;
+      let bestTime = Infinity;
+      fielders.forEach((fielder, index) => {
+        const time = distanceBetween(fielder, center) / speeds[index];
+        if (time < bestTime) {
+          bestTime = time;
+          owner = index;
+        }
+      });
+
+      const region = regions[owner];
+      region.area += cellArea;
+      if (bestTime > region.worstTime) {
+        region.worstTime = bestTime;
+        region.worstDistance = distanceBetween(fielders[owner], center);
+        region.worstPoint = center;
+      }
+
+      if (run && run.owner === owner) {
+        run.endX = x + cellSize;
+      } else {
+        closeRun();
+        run = { owner, startX: x, endX: x + cellSize };
+      }
+    }
+    closeRun();
+  }
+
+  return regions;
+};
+
+/**
+ * Calculate fielder responsibility regions
+ * @param {Array<Point>} field - Field polygon, e.g. calculateFieldZones(geometry).field
+ * @param {Array<Fielder>} fielders - Fielders on the field
+ * @param {Object} [options]
+ * @param {Object<string, number>|null} [options.speeds] - Speeds by role (m/s); null gives plain nearest-fielder regions
+ * @param {number} [options.cellSize] - Grid cell size for weighted regions (m)
+ * @returns {Array<CoverageRegion>} Regions in fielder order
+ */
+export const calculateCoverage = (
+  field,
+  fielders,
+  { speeds = null, cellSize = COVERAGE_CELL_SIZE } = {},
+) => {
+  if (!speeds) return calculateNearestRegions(field, fielders);
+
+  return calculateWeightedRegions(
+    field,
+    fielders,
+    fielders.map((fielder) => {
+      const speed = speeds[fielder.role];
+      return Number.isFinite(speed) && speed > 0
+        ? speed
+        : DEFAULT_FIELDER_SPEED;
+    }),
+    cellSize,
+  );
+};
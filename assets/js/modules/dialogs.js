@@ -0,0 +1,77 @@
+/**
+ * Dialog module
+ * Promise-based confirm and alert dialogs using the shared confirm modal
+ */
+
+/**
+ * Custom confirm dialog
+ * @param {string} message - Message to display
+ * @param {string} title - Dialog title (optional)
+ * @returns {Promise<boolean>} True if OK clicked, false if cancelled
+ */
+export const customConfirm = (message, title = "Vahvistus") => {
+  return new Promise((resolve) => {
+    const modal = document.getElementById("confirmModal");
+    const titleEl = document.getElementById("confirmTitle");
+    const messageEl = document.getElementById("confirmMessage");
+    const okBtn = document.getElementById("confirmOk");
+    const cancelBtn = document.getElementById("confirmCancel");
+
+    titleEl.textContent = title;
+    messageEl.textContent = message;
+    modal.classList.add("active");
+
+    const cleanup = () => {
+      modal.classList.remove("active");
+      okBtn.removeEventListener("click", handleOk);
+      cancelBtn.removeEventListener("click", handleCancel);
+    };
+
+    const handleOk = () => {
+      cleanup();
+      resolve(true);
+    };
+
+    const handleCancel = () => {
+      cleanup();
+      resolve(false);
+    };
+
+    okBtn.addEventListener("click", handleOk);
+    cancelBtn.addEventListener("click", handleCancel);
+  });
+};
+
+/**
+ * Custom alert dialog
+ * @param {string} message - Message to display
+ * @param {string} title - Dialog title (optional)
+ * @returns {Promise<void>}
+ */
+export const customAlert = (message, title = "Ilmoitus") => {
+  return new Promise((resolve) => {
+    const modal = document.getElementById("confirmModal");
+    const titleEl = document.getElementById("confirmTitle");
+    const messageEl = document.getElementById("confirmMessage");
+    const okBtn = document.getElementById("confirmOk");
+    const cancelBtn = document.getElementById("confirmCancel");
+
+    titleEl.textContent = title;
+    messageEl.textContent = message;
+    cancelBtn.style.display = "none"; // Hide cancel button for alerts
+    modal.classList.add("active");
+
+    const cleanup = () => {
+      modal.classList.remove("active");
+      cancelBtn.style.display = ""; // Restore cancel button
+      okBtn.removeEventListener("click", handleOk);
+    };
+
+    const handleOk = () => {
+      cleanup();
+      resolve();
+    };
+
+    okBtn.addEventListener("click", handleOk);
+  });
+};
@@ -0,0 +1,242 @@
+/**
+ * Elevation module
+ * Side view of the pitch and the hit in the vertical plane through the
+ * hit direction
+ */
+
+import {
+  distanceFromNet,
+  getNetPosition,
+  isWithinNet,
+  NET_BASE_OFFSET,
+} from "./net.js";
+
+// Pitch must rise at least this high above the plate (m)
+export const PITCH_RULE_MIN_HEIGHT = 1;
+
+export const DEFAULT_PITCH_HEIGHT = 2;
+
+/**
+ * Point in the side view
+ * @typedef {Object} ElevationPoint
+ * @property {number} s - Horizontal distance from the contact point along the hit (m)
+ * @property {number} z - Height (m)
+ */
+
+/**
+ * Where the ball crosses the net plane
+ * @typedef {Object} NetCrossing
+ * @property {number} distance - Horizontal distance from contact (m)
+ * @property {number} height - Height at the net (m)
+ * @property {number} time - Seconds from contact
+ * @property {Point} point - Field point of the crossing
+ * @property {boolean} isOnNet - False when the ball passes beside the net
+ */
+
+/**
+ * Project flight path into the side view
+ * @param {BallFlight} flight - Flight from simulateBallFlight
+ * @returns {Array<ElevationPoint>}
+ */
+export const projectFlightPath = (flight) => {
+  const [start] = flight.path;
+  return flight.path.map((point) => ({
+    s: Math.hypot(point.x - start.x, point.y - start.y),
+    z: point.z,
+  }));
+};
+
+/**
+ * Find where the flight crosses the net plane
+ * @param {BallFlight} flight - Flight from simulateBallFlight
+ * @param {Net} net - Net placement from createNet
+ * @returns {NetCrossing|null} Null if the ball lands before the net
+ */
+export const findNetCrossing = (flight, net) => {
+  const { path } = flight;
+  const [start] = path;
+  if (distanceFromNet(net, start) >= 0) return null;
+
+  for (let index = 1; index < path.length; index++) {
+    const previous = path[index - 1];
+    const current = path[index];
+    const currentSide = distanceFromNet(net, current);
+    if (currentSide < 0) continue;
+
+    // Interpolate between the samples on both sides of the net
+    const previousSide = distanceFromNet(net, previous);
+    const share = previousSide / (previousSide - currentSide);
+    const point = {
+      x: previous.x + (current.x - previous.x) * share,
+      y: previous.y + (current.y - previous.y) * share,
+    };
+    return {
+      distance: Math.hypot(point.x - start.x, point.y - start.y),
+      height: previous.z + (current.z - previous.z) * share,
+      time: previous.t + (current.t - previous.t) * share,
+      point,
+      isOnNet: isWithinNet(net, getNetPosition(net, point)),
+    };
+  }
+  return null;
+};
+
+/**
+ * Draw side view chart
+ * Both axes use the same scale so that angles look right.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} params
+ * @param {number} params.width - Canvas width in pixels
+ * @param {number} params.height - Canvas height in pixels
+ * @param {number} params.pitchHeight - Pitch peak above the plate (m)
+ * @param {number} params.contactHeight - Contact height (m)
+ * @param {Array<ElevationPoint>} params.path - Ball path in the side view
+ * @param {number|null} params.netDistance - Horizontal distance to the net along the hit (m)
+ * @param {NetCrossing|null} params.netCrossing - Net crossing, if any
+ * @param {Function} params.format - Formats meters for labels
+ */
+export const drawElevationChart = (
+  ctx,
+  {
+    width,
+    height,
+    pitchHeight,
+    contactHeight,
+    path,
+    netDistance,
+    netCrossing,
+    format,
+  },
+) => {
+  const margin = { left: 44, right: 16, top: 16, bottom: 28 };
+  // Show a little behind the plate and past the net
+  const minS = -1;
+  const maxS = Math.max(4, (netDistance ?? 3) + 1.5);
+  const maxZ = Math.max(3, pitchHeight + 0.5, (netCrossing?.height ?? 0) + 0.5);
+  const scale = Math.min(
+    (width - margin.left - margin.right) / (maxS - minS),
+    (height - margin.top - margin.bottom) / maxZ,
+  );
+  const groundY = height - margin.bottom;
+  const toChart = ({ s, z }) => ({
+    x: margin.left + (s - minS) * scale,
+    y: groundY - z * scale,
+  });
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.save();
+  ctx.font = "12px sans-serif";
+  ctx.lineWidth = 1;
+
+  // Height grid every meter
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.12)";
+  ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  for (let z = 0; z <= maxZ; z += 1) {
+    const left = toChart({ s: minS, z });
+    const right = toChart({ s: maxS, z });
+    ctx.beginPath();
+    ctx.moveTo(left.x, left.y);
+    ctx.lineTo(right.x, right.y);
+    ctx.stroke();
+    ctx.fillText(format(z), left.x - 6, left.y);
+  }
+
+  // Ground and plate
+  const groundLeft = toChart({ s: minS, z: 0 });
+  const groundRight = toChart({ s: maxS, z: 0 });
+  ctx.strokeStyle = "#ffffff";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(groundLeft.x, groundLeft.y);
+  ctx.lineTo(groundRight.x, groundRight.y);
+  ctx.stroke();
+  const plateLeft = toChart({ s: -NET_BASE_OFFSET, z: 0 });
+  const plateRight = toChart({ s: NET_BASE_OFFSET, z: 0 });
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(plateLeft.x, plateLeft.y - 3, plateRight.x - plateLeft.x, 3);
+
+  // Rule minimum for the pitch
+  const ruleLeft = toChart({ s: -0.6, z: PITCH_RULE_MIN_HEIGHT });
+  const ruleRight = toChart({ s: 0.6, z: PITCH_RULE_MIN_HEIGHT });
+  ctx.strokeStyle = "#ffd166";
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(ruleLeft.x, ruleLeft.y);
+  ctx.lineTo(ruleRight.x, ruleRight.y);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = "#ffd166";
+  ctx.textAlign = "left";
+  ctx.fillText(format(PITCH_RULE_MIN_HEIGHT), ruleRight.x + 4, ruleRight.y);
+
+  // Pitch goes straight up above the plate and falls to the contact point
+  const pitchBottom = toChart({ s: 0, z: contactHeight });
+  const pitchTop = toChart({ s: 0, z: pitchHeight });
+  ctx.strokeStyle =
+    pitchHeight >= PITCH_RULE_MIN_HEIGHT ? "#90ee90" : "#ff6b6b";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(pitchBottom.x, pitchBottom.y);
+  ctx.lineTo(pitchTop.x, pitchTop.y);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.arc(pitchTop.x, pitchTop.y, 3, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Net
+  if (netDistance !== null) {
+    const netBottom = toChart({ s: netDistance, z: 0 });
+    const netTop = toChart({ s: netDistance, z: maxZ });
+    ctx.strokeStyle = "#00ff00";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(netBottom.x, netBottom.y);
+    ctx.lineTo(netTop.x, netTop.y);
+    ctx.stroke();
+  }
+
+  // Ball path up to the net (or landing)
+  const shownPath =
+    netCrossing === null
+      ? path
+      : [
+          ...path.filter((point) => point.s < netCrossing.distance),
+          { s: netCrossing.distance, z: netCrossing.height },
+        ];
+  ctx.strokeStyle = "#16e1ff";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  shownPath.forEach((point, index) => {
+    const chartPoint = toChart(point);
+    if (index === 0) {
+      ctx.moveTo(chartPoint.x, chartPoint.y);
+    } else {
+      ctx.lineTo(chartPoint.x, chartPoint.y);
+    }
+  });
+  ctx.stroke();
+
+  // Contact point
+  const contact = toChart({ s: 0, z: contactHeight });
+  ctx.fillStyle = "#16e1ff";
+  ctx.beginPath();
+  ctx.arc(contact.x, contact.y, 4, 0, Math.PI * 2);
+  ctx.fill();
+
+  if (netCrossing) {
+    const hit = toChart({ s: netCrossing.distance, z: netCrossing.height });
+    ctx.fillStyle = "#ffffff";
+    ctx.beginPath();
+    ctx.arc(hit.x, hit.y, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.textAlign = "right";
+    ctx.textBaseline = "bottom";
+    ctx.font = "bold 14px sans-serif";
+    ctx.fillText(format(netCrossing.height), hit.x - 8, hit.y - 4);
+  }
+
+  ctx.restore();
+};
@@ -0,0 +1,162 @@
+/**
+ * Field rules module
+ * Builds field profiles from rulebook quantities and checks that a
+ * profile's derived distances match them
+ */
+
+import {
+  calculateGeometry,
+  direction,
+  distanceBetween,
+  intersectionWithHomeLine,
+} from "./geometry.js";
+
+// Allowed difference between derived and official distances (meters)
+export const DEFAULT_RULE_TOLERANCE = 0.1;
+
+/**
+ * Rulebook quantities of a field (meters and degrees)
+ * Base intervals are measured between the edges of the base circles,
+ * the first one from the home line along the left sector line.
+ * @typedef {Object} FieldRules
+ * @property {number} sectorAngleDeg - Half angle of the batting sector
+ * @property {number} firstInterval - Home line to first base center
+ * @property {number} [secondInterval] - First base to second base
+ * @property {number} [thirdInterval] - Second base to third base
+ * @property {number} backDistance - Home line to back boundary
+ * @property {number} width - Distance between the side lines
+ * @property {number} baseRadius - Base circle radius
+ * @property {number} [tolerance] - Allowed drift, DEFAULT_RULE_TOLERANCE if omitted
+ */
+
+/**
+ * Drawing details that the rulebook leaves to the field builder
+ * @typedef {Object} FieldLayout
+ * @property {Object} homePlate - radius, centerToHomeLine, lineHalfWidth
+ * @property {number} sectorOriginY - Batting sector origin relative to home plate
+ * @property {Object} frontArc - innerRadius, outerRadius
+ * @property {Object} homeArcs - innerRadius, outerRadius
+ * @property {number} baseLineLength - Base line length
+ * @property {number} homePathFirstLine - Home path first segment length
+ * @property {number} homePathEndOffset - Home path end offset
+ * @property {number} baseOffset - Second and third base centers beyond the diagonal line ends
+ */
+
+/**
+ * Build field profile from rules
+ * The side lines are placed half the field width from the centre line, and
+ * the diagonal lines run along the sector lines until they meet them.
+ * @param {string} id - Profile id
+ * @param {FieldRules} rules - Rulebook quantities
+ * @param {FieldLayout} layout - Drawing details
+ * @returns {FieldProfile} Field profile
+ */
+export const generateFieldProfile = (id, rules, layout) => {
+  const { sectorAngleDeg, baseRadius } = rules;
+  const homeLineY = layout.homePlate.centerToHomeLine;
+  const rightDir = direction(sectorAngleDeg);
+  const homeRight = intersectionWithHomeLine(
+    rightDir,
+    layout.sectorOriginY,
+    homeLineY,
+  );
+  const diagonalLength =
+    ((rules.width / 2 - homeRight.x) * rightDir.y) / rightDir.x;
+
+  return {
+    id,
+    homePlate: { ...layout.homePlate },
+    battingSector: {
+      originOffsetY: layout.sectorOriginY,
+      leftAngleDeg: -sectorAngleDeg,
+      rightAngleDeg: sectorAngleDeg,
+    },
+    diagonalLines: {
+      lengthFromHomeLine: diagonalLength,
+    },
+    backBoundary: {
+      distanceFromHomeLine: rules.backDistance,
+      width: rules.width,
+    },
+    frontArc: { ...layout.frontArc },
+    homeArcs: { ...layout.homeArcs },
+    firstBaseCanvasOffset: {
+      distanceFromHomeLine: rules.firstInterval,
+    },
+    secondBaseCanvasOffset: {
+      distanceFromRightAngle: layout.baseOffset,
+    },
+    thirdBaseCanvasOffset: {
+      distanceFromLeftAngle: layout.baseOffset,
+    },
+    baseRadius,
+    baseLineLength: layout.baseLineLength,
+    homePathFirstLine: layout.homePathFirstLine,
+    homePathEndOffset: layout.homePathEndOffset,
+  };
+};
+
+/**
+ * Measure rule quantities from a profile's geometry
+ * @param {FieldProfile} profile - Field profile
+ * @returns {Object<string, number>} Derived distances by rule name
+ */
+export const measureFieldProfile = (profile) => {
+  const geometry = calculateGeometry(profile, {
+    homePathStart: null,
+    homePathMid: null,
+    homePathEnd: null,
+  });
+  const homeLineY = geometry.homeLineSegment.start.y;
+  return {
+    // Measured from the computed base center, not read from the profile
+    firstInterval: distanceBetween(geometry.homeLeft, geometry.firstBaseCenter),
+    secondInterval: geometry.measurements.second,
+    thirdInterval: geometry.measurements.third,
+    backDistance: geometry.leftVerticalEnd.y - homeLineY,
+    width: geometry.rightVerticalEnd.x - geometry.leftVerticalEnd.x,
+  };
+};
+
+/**
+ * Rule quantity where the profile drifts from the official value
+ * @typedef {Object} RuleDrift
+ * @property {string} rule - Rule name, e.g. "secondInterval"
+ * @property {string} dimension - Matching dimension key, e.g. "second"
+ * @property {number} official - Official value
+ * @property {number} derived - Value derived from the profile
+ * @property {number} drift - derived - official
+ */
+
+const RULE_DIMENSIONS = {
+  firstInterval: "first",
+  secondInterval: "second",
+  thirdInterval: "third",
+  backDistance: "back",
+  width: "width",
+};
+
+/**
+ * Compare profile geometry with official values
+ * Without rules (custom profiles) only the side lines are checked against
+ * the profile's own back boundary width.
+ * @param {FieldProfile} profile - Field profile
+ * @param {FieldRules|null} [rules] - Official values
+ * @returns {Array<RuleDrift>} Quantities outside tolerance
+ */
+export const checkFieldProfile = (profile, rules = null) => {
+  const derived = measureFieldProfile(profile);
+  const official = rules || { width: profile.backBoundary.width };
+  const tolerance = rules?.tolerance ?? DEFAULT_RULE_TOLERANCE;
+
+  return Object.entries(RULE_DIMENSIONS)
+    .filter(([rule]) => Number.isFinite(official[rule]))
+    .map(([rule, dimension]) => ({
+      rule,
+      dimension,
+      official: official[rule],
+      derived: derived[rule],
+      drift: derived[rule] - official[rule],
+    }))
+    .filter((item) => Math.abs(item.drift) > tolerance);
+};
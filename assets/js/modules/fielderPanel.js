@@ -0,0 +1,296 @@
+/**
+ * Fielder panel
+ * Shows the fielder layer, applies formations and saves custom ones
+ */
+
+import { COVERAGE_COLORS, DEFAULT_FIELDER_SPEED } from "./coverage.js";
+import { customConfirm } from "./dialogs.js";
+import {
+  addFormation,
+  deleteFormation,
+  FIELDER_ROLES,
+  getFielders,
+  listFormations,
+  toFormationPositions,
+} from "./fielders.js";
+import { formatMeters, formatSquareMeters } from "./geometry.js";
+import { store } from "./state.js";
+import { translate } from "./text.js";
+
+/**
+ * Display name of a formation
+ * @param {Formation} formation
+ * @returns {string}
+ */
+export const getFormationLabel = (formation) =>
+  formation.labelKey
+    ? translate(formation.labelKey, formation.name)
+    : formation.name;
+
+/**
+ * Initialize fielder panel
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.getGeometry - Returns geometry of the active field
+ * @param {Function} deps.getCoverage - Returns CoverageRegions in FIELDER_ROLES order
+ * @param {Function} deps.onChange - Called after the layer changes
+ */
+export const initFielderPanel = ({ getGeometry, getCoverage, onChange }) => {
+  const toggle = document.getElementById("fielderToggle");
+  const list = document.getElementById("formationList");
+  const saveForm = document.getElementById("formationSaveForm");
+  const nameInput = document.getElementById("formationName");
+  const legend = document.getElementById("fielderLegend");
+  const coverageToggle = document.getElementById("coverageToggle");
+  const weightedToggle = document.getElementById("coverageWeighted");
+  const coverageTable = document.getElementById("coverageTable");
+  const coverageRows = document.getElementById("coverageRows");
+  const coverageSummary = document.getElementById("coverageSummary");
+
+  if (!toggle || !list) return;
+
+  /**
+   * Start from a formation
+   * @param {Formation} formation
+   */
+  const applyFormation = (formation) => {
+    store.setState({
+      formationId: formation.id,
+      fielders: null,
+      showFielders: true,
+    });
+    onChange();
+  };
+
+  const renderLegend = () => {
+    if (!legend) return;
+    legend.innerHTML = "";
+    FIELDER_ROLES.forEach((role) => {
+      const term = document.createElement("dt");
+      term.textContent = role.short;
+      const description = document.createElement("dd");
+      description.textContent = translate(role.labelKey, role.fallback);
+      legend.append(term, description);
+    });
+  };
+
+  /**
+   * Build one coverage row per fielder
+   * Rows are kept while dragging so speed inputs keep their focus.
+   */
+  const renderCoverageRows = () => {
+    if (!coverageRows) return;
+    coverageRows.innerHTML = "";
+
+    FIELDER_ROLES.forEach((role, index) => {
+      const row = document.createElement("tr");
+      row.dataset.role = role.id;
+
+      const name = document.createElement("th");
+      name.scope = "row";
+      const swatch = document.createElement("span");
+      swatch.className = "coverage-swatch";
+      swatch.style.backgroundColor =
+        COVERAGE_COLORS[index % COVERAGE_COLORS.length];
+      name.append(swatch, role.short);
+      name.title = translate(role.labelKey, role.fallback);
+
+      const speedCell = document.createElement("td");
+      const speed = document.createElement("input");
+      speed.type = "number";
+      speed.min = "1";
+      speed.max = "12";
+      speed.step = "0.5";
+      speed.className = "coverage-speed";
+      speed.setAttribute(
+        "aria-label",
+        `${translate("fielders.coverage.speed", "Nopeus (m/s)")}: ${translate(role.labelKey, role.fallback)}`,
+      );
+      speed.addEventListener("change", () => {
+        const value = parseFloat(speed.value);
+        const { fielderSpeeds } = store.getState();
+        if (!Number.isFinite(value) || value <= 0) {
+          speed.value = fielderSpeeds?.[role.id] ?? DEFAULT_FIELDER_SPEED;
+          return;
+        }
+        store.setState({
+          fielderSpeeds: { ...fielderSpeeds, [role.id]: value },
+        });
+        onChange();
+      });
+      speedCell.appendChild(speed);
+
+      const area = document.createElement("td");
+      area.dataset.coverage = "area";
+      const worst = document.createElement("td");
+      worst.dataset.coverage = "worst";
+
+      row.append(name, speedCell, area, worst);
+      coverageRows.appendChild(row);
+    });
+  };
+
+  /**
+   * Fill coverage rows with the current regions
+   */
+  const updateCoverage = () => {
+    if (!coverageTable || !coverageRows) return;
+    const { showCoverage, coverageWeighted, fielderSpeeds } = store.getState();
+
+    if (coverageToggle) coverageToggle.checked = showCoverage;
+    if (weightedToggle) weightedToggle.checked = coverageWeighted;
+    coverageTable.hidden = !showCoverage;
+    if (coverageSummary) coverageSummary.hidden = !showCoverage;
+    if (!showCoverage) return;
+
+    const regions = getCoverage();
+    regions.forEach((region) => {
+      const row = coverageRows.querySelector(`[data-role="${region.role}"]`);
+      if (!row) return;
+
+      const speed = row.querySelector("input");
+      speed.disabled = !coverageWeighted;
+      if (document.activeElement !== speed) {
+        speed.value = fielderSpeeds?.[region.role] ?? DEFAULT_FIELDER_SPEED;
+      }
+      row.querySelector('[data-coverage="area"]').textContent =
+        formatSquareMeters(region.area);
+      row.querySelector('[data-coverage="worst"]').textContent =
+        region.worstTime === null
+          ? formatMeters(region.worstDistance)
+          : `${formatMeters(region.worstDistance)} · ${region.worstTime.toFixed(1)} s`;
+    });
+
+    if (coverageSummary) {
+      // The formation is only as good as its longest run
+      const measure = (region) =>
+        coverageWeighted ? region.worstTime : region.worstDistance;
+      const weakest = regions.reduce(
+        (worst, region) =>
+          !worst || measure(region) > measure(worst) ? region : worst,
+        null,
+      );
+      const role = FIELDER_ROLES.find(({ id }) => id === weakest?.role);
+      if (!role) {
+        coverageSummary.textContent = "";
+      } else if (coverageWeighted) {
+        coverageSummary.textContent = `${translate("fielders.coverage.slowest", "Pisin aika")}: ${translate(role.labelKey, role.fallback)}, ${weakest.worstTime.toFixed(1)} s`;
+      } else {
+        coverageSummary.textContent = `${translate("fielders.coverage.longest", "Pisin matka")}: ${translate(role.labelKey, role.fallback)}, ${formatMeters(weakest.worstDistance)}`;
+      }
+    }
+  };
+
+  let renderedKey = null;
+
+  /**
+   * Rebuild formation list
+   * @param {boolean} [force] - Rebuild even if nothing shown has changed
+   */
+  const render = (force = false) => {
+    const { formationId, fielders, showFielders } = store.getState();
+    // Store updates on every drag step, skip those that change nothing here
+    const key = `${formationId}|${Boolean(fielders)}|${showFielders}`;
+    if (!force && key === renderedKey) return;
+    renderedKey = key;
+
+    toggle.checked = showFielders;
+    list.innerHTML = "";
+
+    listFormations().forEach((formation) => {
+      const item = document.createElement("li");
+      item.className = "formation-item";
+
+      const apply = document.createElement("button");
+      apply.type = "button";
+      apply.className = "tool-button";
+      // Moved fielders no longer match the formation exactly
+      apply.classList.toggle(
+        "active",
+        formation.id === formationId && !fielders,
+      );
+      apply.textContent = getFormationLabel(formation);
+      apply.addEventListener("click", () => applyFormation(formation));
+      item.appendChild(apply);
+
+      if (formation.custom) {
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "side-panel__close";
+        remove.textContent = "×";
+        remove.setAttribute(
+          "aria-label",
+          translate("fielders.deleteFormation", "Poista muodostelma"),
+        );
+        remove.addEventListener("click", async () => {
+          const confirmed = await customConfirm(
+            translate(
+              "fielders.confirmDelete",
+              "Poistetaanko oma muodostelma?",
+            ),
+          );
+          if (confirmed) deleteFormation(formation.id);
+        });
+        item.appendChild(remove);
+      }
+
+      list.appendChild(item);
+    });
+  };
+
+  toggle.addEventListener("change", () => {
+    store.setState({ showFielders: toggle.checked });
+    onChange();
+  });
+
+  if (saveForm && nameInput) {
+    saveForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const name = nameInput.value.trim();
+      if (!name) return;
+
+      const geometry = getGeometry();
+      const formation = addFormation(
+        name,
+        toFormationPositions(getFielders(store.getState(), geometry), geometry),
+      );
+      nameInput.value = "";
+      applyFormation(formation);
+    });
+  }
+
+  if (coverageToggle) {
+    coverageToggle.addEventListener("change", () => {
+      // Regions are drawn under the fielder tokens
+      store.setState(
+        coverageToggle.checked
+          ? { showCoverage: true, showFielders: true }
+          : { showCoverage: false },
+      );
+      onChange();
+    });
+  }
+
+  if (weightedToggle) {
+    weightedToggle.addEventListener("change", () => {
+      store.setState({ coverageWeighted: weightedToggle.checked });
+      onChange();
+    });
+  }
+
+  store.subscribe(() => {
+    render();
+    updateCoverage();
+  });
+  window.addEventListener("formationsChanged", () => render(true));
+  window.addEventListener("languageChanged", () => {
+    renderLegend();
+    renderCoverageRows();
+    render(true);
+    updateCoverage();
+  });
+  window.addEventListener("unitChanged", updateCoverage);
+  renderLegend();
+  renderCoverageRows();
+  render(true);
+  updateCoverage();
+};
@@ -0,0 +1,288 @@
+/**
+ * Fielder module
+ * Defensive roles, preset and user-saved formations
+ */
+
+import { distanceBetween } from "./geometry.js";
+import { readVersioned, writeVersioned } from "./persistence.js";
+
+const FORMATION_STORAGE_KEY = "fielderFormations";
+const FORMATION_VERSION = 1;
+
+export const DEFAULT_FORMATION_ID = "standard";
+
+// Token radius in meters
+export const FIELDER_RADIUS = 1.2;
+
+/**
+ * Fielder on the field
+ * @typedef {Object} Fielder
+ * @property {string} role - Role id from FIELDER_ROLES
+ * @property {number} x - X coordinate in meters
+ * @property {number} y - Y coordinate in meters
+ */
+
+/**
+ * Formation position relative to the field
+ * u runs from the left side line (-1) to the right one (1),
+ * v from the home line (0) to the back boundary (1).
+ * @typedef {Object} FormationPosition
+ * @property {number} u - Share of the half width
+ * @property {number} v - Share of the field length
+ */
+
+/**
+ * Formation
+ * @typedef {Object} Formation
+ * @property {string} id - Formation id
+ * @property {string|null} labelKey - i18n key for preset names
+ * @property {string} name - Name (fallback for presets)
+ * @property {boolean} custom - True for user-saved formations
+ * @property {Object<string, FormationPosition>} positions - Positions by role
+ */
+
+/**
+ * Defensive roles in drawing order
+ * @type {Array<{id: string, short: string, labelKey: string, fallback: string}>}
+ */
+export const FIELDER_ROLES = [
+  { id: "lukkari", short: "L", fallback: "Lukkari" },
+  { id: "sieppari", short: "S", fallback: "Sieppari" },
+  { id: "ykkosvahti", short: "1V", fallback: "Ykkösvahti" },
+  { id: "kakkosvahti", short: "2V", fallback: "Kakkosvahti" },
+  { id: "kolmosvahti", short: "3V", fallback: "Kolmosvahti" },
+  { id: "kakkospolttaja", short: "2P", fallback: "Kakkospolttaja" },
+  { id: "kolmospolttaja", short: "3P", fallback: "Kolmospolttaja" },
+  { id: "kakkoskoppari", short: "2K", fallback: "Kakkoskoppari" },
+  { id: "kolmoskoppari", short: "3K", fallback: "Kolmoskoppari" },
+].map((role) => ({ ...role, labelKey: `fielders.roles.${role.id}` }));
+
+/**
+ * Preset formations, scaled to every field profile
+ * @type {Array<Formation>}
+ */
+export const PRESET_FORMATIONS = [
+  {
+    id: DEFAULT_FORMATION_ID,
+    labelKey: "fielders.formations.standard",
+    name: "Perusasetelma",
+    custom: false,
+    positions: {
+      lukkari: { u: 0, v: 0 },
+      sieppari: { u: 0.05, v: 0.33 },
+      ykkosvahti: { u: -0.45, v: 0.2 },
+      kakkosvahti: { u: 0.82, v: 0.43 },
+      kolmosvahti: { u: -0.82, v: 0.43 },
+      kakkospolttaja: { u: 0.55, v: 0.56 },
+      kolmospolttaja: { u: -0.55, v: 0.56 },
+      kakkoskoppari: { u: 0.4, v: 0.76 },
+      kolmoskoppari: { u: -0.4, v: 0.76 },
+    },
+  },
+  {
+    id: "deep",
+    labelKey: "fielders.formations.deep",
+    name: "Syvä puolustus",
+    custom: false,
+    positions: {
+      lukkari: { u: 0, v: 0 },
+      sieppari: { u: 0, v: 0.4 },
+      ykkosvahti: { u: -0.45, v: 0.22 },
+      kakkosvahti: { u: 0.82, v: 0.45 },
+      kolmosvahti: { u: -0.82, v: 0.45 },
+      kakkospolttaja: { u: 0.5, v: 0.64 },
+      kolmospolttaja: { u: -0.5, v: 0.64 },
+      kakkoskoppari: { u: 0.4, v: 0.86 },
+      kolmoskoppari: { u: -0.4, v: 0.86 },
+    },
+  },
+  {
+    id: "tight",
+    labelKey: "fielders.formations.tight",
+    name: "Tiivis puolustus",
+    custom: false,
+    positions: {
+      lukkari: { u: 0, v: 0 },
+      sieppari: { u: 0.05, v: 0.28 },
+      ykkosvahti: { u: -0.42, v: 0.18 },
+      kakkosvahti: { u: 0.8, v: 0.4 },
+      kolmosvahti: { u: -0.8, v: 0.4 },
+      kakkospolttaja: { u: 0.5, v: 0.5 },
+      kolmospolttaja: { u: -0.5, v: 0.5 },
+      kakkoskoppari: { u: 0.35, v: 0.64 },
+      kolmoskoppari: { u: -0.35, v: 0.64 },
+    },
+  },
+];
+
+/** @type {Array<Formation>} */
+let customFormations = [];
+
+/**
+ * Field frame used to scale formations
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {{halfWidth: number, homeLineY: number, length: number}}
+ */
+const getFieldFrame = (geometry) => ({
+  halfWidth: geometry.diagonalRightEnd.x,
+  homeLineY: geometry.homeLeft.y,
+  length: geometry.leftVerticalEnd.y - geometry.homeLeft.y,
+});
+
+/**
+ * Place formation on a field
+ * @param {Formation} formation - Formation to lay out
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {Array<Fielder>} Fielders in FIELDER_ROLES order
+ */
+export const layoutFormation = (formation, geometry) => {
+  const frame = getFieldFrame(geometry);
+  return FIELDER_ROLES.map(({ id }) => {
+    const position = formation.positions[id] || { u: 0, v: 0 };
+    return {
+      role: id,
+      x: position.u * frame.halfWidth,
+      y: frame.homeLineY + position.v * frame.length,
+    };
+  });
+};
+
+/**
+ * Turn fielders into field-relative positions
+ * @param {Array<Fielder>} fielders - Fielders on the field
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {Object<string, FormationPosition>} Positions by role
+ */
+export const toFormationPositions = (fielders, geometry) => {
+  const frame = getFieldFrame(geometry);
+  return Object.fromEntries(
+    fielders.map((fielder) => [
+      fielder.role,
+      {
+        u: fielder.x / frame.halfWidth,
+        v: (fielder.y - frame.homeLineY) / frame.length,
+      },
+    ]),
+  );
+};
+
+/**
+ * List preset and saved formations
+ * @returns {Array<Formation>}
+ */
+export const listFormations = () => [...PRESET_FORMATIONS, ...customFormations];
+
+/**
+ * Get formation by id
+ * @param {string} id - Formation id
+ * @returns {Formation|undefined}
+ */
+export const getFormation = (id) =>
+  listFormations().find((formation) => formation.id === id);
+
+/**
+ * Fielders to show for the current state
+ * @param {AppState} state - Store state
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {Array<Fielder>}
+ */
+export const getFielders = (state, geometry) =>
+  state.fielders ||
+  layoutFormation(
+    getFormation(state.formationId) || PRESET_FORMATIONS[0],
+    geometry,
+  );
+
+/**
+ * Find fielder token under a point
+ * @param {Point} point - Point in field coordinates
+ * @param {Array<Fielder>} fielders - Fielders on the field
+ * @returns {string|null} Role id or null
+ */
+export const getFielderUnderPoint = (point, fielders) => {
+  // Last drawn token is on top
+  const hit = [...fielders]
+    .reverse()
+    .find((fielder) => distanceBetween(point, fielder) <= FIELDER_RADIUS);
+  return hit ? hit.role : null;
+};
+
+/**
+ * Move one fielder
+ * @param {Array<Fielder>} fielders - Fielders on the field
+ * @param {string} role - Role id
+ * @param {Point} point - New position
+ * @returns {Array<Fielder>} Updated fielders
+ */
+export const moveFielder = (fielders, role, point) =>
+  fielders.map((fielder) =>
+    fielder.role === role ? { role, x: point.x, y: point.y } : fielder,
+  );
+
+const notifyFormationsChanged = () => {
+  window.dispatchEvent(new CustomEvent("formationsChanged"));
+};
+
+/**
+ * Save formation under a name
+ * @param {string} name - Formation name
+ * @param {Object<string, FormationPosition>} positions - Positions by role
+ * @returns {Formation} Saved formation
+ */
+export const addFormation = (name, positions) => {
+  const formation = {
+    id: `formation-${Date.now().toString(36)}`,
+    labelKey: null,
+    name: name.trim(),
+    custom: true,
+    positions,
+  };
+  customFormations = [...customFormations, formation];
+  notifyFormationsChanged();
+  return formation;
+};
+
+/**
+ * Delete saved formation
+ * @param {string} id - Formation id
+ * @returns {boolean} True if a formation was removed
+ */
+export const deleteFormation = (id) => {
+  const before = customFormations.length;
+  customFormations = customFormations.filter(
+    (formation) => formation.id !== id,
+  );
+  if (customFormations.length === before) return false;
+  notifyFormationsChanged();
+  return true;
+};
+
+const isPosition = (value) =>
+  Number.isFinite(value?.u) && Number.isFinite(value?.v);
+
+/**
+ * Load saved formations and save whenever they change
+ */
+export const initFormationStorage = () => {
+  const stored = readVersioned(FORMATION_STORAGE_KEY, {
+    version: FORMATION_VERSION,
+  });
+  customFormations = Array.isArray(stored?.formations)
+    ? stored.formations
+        .filter(
+          (formation) =>
+            typeof formation.id === "string" &&
+            typeof formation.name === "string" &&
+            FIELDER_ROLES.every(({ id }) =>
+              isPosition(formation.positions?.[id]),
+            ),
+        )
+        .map((formation) => ({ ...formation, labelKey: null, custom: true }))
+    : [];
+
+  window.addEventListener("formationsChanged", () => {
+    writeVersioned(FORMATION_STORAGE_KEY, FORMATION_VERSION, {
+      formations: customFormations,
+    });
+  });
+};
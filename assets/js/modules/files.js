@@ -0,0 +1,55 @@
+/**
+ * File helpers
+ * Download generated files and read files picked by the user
+ */
+
+/**
+ * Offer text content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} [mimeType] - MIME type of the content
+ */
+export const downloadTextFile = (
+  filename,
+  content,
+  mimeType = "application/json",
+) => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Read picked file as text
+ * @param {File} file - File from an input element
+ * @returns {Promise<string>} File content
+ */
+export const readTextFile = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+/**
+ * Turn free text into a safe file name
+ * @param {string} name - Text such as a profile name
+ * @param {string} extension - Extension without dot
+ * @returns {string} File name
+ */
+export const toFileName = (name, extension) => {
+  const base = name
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-zA-Z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .toLowerCase();
+  return `${base || "pesiskulma"}.${extension}`;
+};
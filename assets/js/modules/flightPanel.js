@@ -0,0 +1,105 @@
+/**
+ * Ball flight panel
+ * PesisKulma controls for exit speed and launch angle with flight results
+ */
+
+import { formatMeters } from "./geometry.js";
+import { store } from "./state.js";
+import { translate } from "./text.js";
+
+export const LANDING_LABELS = {
+  field: "Kentälle",
+  beyondBack: "Takarajan yli",
+  outsideSector: "Lyöntisektorin ulkopuolelle",
+};
+
+/**
+ * Display name of a landing status
+ * @param {string} status - Status from classifyLanding
+ * @returns {string}
+ */
+export const getLandingLabel = (status) =>
+  translate(`flight.landing.${status}`, LANDING_LABELS[status]);
+
+/**
+ * Initialize ball flight panel
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.getFlight - Returns {flight, status} or null when off
+ * @param {Function} deps.onChange - Called after settings change
+ */
+export const initFlightPanel = ({ getFlight, onChange }) => {
+  const toggle = document.getElementById("flightToggle");
+  const speedInput = document.getElementById("exitSpeed");
+  const angleInput = document.getElementById("launchAngle");
+  const contactInput = document.getElementById("contactHeight");
+  const pitchInput = document.getElementById("pitchHeight");
+  const result = document.getElementById("flightResult");
+
+  if (!toggle || !speedInput || !angleInput) return;
+
+  const fields = {
+    carry: result?.querySelector('[data-flight="carry"]'),
+    flightTime: result?.querySelector('[data-flight="flightTime"]'),
+    maxHeight: result?.querySelector('[data-flight="maxHeight"]'),
+    status: result?.querySelector('[data-flight="status"]'),
+  };
+
+  const render = () => {
+    const state = store.getState();
+    toggle.checked = state.showFlight;
+    [
+      [speedInput, "exitSpeed"],
+      [angleInput, "launchAngleDeg"],
+      [contactInput, "contactHeight"],
+      [pitchInput, "pitchHeight"],
+    ].forEach(([input, key]) => {
+      if (input && document.activeElement !== input) input.value = state[key];
+    });
+
+    if (!result) return;
+    const current = getFlight();
+    result.hidden = !current;
+    if (!current) return;
+
+    const { flight, status } = current;
+    fields.carry.textContent = formatMeters(flight.carry);
+    fields.flightTime.textContent = `${flight.flightTime.toFixed(2)} s`;
+    fields.maxHeight.textContent = formatMeters(flight.maxHeight);
+    fields.status.textContent = getLandingLabel(status);
+    fields.status.dataset.status = status;
+  };
+
+  /**
+   * Store a number input when it is valid
+   * @param {HTMLInputElement} input - Input element
+   * @param {string} key - State key
+   * @param {number} min - Smallest allowed value
+   * @param {number} max - Largest allowed value
+   */
+  const bindNumber = (input, key, min, max) => {
+    input.addEventListener("change", () => {
+      const value = parseFloat(input.value);
+      if (!Number.isFinite(value) || value < min || value > max) {
+        input.value = store.getState()[key];
+        return;
+      }
+      store.setState({ [key]: value });
+      onChange();
+    });
+  };
+
+  toggle.addEventListener("change", () => {
+    store.setState({ showFlight: toggle.checked });
+    onChange();
+  });
+  bindNumber(speedInput, "exitSpeed", 1, 250);
+  bindNumber(angleInput, "launchAngleDeg", -30, 89);
+  if (contactInput) bindNumber(contactInput, "contactHeight", 0, 3);
+  // Pitches under the rule minimum are allowed so the chart can flag them
+  if (pitchInput) bindNumber(pitchInput, "pitchHeight", 0, 10);
+
+  store.subscribe(render);
+  window.addEventListener("languageChanged", render);
+  window.addEventListener("unitChanged", render);
+  render();
+};
@@ -18,6 +18,10 @@
  * @property {number} [length] - Line length
  */
 
+// How far inside the base circle edge the base lines start (meters), as
+// on the original field drawings. A drawing detail, not a rule quantity.
+const BASE_LINE_INSET = 0.2;
+
 /**
  * Calculate distance between two points
  * @param {Point} a - First point
@@ -181,6 +185,133 @@ export const formatMeters = (value) => {
   return Number.isInteger(rounded) ? `${rounded} m` : `${rounded.toFixed(1)} m`;
 };
 
+/**
+ * Format signed difference in meters (or imperial)
+ * @param {number} value - Difference in meters
+ * @returns {string} Formatted difference with sign, e.g. "+2.5 m"
+ */
+export const formatMetersDelta = (value) => {
+  // Treat rounding noise as no difference
+  if (Math.abs(value) < 0.05) return `±${formatMeters(0)}`;
+  return `${value > 0 ? "+" : "−"}${formatMeters(Math.abs(value))}`;
+};
+
+/**
+ * Format area in square meters (or square feet)
+ * @param {number} value - Area in m²
+ * @returns {string} Formatted string
+ */
+export const formatSquareMeters = (value) => {
+  if (window.unitSystem) {
+    return window.unitSystem.formatSquareMeters(value);
+  }
+  return `${Math.round(value)} m²`;
+};
+
+/**
+ * Format signed area difference
+ * @param {number} value - Difference in m²
+ * @returns {string} Formatted difference with sign, e.g. "+540 m²"
+ */
+export const formatSquareMetersDelta = (value) => {
+  if (Math.abs(value) < 0.5) return `±${formatSquareMeters(0)}`;
+  return `${value > 0 ? "+" : "−"}${formatSquareMeters(Math.abs(value))}`;
+};
+
+/**
+ * Calculate polygon area (shoelace formula)
+ * @param {Array<Point>} points - Polygon corners in order
+ * @returns {number} Area in m²
+ */
+export const polygonArea = (points) =>
+  Math.abs(
+    points.reduce((sum, point, index) => {
+      const next = points[(index + 1) % points.length];
+      return sum + point.x * next.y - next.x * point.y;
+    }, 0),
+  ) / 2;
+
+/**
+ * Check if point is inside polygon (ray casting)
+ * @param {Point} point - Point to test
+ * @param {Array<Point>} polygon - Polygon corners in order
+ * @returns {boolean}
+ */
+export const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+  polygon.forEach((current, index) => {
+    const previous = polygon[(index + polygon.length - 1) % polygon.length];
+    if (
+      current.y > point.y !== previous.y > point.y &&
+      point.x <
+        ((previous.x - current.x) * (point.y - current.y)) /
+          (previous.y - current.y) +
+          current.x
+    ) {
+      inside = !inside;
+    }
+  });
+  return inside;
+};
+
+// Fielders in a pesäpallo defence
+export const FIELDER_COUNT = 9;
+
+/**
+ * Build zone polygons from field geometry
+ * The infield ends at the line from third to second base; the outfield is
+ * the rest of the field behind it.
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {{field: Array<Point>, battingSector: Array<Point>, infield: Array<Point>, outfield: Array<Point>}}
+ */
+export const calculateFieldZones = (geometry) => ({
+  field: [
+    geometry.homeLeft,
+    geometry.diagonalLeftEnd,
+    geometry.leftVerticalEnd,
+    geometry.rightVerticalEnd,
+    geometry.diagonalRightEnd,
+    geometry.homeRight,
+  ],
+  battingSector: [
+    geometry.homeLeft,
+    geometry.diagonalLeftEnd,
+    geometry.diagonalRightEnd,
+    geometry.homeRight,
+  ],
+  infield: [
+    geometry.homeLeft,
+    geometry.diagonalLeftEnd,
+    geometry.thirdBaseCenter,
+    geometry.secondBaseCenter,
+    geometry.diagonalRightEnd,
+    geometry.homeRight,
+  ],
+  outfield: [
+    geometry.thirdBaseCenter,
+    geometry.leftVerticalEnd,
+    geometry.rightVerticalEnd,
+    geometry.secondBaseCenter,
+  ],
+});
+
+/**
+ * Calculate zone areas
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {{fieldArea: number, sectorArea: number, infieldArea: number, outfieldArea: number, areaPerFielder: number}} Areas in m²
+ */
+export const calculateFieldAreas = (geometry) => {
+  const zones = calculateFieldZones(geometry);
+  const fieldArea = polygonArea(zones.field);
+  return {
+    fieldArea,
+    sectorArea: polygonArea(zones.battingSector),
+    infieldArea: polygonArea(zones.infield),
+    outfieldArea: polygonArea(zones.outfield),
+    areaPerFielder: fieldArea / FIELDER_COUNT,
+  };
+};
+
 /**
  * Calculate complete field geometry from profile
  * @param {FieldProfile} fieldProfile - Field configuration
@@ -259,10 +390,8 @@ export const calculateGeometry = (fieldProfile, editablePoints, scale = 1) => {
   const baseLineLength = fieldProfile.baseLineLength || 5.0;
   const baseRadius = fieldProfile.baseRadius;
 
-  // Pixel correction from original code (1/SCALE where SCALE=5)
-  const lineHalfWidth = 0.2;
-  const secondBaseLineY = secondBaseCenter.y - baseRadius + lineHalfWidth;
-  const thirdBaseLineY = thirdBaseCenter.y - baseRadius + lineHalfWidth;
+  const secondBaseLineY = secondBaseCenter.y - baseRadius + BASE_LINE_INSET;
+  const thirdBaseLineY = thirdBaseCenter.y - baseRadius + BASE_LINE_INSET;
 
   // Base lines (these need SCALE for proper rendering - handled in rendering module)
   const secondBaseLine = {
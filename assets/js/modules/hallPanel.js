@@ -0,0 +1,367 @@
+/**
+ * Training hall panel
+ * Edits hall floor plans and shows whether the net setup fits the hall
+ */
+
+import { customConfirm } from "./dialogs.js";
+import { formatMeters } from "./geometry.js";
+import {
+  addHall,
+  deleteHall,
+  getSelectedHall,
+  HALL_SURFACES,
+  isValidHall,
+  listHalls,
+  selectHall,
+  updateHall,
+} from "./halls.js";
+import { store } from "./state.js";
+import { translate } from "./text.js";
+
+const OBSTACLE_FIELDS = ["x", "y", "width", "depth", "height"];
+
+const OBSTACLE_LABELS = {
+  x: "Vasemmasta seinästä (m)",
+  y: "Takaseinästä (m)",
+  width: "Leveys (m)",
+  depth: "Syvyys (m)",
+  height: "Korkeus (m)",
+};
+
+/**
+ * Display name of a hall surface
+ * @param {string} surface - Key of HALL_SURFACES
+ * @returns {string}
+ */
+export const getSurfaceLabel = (surface) =>
+  translate(`halls.surfaces.${surface}`, HALL_SURFACES[surface]);
+
+/**
+ * Format angle from straight ahead
+ * @param {number} angleDeg
+ * @returns {string} e.g. "28.5°"
+ */
+const formatAngle = (angleDeg) => `${Math.abs(angleDeg).toFixed(1)}°`;
+
+/**
+ * Hall analysis for the current setup
+ * @typedef {Object} HallAnalysis
+ * @property {Hall} hall - Selected hall
+ * @property {NetFit|null} fit - Net placement check, null without a net
+ * @property {{left: HallReach, right: HallReach}|null} reach - Widest hits, null without a net
+ * @property {HallHit|null} impact - First surface the current hit meets, null without a target
+ */
+
+/**
+ * Initialize training hall panel
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.getAnalysis - Returns HallAnalysis of the current setup
+ * @param {Function} deps.onChange - Called after the hall or its visibility changes
+ */
+export const initHallPanel = ({ getAnalysis, onChange }) => {
+  const panel = document.getElementById("hallPanel");
+  const hallSelect = document.getElementById("hallSelect");
+  const nameInput = document.getElementById("hallName");
+  const widthInput = document.getElementById("hallWidth");
+  const lengthInput = document.getElementById("hallLength");
+  const ceilingInput = document.getElementById("hallCeiling");
+  const plateXInput = document.getElementById("hallPlateX");
+  const plateYInput = document.getElementById("hallPlateY");
+  const addButton = document.getElementById("hallAdd");
+  const deleteButton = document.getElementById("hallDelete");
+  const obstacleList = document.getElementById("hallObstacles");
+  const obstacleAddButton = document.getElementById("hallObstacleAdd");
+  const showToggle = document.getElementById("hallShowToggle");
+  const results = document.getElementById("hallResults");
+
+  if (!panel || !hallSelect || !results) return;
+
+  const numberInputs = {
+    width: widthInput,
+    length: lengthInput,
+    ceilingHeight: ceilingInput,
+    plateX: plateXInput,
+    plateY: plateYInput,
+  };
+
+  /**
+   * Save hall changes if the hall stays valid
+   * @param {Partial<Hall>} changes
+   * @returns {boolean} True if saved
+   */
+  const applyChanges = (changes) => {
+    const hall = getSelectedHall();
+    if (!isValidHall({ ...hall, ...changes })) return false;
+    updateHall(hall.id, changes);
+    return true;
+  };
+
+  const renderObstacles = () => {
+    if (!obstacleList) return;
+    const { obstacles } = getSelectedHall();
+    obstacleList.innerHTML = "";
+
+    obstacles.forEach((obstacle, index) => {
+      const item = document.createElement("li");
+      item.className = "hall-obstacle";
+
+      const title = document.createElement("span");
+      title.className = "hall-obstacle__title";
+      title.textContent = `${translate("halls.obstacle", "Este")} ${index + 1}`;
+      item.appendChild(title);
+
+      OBSTACLE_FIELDS.forEach((field) => {
+        const label = document.createElement("label");
+        label.className = "panel-field";
+        const text = document.createElement("span");
+        text.textContent = translate(
+          `halls.obstacleFields.${field}`,
+          OBSTACLE_LABELS[field],
+        );
+        const input = document.createElement("input");
+        input.type = "number";
+        input.step = "0.1";
+        input.value = obstacle[field];
+        input.addEventListener("change", () => {
+          const next = [...getSelectedHall().obstacles];
+          next[index] = { ...next[index], [field]: parseFloat(input.value) };
+          if (!applyChanges({ obstacles: next })) {
+            input.value = obstacle[field];
+          }
+        });
+        label.append(text, input);
+        item.appendChild(label);
+      });
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "tool-button";
+      remove.textContent = translate("halls.removeObstacle", "Poista este");
+      remove.addEventListener("click", () => {
+        applyChanges({
+          obstacles: getSelectedHall().obstacles.filter(
+            (_, position) => position !== index,
+          ),
+        });
+      });
+      item.appendChild(remove);
+
+      obstacleList.appendChild(item);
+    });
+  };
+
+  const renderHalls = () => {
+    const selected = getSelectedHall();
+    hallSelect.innerHTML = "";
+    listHalls().forEach((hall) => {
+      const option = document.createElement("option");
+      option.value = hall.id;
+      option.textContent = hall.name;
+      hallSelect.appendChild(option);
+    });
+    hallSelect.value = selected.id;
+
+    if (nameInput && document.activeElement !== nameInput) {
+      nameInput.value = selected.name;
+    }
+    Object.entries(numberInputs).forEach(([key, input]) => {
+      if (input && document.activeElement !== input) {
+        input.value = selected[key];
+      }
+    });
+    if (deleteButton) deleteButton.disabled = listHalls().length <= 1;
+    renderObstacles();
+  };
+
+  /**
+   * Add a result row
+   * @param {string} label - Row title
+   * @param {string} value - Row value
+   * @param {boolean|null} [isOk] - Colours the value, null leaves it plain
+   */
+  const addResult = (label, value, isOk = null) => {
+    const title = document.createElement("dt");
+    title.textContent = label;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    if (isOk !== null) detail.dataset.status = isOk ? "ok" : "warning";
+    results.append(title, detail);
+  };
+
+  /**
+   * Describe the widest hit to one side
+   * @param {HallReach} reach
+   * @returns {string}
+   */
+  const describeReach = (reach) => {
+    if (reach.maxAngleDeg === null) {
+      return translate(
+        "halls.reachBlocked",
+        "Suora lyönti ei osu verkkoon: {surface}",
+      ).replace("{surface}", getSurfaceLabel(reach.blockedBy));
+    }
+    let text = formatAngle(reach.maxAngleDeg);
+    if (reach.sectorAngleDeg !== null) {
+      text += ` (${translate("halls.sectorLine", "sektoriraja")} ${formatAngle(
+        reach.sectorAngleDeg,
+      )})`;
+    }
+    if (reach.blockedBy) {
+      text += ` · ${getSurfaceLabel(reach.blockedBy)}`;
+    }
+    return text;
+  };
+
+  const renderResults = () => {
+    const { fit, reach, impact } = getAnalysis();
+    results.innerHTML = "";
+
+    if (!fit) {
+      addResult(
+        translate("halls.net", "Verkko"),
+        translate(
+          "halls.noNet",
+          "Syötä verkon etäisyys nähdäksesi, mahtuuko verkko",
+        ),
+      );
+    } else if (fit.fits) {
+      addResult(
+        translate("halls.net", "Verkko"),
+        translate("halls.fits", "Mahtuu · {space} tilaa verkon takana").replace(
+          "{space}",
+          formatMeters(fit.spaceBehind),
+        ),
+        true,
+      );
+    } else {
+      const messages = {
+        outside: translate(
+          "halls.issues.outside",
+          "Verkko on salin ulkopuolella",
+        ),
+        sideWalls: translate(
+          "halls.issues.sideWalls",
+          "Verkko ei mahdu sivuseinien väliin",
+        ),
+        obstacle: translate("halls.issues.obstacle", "Este on verkon kohdalla"),
+      };
+      addResult(translate("halls.net", "Verkko"), messages[fit.issue], false);
+    }
+
+    if (reach) {
+      addResult(
+        translate("halls.reachLeft", "Laajin lyönti vasemmalle"),
+        describeReach(reach.left),
+        reach.left.reachesSector,
+      );
+      addResult(
+        translate("halls.reachRight", "Laajin lyönti oikealle"),
+        describeReach(reach.right),
+        reach.right.reachesSector,
+      );
+    }
+
+    if (impact) {
+      const isCaught = impact.surface === "net";
+      addResult(
+        translate("halls.impact", "Kohteen lyönti osuu"),
+        `${getSurfaceLabel(impact.surface)} · ${formatMeters(
+          impact.distance,
+        )} · ↑ ${formatMeters(impact.height)}`,
+        isCaught,
+      );
+    }
+  };
+
+  const render = () => {
+    if (!panel.classList.contains("active")) return;
+    renderResults();
+  };
+
+  hallSelect.addEventListener("change", () => selectHall(hallSelect.value));
+
+  if (nameInput) {
+    nameInput.addEventListener("change", () => {
+      const name = nameInput.value.trim();
+      if (name) {
+        updateHall(getSelectedHall().id, { name });
+      } else {
+        nameInput.value = getSelectedHall().name;
+      }
+    });
+  }
+
+  Object.entries(numberInputs).forEach(([key, input]) => {
+    if (!input) return;
+    input.addEventListener("change", () => {
+      if (!applyChanges({ [key]: parseFloat(input.value) })) {
+        input.value = getSelectedHall()[key];
+      }
+    });
+  });
+
+  if (addButton) {
+    addButton.addEventListener("click", () => {
+      const { id, ...values } = getSelectedHall();
+      addHall({
+        ...values,
+        name: `${translate("halls.defaultName", "Sali")} ${listHalls().length + 1}`,
+      });
+      nameInput?.focus();
+    });
+  }
+
+  if (deleteButton) {
+    deleteButton.addEventListener("click", async () => {
+      const confirmed = await customConfirm(
+        translate("halls.confirmDelete", "Poistetaanko sali?"),
+      );
+      if (confirmed) deleteHall(getSelectedHall().id);
+    });
+  }
+
+  if (obstacleAddButton) {
+    obstacleAddButton.addEventListener("click", () => {
+      const hall = getSelectedHall();
+      applyChanges({
+        obstacles: [
+          ...hall.obstacles,
+          // Against the left wall, out of the way of the net
+          {
+            x: 0,
+            y: Math.min(hall.length - 1, hall.plateY + 5),
+            width: 2,
+            depth: 1,
+            height: 2,
+          },
+        ],
+      });
+    });
+  }
+
+  if (showToggle) {
+    showToggle.checked = store.getState().showHall;
+    showToggle.addEventListener("change", () => {
+      store.setState({ showHall: showToggle.checked });
+      onChange();
+    });
+  }
+
+  window.addEventListener("hallsChanged", () => {
+    renderHalls();
+    render();
+    onChange();
+  });
+  panel.addEventListener("panelOpened", render);
+  document
+    .getElementById("netDistance")
+    ?.addEventListener("input", () => render());
+  store.subscribe(render);
+  window.addEventListener("languageChanged", () => {
+    renderObstacles();
+    render();
+  });
+  window.addEventListener("unitChanged", render);
+
+  renderHalls();
+};
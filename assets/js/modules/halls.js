@@ -0,0 +1,552 @@
+/**
+ * Training hall module
+ * Hall floor plans for indoor net sessions, and what the walls, ceiling
+ * and obstacles do to the hits
+ */
+
+import { direction } from "./geometry.js";
+import { distanceFromNet, getNetPosition, intersectNet } from "./net.js";
+import { readVersioned, writeVersioned } from "./persistence.js";
+
+const HALL_STORAGE_KEY = "trainingHalls";
+const HALL_VERSION = 1;
+
+// Angle step when searching the widest hit to each side (degrees)
+const REACH_STEP_DEG = 0.25;
+const MAX_REACH_DEG = 89;
+
+export const HALL_SURFACES = {
+  net: "Verkko",
+  floor: "Lattia",
+  ceiling: "Katto",
+  leftWall: "Vasen seinä",
+  rightWall: "Oikea seinä",
+  frontWall: "Päätyseinä",
+  backWall: "Takaseinä",
+  obstacle: "Este",
+  netEnd: "Verkon pää",
+};
+
+/**
+ * Obstacle on the hall floor, e.g. a stage or a basketball stand
+ * @typedef {Object} HallObstacle
+ * @property {number} x - Distance of the left edge from the left wall (m)
+ * @property {number} y - Distance of the near edge from the back wall (m)
+ * @property {number} width - Size across the hall (m)
+ * @property {number} depth - Size along the hall (m)
+ * @property {number} height - Height from the floor (m)
+ */
+
+/**
+ * Training hall
+ * The batter faces the front wall; the back wall is behind the plate.
+ * @typedef {Object} Hall
+ * @property {string} id - Hall id
+ * @property {string} name - Hall name
+ * @property {number} width - Floor width between the side walls (m)
+ * @property {number} length - Floor length from the back wall to the front wall (m)
+ * @property {number} ceilingHeight - Free height under the ceiling (m)
+ * @property {number} plateX - Plate centre from the left wall (m)
+ * @property {number} plateY - Plate centre from the back wall (m)
+ * @property {Array<HallObstacle>} obstacles - Obstacles on the floor
+ */
+
+/**
+ * Rectangle in field coordinates
+ * @typedef {Object} FieldRect
+ * @property {number} left - Smallest X
+ * @property {number} right - Largest X
+ * @property {number} back - Smallest Y
+ * @property {number} front - Largest Y
+ */
+
+/**
+ * First surface hit
+ * @typedef {Object} HallHit
+ * @property {string} surface - Key of HALL_SURFACES
+ * @property {Point} point - Field point of the hit
+ * @property {number} distance - Ground distance from the start (m)
+ * @property {number} [height] - Ball height at the hit (m)
+ * @property {number} [obstacleIndex] - Index of the obstacle hit
+ */
+
+/**
+ * Widest hit to one side that still ends in the net
+ * @typedef {Object} HallReach
+ * @property {number|null} maxAngleDeg - Widest angle from straight ahead, negative to the left; null if even straight ahead is blocked
+ * @property {number|null} sectorAngleDeg - Angle to where the sector line meets the net
+ * @property {boolean} reachesSector - True if the sector line can be hit into the net
+ * @property {string|null} blockedBy - Surface that stops wider hits
+ * @property {Point|null} netPoint - Net point of the widest hit
+ */
+
+/**
+ * Net placement check
+ * @typedef {Object} NetFit
+ * @property {boolean} fits - True if the net stands inside the hall clear of obstacles
+ * @property {"outside"|"sideWalls"|"obstacle"|null} issue - Why it does not fit
+ * @property {number|null} spaceBehind - Free floor behind the net centre (m)
+ */
+
+/** @type {Hall} */
+export const DEFAULT_HALL = {
+  id: "hall-default",
+  name: "Sali 1",
+  width: 18,
+  length: 30,
+  ceilingHeight: 7,
+  plateX: 9,
+  plateY: 3,
+  obstacles: [],
+};
+
+/** @type {Array<Hall>} */
+let halls = [];
+let selectedHallId = DEFAULT_HALL.id;
+
+const notifyHallsChanged = () => {
+  window.dispatchEvent(new CustomEvent("hallsChanged"));
+};
+
+/**
+ * List halls
+ * @returns {Array<Hall>}
+ */
+export const listHalls = () => [...halls];
+
+/**
+ * Get selected hall
+ * @returns {Hall}
+ */
+export const getSelectedHall = () =>
+  halls.find((hall) => hall.id === selectedHallId) || halls[0];
+
+/**
+ * Select hall
+ * @param {string} id - Hall id
+ */
+export const selectHall = (id) => {
+  if (!halls.some((hall) => hall.id === id)) return;
+  selectedHallId = id;
+  notifyHallsChanged();
+};
+
+/**
+ * Add hall and select it
+ * @param {Omit<Hall, "id">} values - Hall values
+ * @returns {Hall} Added hall
+ */
+export const addHall = (values) => {
+  const hall = {
+    ...values,
+    id: `hall-${Date.now().toString(36)}`,
+  };
+  halls = [...halls, hall];
+  selectedHallId = hall.id;
+  notifyHallsChanged();
+  return hall;
+};
+
+/**
+ * Change hall values
+ * @param {string} id - Hall id
+ * @param {Partial<Hall>} changes - Values to replace
+ * @returns {Hall|null} Updated hall
+ */
+export const updateHall = (id, changes) => {
+  const existing = halls.find((hall) => hall.id === id);
+  if (!existing) return null;
+
+  const updated = { ...existing, ...changes, id };
+  halls = halls.map((hall) => (hall.id === id ? updated : hall));
+  notifyHallsChanged();
+  return updated;
+};
+
+/**
+ * Delete hall (the last one is kept)
+ * @param {string} id - Hall id
+ * @returns {boolean} True if a hall was removed
+ */
+export const deleteHall = (id) => {
+  if (halls.length <= 1 || !halls.some((hall) => hall.id === id)) {
+    return false;
+  }
+  halls = halls.filter((hall) => hall.id !== id);
+  if (selectedHallId === id) selectedHallId = halls[0].id;
+  notifyHallsChanged();
+  return true;
+};
+
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+/**
+ * Check obstacle values
+ * @param {*} value - Obstacle-like value
+ * @returns {boolean}
+ */
+export const isValidObstacle = (value) =>
+  Number.isFinite(value?.x) &&
+  Number.isFinite(value.y) &&
+  isPositive(value.width) &&
+  isPositive(value.depth) &&
+  isPositive(value.height);
+
+/**
+ * Check hall values
+ * The plate has to stand on the hall floor.
+ * @param {*} value - Hall-like value
+ * @returns {boolean}
+ */
+export const isValidHall = (value) =>
+  typeof value?.name === "string" &&
+  isPositive(value.width) &&
+  isPositive(value.length) &&
+  isPositive(value.ceilingHeight) &&
+  Number.isFinite(value.plateX) &&
+  value.plateX >= 0 &&
+  value.plateX <= value.width &&
+  Number.isFinite(value.plateY) &&
+  value.plateY >= 0 &&
+  value.plateY <= value.length &&
+  Array.isArray(value.obstacles) &&
+  value.obstacles.every(isValidObstacle);
+
+/**
+ * Load halls and save whenever they change
+ */
+export const initHallStorage = () => {
+  const stored = readVersioned(HALL_STORAGE_KEY, { version: HALL_VERSION });
+  halls = Array.isArray(stored?.halls)
+    ? stored.halls.filter(
+        (hall) => typeof hall.id === "string" && isValidHall(hall),
+      )
+    : [];
+  if (halls.length === 0) halls = [{ ...DEFAULT_HALL }];
+  selectedHallId = halls.some((hall) => hall.id === stored?.selectedHallId)
+    ? stored.selectedHallId
+    : halls[0].id;
+
+  window.addEventListener("hallsChanged", () => {
+    writeVersioned(HALL_STORAGE_KEY, HALL_VERSION, {
+      halls,
+      selectedHallId,
+    });
+  });
+};
+
+/**
+ * Hall walls in field coordinates (plate centre at the origin)
+ * @param {Hall} hall
+ * @returns {FieldRect}
+ */
+export const getHallBounds = (hall) => ({
+  left: -hall.plateX,
+  right: hall.width - hall.plateX,
+  back: -hall.plateY,
+  front: hall.length - hall.plateY,
+});
+
+/**
+ * Obstacle footprints in field coordinates
+ * @param {Hall} hall
+ * @returns {Array<FieldRect & {height: number}>}
+ */
+export const getObstacleRects = (hall) =>
+  hall.obstacles.map((obstacle) => ({
+    left: obstacle.x - hall.plateX,
+    right: obstacle.x + obstacle.width - hall.plateX,
+    back: obstacle.y - hall.plateY,
+    front: obstacle.y + obstacle.depth - hall.plateY,
+    height: obstacle.height,
+  }));
+
+const isInsideRect = (point, rect) =>
+  point.x >= rect.left &&
+  point.x <= rect.right &&
+  point.y >= rect.back &&
+  point.y <= rect.front;
+
+/**
+ * Part of a segment inside a rectangle (slab method)
+ * @param {Point} start - Segment start
+ * @param {Point} end - Segment end
+ * @param {FieldRect} rect
+ * @returns {{enter: number, exit: number}|null} Segment shares, null if it misses
+ */
+const clipSegment = (start, end, rect) => {
+  let enter = 0;
+  let exit = 1;
+  const axes = [
+    [start.x, end.x - start.x, rect.left, rect.right],
+    [start.y, end.y - start.y, rect.back, rect.front],
+  ];
+  for (const [from, delta, min, max] of axes) {
+    if (delta === 0) {
+      if (from < min || from > max) return null;
+      continue;
+    }
+    const first = (min - from) / delta;
+    const second = (max - from) / delta;
+    enter = Math.max(enter, Math.min(first, second));
+    exit = Math.min(exit, Math.max(first, second));
+    if (enter > exit) return null;
+  }
+  return { enter, exit };
+};
+
+/**
+ * Wall a line leaves the hall through
+ * @param {Point} start - Point inside the hall
+ * @param {Point} end - Point outside the hall
+ * @param {FieldRect} bounds - Hall walls
+ * @returns {{surface: string, share: number}}
+ */
+const findWallExit = (start, end, bounds) => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const candidates = [
+    {
+      surface: "leftWall",
+      share: dx < 0 ? (bounds.left - start.x) / dx : Infinity,
+    },
+    {
+      surface: "rightWall",
+      share: dx > 0 ? (bounds.right - start.x) / dx : Infinity,
+    },
+    {
+      surface: "backWall",
+      share: dy < 0 ? (bounds.back - start.y) / dy : Infinity,
+    },
+    {
+      surface: "frontWall",
+      share: dy > 0 ? (bounds.front - start.y) / dy : Infinity,
+    },
+  ];
+  return candidates.reduce((best, candidate) =>
+    candidate.share < best.share ? candidate : best,
+  );
+};
+
+/**
+ * First wall or obstacle on a ground line
+ * @param {Hall} hall
+ * @param {Point} from - Start inside the hall
+ * @param {Point} heading - Unit direction
+ * @returns {HallHit}
+ */
+export const castHallRay = (hall, from, heading) => {
+  const bounds = getHallBounds(hall);
+  const reach = Math.hypot(hall.width, hall.length) * 2;
+  const end = { x: from.x + heading.x * reach, y: from.y + heading.y * reach };
+
+  const wall = findWallExit(from, end, bounds);
+  let hit = { surface: wall.surface, share: wall.share };
+  getObstacleRects(hall).forEach((rect, obstacleIndex) => {
+    const clip = clipSegment(from, end, rect);
+    if (clip && clip.enter > 0 && clip.enter < hit.share) {
+      hit = { surface: "obstacle", share: clip.enter, obstacleIndex };
+    }
+  });
+
+  const { share, ...rest } = hit;
+  return {
+    ...rest,
+    point: {
+      x: from.x + (end.x - from.x) * share,
+      y: from.y + (end.y - from.y) * share,
+    },
+    distance: reach * share,
+  };
+};
+
+/**
+ * Check that the net stands inside the hall clear of obstacles
+ * A net without a width is taken to span the hall from wall to wall.
+ * @param {Hall} hall
+ * @param {Net} net - Net placement
+ * @returns {NetFit}
+ */
+export const checkNetFit = (hall, net) => {
+  const bounds = getHallBounds(hall);
+  if (!isInsideRect(net.center, bounds)) {
+    return { fits: false, issue: "outside", spaceBehind: null };
+  }
+  const spaceBehind = castHallRay(hall, net.center, net.normal).distance;
+
+  // Net ends: the given width, or where the net line meets the side walls
+  const reach = net.halfWidth ?? Math.hypot(hall.width, hall.length) * 2;
+  const ends = [-reach, reach].map((position) => ({
+    x: net.center.x + net.along.x * position,
+    y: net.center.y + net.along.y * position,
+  }));
+  if (
+    net.halfWidth !== null &&
+    !ends.every((end) => isInsideRect(end, bounds))
+  ) {
+    return { fits: false, issue: "sideWalls", spaceBehind };
+  }
+
+  const clip = clipSegment(ends[0], ends[1], bounds);
+  const span = clip
+    ? ends.map((_, index) => {
+        const share = index === 0 ? clip.enter : clip.exit;
+        return {
+          x: ends[0].x + (ends[1].x - ends[0].x) * share,
+          y: ends[0].y + (ends[1].y - ends[0].y) * share,
+        };
+      })
+    : ends;
+  const isBlocked = getObstacleRects(hall).some((rect) =>
+    clipSegment(span[0], span[1], rect),
+  );
+  return isBlocked
+    ? { fits: false, issue: "obstacle", spaceBehind }
+    : { fits: true, issue: null, spaceBehind };
+};
+
+/**
+ * Widest hit to one side that goes into the net before a wall or obstacle
+ * Angles are searched outwards from straight ahead in REACH_STEP_DEG steps.
+ * @param {Object} params
+ * @param {Hall} params.hall
+ * @param {Net} params.net - Net placement
+ * @param {Point} params.launchPoint - Contact point
+ * @param {"left"|"right"} params.side - Side to search
+ * @param {Object|null} params.sectorCrossing - Crossing from getSectorCrossings on that side
+ * @returns {HallReach}
+ */
+export const findSectorReach = ({
+  hall,
+  net,
+  launchPoint,
+  side,
+  sectorCrossing,
+}) => {
+  const sign = side === "left" ? -1 : 1;
+  const sectorAngleDeg = sectorCrossing
+    ? (Math.atan2(
+        sectorCrossing.point.x - launchPoint.x,
+        sectorCrossing.point.y - launchPoint.y,
+      ) *
+        180) /
+      Math.PI
+    : null;
+
+  let maxAngleDeg = null;
+  let netPoint = null;
+  let blockedBy = null;
+  for (let angle = 0; angle <= MAX_REACH_DEG; angle += REACH_STEP_DEG) {
+    const heading = direction(sign * angle);
+    const hit = intersectNet(net, launchPoint, {
+      x: launchPoint.x + heading.x,
+      y: launchPoint.y + heading.y,
+    });
+    if (!hit || !hit.isOnNet) {
+      blockedBy = "netEnd";
+      break;
+    }
+    const wall = castHallRay(hall, launchPoint, heading);
+    if (wall.distance < hit.t) {
+      blockedBy = wall.surface;
+      break;
+    }
+    maxAngleDeg = sign * angle;
+    netPoint = hit.point;
+  }
+
+  return {
+    maxAngleDeg,
+    sectorAngleDeg,
+    reachesSector:
+      maxAngleDeg !== null &&
+      sectorAngleDeg !== null &&
+      Math.abs(maxAngleDeg) >= Math.abs(sectorAngleDeg),
+    blockedBy,
+    netPoint,
+  };
+};
+
+/**
+ * Where a simulated flight first hits the net, the hall or the floor
+ * The net is taken to reach from the floor to the ceiling.
+ * @param {Hall} hall
+ * @param {BallFlight} flight - Simulated flight
+ * @param {Net|null} net - Net placement, null without a net
+ * @returns {HallHit}
+ */
+export const findHallImpact = (hall, flight, net) => {
+  const bounds = getHallBounds(hall);
+  const obstacles = getObstacleRects(hall);
+  const { path } = flight;
+  const [start] = path;
+
+  const hitAt = (surface, from, to, share, extra = {}) => {
+    const point = {
+      x: from.x + (to.x - from.x) * share,
+      y: from.y + (to.y - from.y) * share,
+    };
+    return {
+      surface,
+      point,
+      distance: Math.hypot(point.x - start.x, point.y - start.y),
+      height: from.z + (to.z - from.z) * share,
+      ...extra,
+    };
+  };
+
+  for (let index = 1; index < path.length; index++) {
+    const from = path[index - 1];
+    const to = path[index];
+    const events = [];
+
+    if (net) {
+      const fromSide = distanceFromNet(net, from);
+      const toSide = distanceFromNet(net, to);
+      if (fromSide < 0 && toSide >= 0) {
+        const share = fromSide / (fromSide - toSide);
+        const point = {
+          x: from.x + (to.x - from.x) * share,
+          y: from.y + (to.y - from.y) * share,
+        };
+        const position = getNetPosition(net, point);
+        if (net.halfWidth === null || Math.abs(position) <= net.halfWidth) {
+          events.push({ surface: "net", share });
+        }
+      }
+    }
+    if (!isInsideRect(to, bounds)) {
+      events.push(findWallExit(from, to, bounds));
+    }
+    if (to.z > hall.ceilingHeight) {
+      events.push({
+        surface: "ceiling",
+        share: (hall.ceilingHeight - from.z) / (to.z - from.z),
+      });
+    }
+    obstacles.forEach((rect, obstacleIndex) => {
+      const clip = clipSegment(from, to, rect);
+      if (!clip) return;
+      // Height is linear along the segment, so check where it is lowest
+      const heightAt = (share) => from.z + (to.z - from.z) * share;
+      let share = null;
+      if (heightAt(clip.enter) <= rect.height) {
+        share = clip.enter;
+      } else if (heightAt(clip.exit) <= rect.height) {
+        share = (rect.height - from.z) / (to.z - from.z);
+      }
+      if (share !== null)
+        events.push({ surface: "obstacle", share, obstacleIndex });
+    });
+
+    if (events.length) {
+      const { surface, share, ...extra } = events.reduce((first, event) =>
+        event.share < first.share ? event : first,
+      );
+      return hitAt(surface, from, to, share, extra);
+    }
+  }
+
+  const last = path.at(-1);
+  return hitAt("floor", last, last, 0);
+};
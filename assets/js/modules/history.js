@@ -0,0 +1,89 @@
+/**
+ * Undo/redo controls
+ * Toolbar buttons, keyboard shortcuts and drag grouping for store history
+ */
+
+import { store } from "./state.js";
+
+/**
+ * Check whether keyboard focus is in a text field (native undo applies)
+ * @param {EventTarget} target - Event target
+ * @returns {boolean}
+ */
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable ||
+    ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+
+/**
+ * Group everything between press and release on element into one undo step
+ * @param {HTMLElement} element - Canvas or other draggable surface
+ */
+export const groupHistoryOnDrag = (element) => {
+  if (!element) return;
+
+  let active = false;
+
+  const start = () => {
+    if (active) return;
+    active = true;
+    store.beginHistoryGroup();
+  };
+
+  const end = () => {
+    if (!active) return;
+    active = false;
+    store.endHistoryGroup();
+  };
+
+  element.addEventListener("mousedown", start);
+  element.addEventListener("touchstart", start, { passive: true });
+  window.addEventListener("mouseup", end);
+  window.addEventListener("touchend", end);
+  window.addEventListener("touchcancel", end);
+};
+
+/**
+ * Initialize undo/redo buttons and shortcuts
+ * Buttons: #undoButton and #redoButton
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.onRestore - Called after undo/redo to refresh the page
+ */
+export const initHistoryControls = ({ onRestore }) => {
+  const undoButton = document.getElementById("undoButton");
+  const redoButton = document.getElementById("redoButton");
+
+  const updateButtons = () => {
+    if (undoButton) undoButton.disabled = !store.canUndo();
+    if (redoButton) redoButton.disabled = !store.canRedo();
+  };
+
+  const undo = () => {
+    if (store.undo()) onRestore();
+  };
+
+  const redo = () => {
+    if (store.redo()) onRestore();
+  };
+
+  if (undoButton) undoButton.addEventListener("click", undo);
+  if (redoButton) redoButton.addEventListener("click", redo);
+
+  // Ctrl+Z = undo, Ctrl+Shift+Z (or Ctrl+Y) = redo; Cmd on macOS
+  document.addEventListener("keydown", (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (isEditableTarget(event.target)) return;
+
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) {
+      event.preventDefault();
+      undo();
+    } else if ((key === "z" && event.shiftKey) || key === "y") {
+      event.preventDefault();
+      redo();
+    }
+  });
+
+  store.subscribe(updateButtons);
+  updateButtons();
+};
@@ -0,0 +1,181 @@
+/**
+ * Hit classification module
+ * Tells whether an aim point is a legal hit, a foul (outside the batting
+ * sector) or over the back boundary, and how close it is to a sideline
+ */
+
+import { distanceBetween, nearestPointOnLine } from "./geometry.js";
+
+export const HIT_LABELS = {
+  legal: "Laillinen",
+  foul: "Laiton",
+  beyondBack: "Takarajan yli",
+};
+
+export const HIT_COLORS = {
+  legal: "#4cd964",
+  foul: "#ff6b6b",
+  beyondBack: "#ffd166",
+};
+
+// How far the shaded zones reach past the field (m)
+const SHADE_EXTENT = 1000;
+
+/**
+ * Hit classification
+ * @typedef {Object} HitClassification
+ * @property {"legal"|"foul"|"beyondBack"} status - Where the aim point is
+ * @property {number} hitAngleDeg - Angle from the centre line seen from the launch point, positive to the right
+ * @property {number} sidelineMargin - Distance to the nearest sideline (m), negative outside the sector; behind the home line between the sidelines, minus the distance to the home line
+ * @property {"left"|"right"|"home"} nearestSide - Side of the nearest sideline, or "home" behind the home line
+ * @property {Point} sidelinePoint - Nearest point on that sideline or on the home line
+ */
+
+/**
+ * Sidelines as polylines from the home line to the back boundary
+ * The angled part follows the batting sector, the rest runs straight ahead.
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {{left: Array<Point>, right: Array<Point>}}
+ */
+export const getSidelines = (geometry) => ({
+  left: [geometry.homeLeft, geometry.diagonalLeftEnd, geometry.leftVerticalEnd],
+  right: [
+    geometry.homeRight,
+    geometry.diagonalRightEnd,
+    geometry.rightVerticalEnd,
+  ],
+});
+
+/**
+ * Nearest point of a polyline
+ * @param {Point} point - Reference point
+ * @param {Array<Point>} polyline - Polyline corners
+ * @returns {{point: Point, distance: number}}
+ */
+const nearestOnPolyline = (point, polyline) =>
+  polyline.slice(1).reduce(
+    (best, end, index) => {
+      const candidate = nearestPointOnLine(point, polyline[index], end);
+      const distance = distanceBetween(point, candidate);
+      return distance < best.distance ? { point: candidate, distance } : best;
+    },
+    { point: polyline[0], distance: Infinity },
+  );
+
+/**
+ * Classify an aim point against the batting sector
+ * @param {Point} point - Aim point on the field
+ * @param {Point} launchPoint - Contact point
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @param {FieldProfile} fieldProfile - Profile with the batting sector
+ * @returns {HitClassification}
+ */
+export const classifyHit = (point, launchPoint, geometry, fieldProfile) => {
+  const { originOffsetY, leftAngleDeg, rightAngleDeg } =
+    fieldProfile.battingSector;
+  const diagonalY = geometry.diagonalLeftEnd.y;
+  const backY = geometry.leftVerticalEnd.y;
+
+  // Before the diagonal ends the sidelines are rays from the sector origin
+  const sectorAngleDeg =
+    (Math.atan2(point.x, point.y - originOffsetY) * 180) / Math.PI;
+  const isInsideLeft =
+    point.y < diagonalY
+      ? sectorAngleDeg >= leftAngleDeg
+      : point.x >= geometry.diagonalLeftEnd.x;
+  const isInsideRight =
+    point.y < diagonalY
+      ? sectorAngleDeg <= rightAngleDeg
+      : point.x <= geometry.diagonalRightEnd.x;
+  const isPastHomeLine = point.y >= geometry.homeLeft.y;
+
+  let status = "legal";
+  if (!isInsideLeft || !isInsideRight || !isPastHomeLine) {
+    status = "foul";
+  } else if (point.y > backY) {
+    status = "beyondBack";
+  }
+
+  const hitAngleDeg =
+    (Math.atan2(point.x - launchPoint.x, point.y - launchPoint.y) * 180) /
+    Math.PI;
+
+  // Between the sideline rays but behind the home line it is the home line
+  // that is crossed, not a sideline
+  if (isInsideLeft && isInsideRight && !isPastHomeLine) {
+    return {
+      status,
+      hitAngleDeg,
+      sidelineMargin: point.y - geometry.homeLeft.y,
+      nearestSide: "home",
+      sidelinePoint: { x: point.x, y: geometry.homeLeft.y },
+    };
+  }
+
+  const sidelines = getSidelines(geometry);
+  const left = nearestOnPolyline(point, sidelines.left);
+  const right = nearestOnPolyline(point, sidelines.right);
+  const nearestSide = left.distance <= right.distance ? "left" : "right";
+  const nearest = nearestSide === "left" ? left : right;
+
+  return {
+    status,
+    hitAngleDeg,
+    sidelineMargin:
+      isInsideLeft && isInsideRight ? nearest.distance : -nearest.distance,
+    nearestSide,
+    sidelinePoint: nearest.point,
+  };
+};
+
+/**
+ * Zone matching a classification, for shading
+ * The foul zone is everything outside the sidelines and the home line, so
+ * it is returned as an outer rectangle with the fair area cut out.
+ * @param {"legal"|"foul"|"beyondBack"} status - Classification status
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {Array<Array<Point>>} Polygons to fill with the even-odd rule
+ */
+export const getHitZone = (status, geometry) => {
+  const backY = geometry.leftVerticalEnd.y;
+  const far = backY + SHADE_EXTENT;
+
+  if (status === "legal") {
+    return [
+      [
+        geometry.homeLeft,
+        geometry.diagonalLeftEnd,
+        geometry.leftVerticalEnd,
+        geometry.rightVerticalEnd,
+        geometry.diagonalRightEnd,
+        geometry.homeRight,
+      ],
+    ];
+  }
+  if (status === "beyondBack") {
+    return [
+      [
+        geometry.leftVerticalEnd,
+        { x: geometry.leftVerticalEnd.x, y: far },
+        { x: geometry.rightVerticalEnd.x, y: far },
+        geometry.rightVerticalEnd,
+      ],
+    ];
+  }
+  return [
+    [
+      { x: -SHADE_EXTENT, y: -SHADE_EXTENT },
+      { x: -SHADE_EXTENT, y: far },
+      { x: SHADE_EXTENT, y: far },
+      { x: SHADE_EXTENT, y: -SHADE_EXTENT },
+    ],
+    [
+      geometry.homeLeft,
+      geometry.diagonalLeftEnd,
+      { x: geometry.leftVerticalEnd.x, y: far },
+      { x: geometry.rightVerticalEnd.x, y: far },
+      geometry.diagonalRightEnd,
+      geometry.homeRight,
+    ],
+  ];
+};
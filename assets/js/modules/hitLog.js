@@ -0,0 +1,339 @@
+/**
+ * Hit log module
+ * Net practice sessions with the logged hits, and how accurately each
+ * batter hits the intended targets
+ */
+
+import { readVersioned, writeVersioned } from "./persistence.js";
+import { isPoint } from "./workspace.js";
+
+const HIT_LOG_STORAGE_KEY = "hitLogSessions";
+const HIT_LOG_VERSION = 1;
+
+// Hits within this lateral error count as on target (m)
+export const DEFAULT_TOLERANCE = 0.5;
+
+const HIT_STATUSES = ["legal", "foul", "beyondBack"];
+
+/**
+ * Logged net hit
+ * Positions along the net are measured from where the straight-ahead line
+ * meets it, positive to the right, so the lateral error is
+ * offset - intendedOffset.
+ * @typedef {Object} LoggedHit
+ * @property {string} id - Hit id
+ * @property {string} time - ISO time of logging
+ * @property {string} batter - Batter name, may be empty
+ * @property {string|null} targetId - Intended session target, null for the plain ball
+ * @property {string} targetLabel - Target title at the time of logging
+ * @property {number} intendedOffset - Intended position along the net (m)
+ * @property {number} offset - Position along the net where the ball struck (m)
+ * @property {Point} netPoint - Field point where the ball struck the net
+ * @property {Point} landing - Field point on the hit line at the intended distance
+ * @property {number} hitAngleDeg - Hit direction from the centre line, positive to the right
+ * @property {"legal"|"foul"|"beyondBack"} status - Where the landing point is
+ */
+
+/**
+ * Net practice session
+ * @typedef {Object} HitSession
+ * @property {string} id - Session id
+ * @property {string} name - Session name
+ * @property {string} createdAt - ISO time the session was started
+ * @property {string} batter - Batter the next hits are logged for
+ * @property {number} tolerance - Half width of the on-target band (m)
+ * @property {Array<LoggedHit>} hits - Hits in logging order
+ */
+
+/**
+ * Accuracy of a group of hits
+ * @typedef {Object} Dispersion
+ * @property {number} count - Number of hits
+ * @property {number} meanError - Mean lateral error (m), negative to the left
+ * @property {number} standardDeviation - Sample standard deviation of the error (m)
+ * @property {number} hitRate - Share of hits within the tolerance, 0–1
+ */
+
+/** @type {Array<HitSession>} */
+let sessions = [];
+let selectedSessionId = null;
+
+const notifyHitLogChanged = () => {
+  window.dispatchEvent(new CustomEvent("hitLogChanged"));
+};
+
+const createId = (prefix) =>
+  `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Create an empty session
+ * @param {string} name - Session name
+ * @returns {HitSession}
+ */
+const createSession = (name) => ({
+  id: createId("session"),
+  name,
+  createdAt: new Date().toISOString(),
+  batter: "",
+  tolerance: DEFAULT_TOLERANCE,
+  hits: [],
+});
+
+/**
+ * List sessions
+ * @returns {Array<HitSession>}
+ */
+export const listSessions = () => [...sessions];
+
+/**
+ * Get selected session
+ * @returns {HitSession}
+ */
+export const getSelectedSession = () =>
+  sessions.find((session) => session.id === selectedSessionId) || sessions[0];
+
+/**
+ * Select session
+ * @param {string} id - Session id
+ */
+export const selectSession = (id) => {
+  if (!sessions.some((session) => session.id === id)) return;
+  selectedSessionId = id;
+  notifyHitLogChanged();
+};
+
+/**
+ * Start a new session and select it
+ * The batter carries over from the selected session.
+ * @param {string} name - Session name
+ * @returns {HitSession} Added session
+ */
+export const addSession = (name) => {
+  const previous = getSelectedSession();
+  const session = {
+    ...createSession(name),
+    batter: previous?.batter ?? "",
+    tolerance: previous?.tolerance ?? DEFAULT_TOLERANCE,
+  };
+  sessions = [...sessions, session];
+  selectedSessionId = session.id;
+  notifyHitLogChanged();
+  return session;
+};
+
+/**
+ * Change session values
+ * @param {string} id - Session id
+ * @param {Partial<HitSession>} changes - Values to replace
+ * @returns {HitSession|null} Updated session
+ */
+export const updateSession = (id, changes) => {
+  const existing = sessions.find((session) => session.id === id);
+  if (!existing) return null;
+
+  const updated = { ...existing, ...changes, id };
+  sessions = sessions.map((session) => (session.id === id ? updated : session));
+  notifyHitLogChanged();
+  return updated;
+};
+
+/**
+ * Delete session (the last one is replaced with an empty one)
+ * @param {string} id - Session id
+ * @returns {boolean} True if a session was removed
+ */
+export const deleteSession = (id) => {
+  if (!sessions.some((session) => session.id === id)) return false;
+  sessions = sessions.filter((session) => session.id !== id);
+  if (sessions.length === 0) sessions = [createSession("Harjoitus 1")];
+  if (selectedSessionId === id) selectedSessionId = sessions[0].id;
+  notifyHitLogChanged();
+  return true;
+};
+
+/**
+ * Log a hit to the selected session
+ * @param {Omit<LoggedHit, "id"|"time"|"batter">} values - Hit values
+ * @returns {LoggedHit} Logged hit
+ */
+export const logHit = (values) => {
+  const session = getSelectedSession();
+  const hit = {
+    ...values,
+    id: createId("hit"),
+    time: new Date().toISOString(),
+    batter: session.batter,
+  };
+  updateSession(session.id, { hits: [...session.hits, hit] });
+  return hit;
+};
+
+/**
+ * Remove the latest hit of the selected session
+ * @returns {LoggedHit|null} Removed hit
+ */
+export const removeLastHit = () => {
+  const session = getSelectedSession();
+  const last = session.hits.at(-1);
+  if (!last) return null;
+  updateSession(session.id, { hits: session.hits.slice(0, -1) });
+  return last;
+};
+
+/**
+ * Lateral error of a hit along the net
+ * @param {LoggedHit} hit
+ * @returns {number} Error in meters, negative to the left of the target
+ */
+export const getHitError = (hit) => hit.offset - hit.intendedOffset;
+
+/**
+ * Accuracy of a group of hits
+ * @param {Array<LoggedHit>} hits
+ * @param {number} tolerance - Half width of the on-target band (m)
+ * @returns {Dispersion|null} Null without hits
+ */
+export const calculateDispersion = (hits, tolerance) => {
+  if (hits.length === 0) return null;
+  const errors = hits.map(getHitError);
+  const count = errors.length;
+  const meanError = errors.reduce((sum, error) => sum + error, 0) / count;
+  const variance =
+    count > 1
+      ? errors.reduce((sum, error) => sum + (error - meanError) ** 2, 0) /
+        (count - 1)
+      : 0;
+  return {
+    count,
+    meanError,
+    standardDeviation: Math.sqrt(variance),
+    hitRate:
+      errors.filter((error) => Math.abs(error) <= tolerance).length / count,
+  };
+};
+
+/**
+ * Accuracy of each batter in a session
+ * @param {HitSession} session
+ * @returns {Array<{batter: string, dispersion: Dispersion}>} In order of first hit
+ */
+export const getBatterDispersions = (session) => {
+  const groups = new Map();
+  session.hits.forEach((hit) => {
+    if (!groups.has(hit.batter)) groups.set(hit.batter, []);
+    groups.get(hit.batter).push(hit);
+  });
+  return [...groups].map(([batter, hits]) => ({
+    batter,
+    dispersion: calculateDispersion(hits, session.tolerance),
+  }));
+};
+
+/**
+ * Quote a CSV field when needed
+ * Text that a spreadsheet would read as a formula (batter names, target
+ * titles) is prefixed with an apostrophe; negative numbers are left as is.
+ * @param {string|number} value
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !Number.isFinite(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ["time", (hit) => hit.time],
+  ["batter", (hit) => hit.batter],
+  ["target", (hit) => hit.targetLabel],
+  ["intended_offset_m", (hit) => hit.intendedOffset.toFixed(3)],
+  ["offset_m", (hit) => hit.offset.toFixed(3)],
+  ["error_m", (hit) => getHitError(hit).toFixed(3)],
+  [
+    "within_tolerance",
+    (hit, session) => (Math.abs(getHitError(hit)) <= session.tolerance ? 1 : 0),
+  ],
+  ["hit_angle_deg", (hit) => hit.hitAngleDeg.toFixed(1)],
+  ["landing_x_m", (hit) => hit.landing.x.toFixed(2)],
+  ["landing_y_m", (hit) => hit.landing.y.toFixed(2)],
+  ["status", (hit) => hit.status],
+];
+
+/**
+ * Session hits as CSV, one row per hit
+ * Numbers use a dot and meters so the file reads the same in every
+ * language and unit setting.
+ * @param {HitSession} session
+ * @returns {string}
+ */
+export const sessionToCsv = (session) =>
+  [
+    CSV_COLUMNS.map(([name]) => name).join(","),
+    ...session.hits.map((hit) =>
+      CSV_COLUMNS.map(([, read]) => toCsvField(read(hit, session))).join(","),
+    ),
+  ].join("\n") + "\n";
+
+/**
+ * Check logged hit values
+ * @param {*} value - Hit-like value
+ * @returns {boolean}
+ */
+const isValidHit = (value) =>
+  typeof value?.id === "string" &&
+  typeof value.batter === "string" &&
+  HIT_STATUSES.includes(value.status) &&
+  Number.isFinite(value.intendedOffset) &&
+  Number.isFinite(value.offset) &&
+  isPoint(value.netPoint) &&
+  isPoint(value.landing) &&
+  Number.isFinite(value.hitAngleDeg);
+
+/**
+ * Check session values
+ * @param {*} value - Session-like value
+ * @returns {boolean}
+ */
+const isValidSession = (value) =>
+  typeof value?.id === "string" &&
+  typeof value.name === "string" &&
+  Number.isFinite(value.tolerance) &&
+  value.tolerance > 0 &&
+  Array.isArray(value.hits);
+
+/**
+ * Load sessions and save whenever they change
+ */
+export const initHitLogStorage = () => {
+  const stored = readVersioned(HIT_LOG_STORAGE_KEY, {
+    version: HIT_LOG_VERSION,
+  });
+  sessions = Array.isArray(stored?.sessions)
+    ? stored.sessions.filter(isValidSession).map((session) => ({
+        ...session,
+        batter: typeof session.batter === "string" ? session.batter : "",
+        hits: session.hits.filter(isValidHit).map((hit) => ({
+          ...hit,
+          time: typeof hit.time === "string" ? hit.time : "",
+          targetId: typeof hit.targetId === "string" ? hit.targetId : null,
+          targetLabel:
+            typeof hit.targetLabel === "string" ? hit.targetLabel : "",
+        })),
+      }))
+    : [];
+  if (sessions.length === 0) sessions = [createSession("Harjoitus 1")];
+  selectedSessionId = sessions.some(
+    (session) => session.id === stored?.selectedSessionId,
+  )
+    ? stored.selectedSessionId
+    : sessions[0].id;
+
+  window.addEventListener("hitLogChanged", () => {
+    writeVersioned(HIT_LOG_STORAGE_KEY, HIT_LOG_VERSION, {
+      sessions,
+      selectedSessionId,
+    });
+  });
+};
@@ -0,0 +1,301 @@
+/**
+ * Hit log panel
+ * Logs net hits for a batter and shows how close they land to the targets
+ */
+
+import { customConfirm } from "./dialogs.js";
+import { downloadTextFile, toFileName } from "./files.js";
+import {
+  addSession,
+  calculateDispersion,
+  deleteSession,
+  getBatterDispersions,
+  getHitError,
+  getSelectedSession,
+  listSessions,
+  removeLastHit,
+  selectSession,
+  sessionToCsv,
+  updateSession,
+} from "./hitLog.js";
+import { store } from "./state.js";
+import { translate } from "./text.js";
+
+/**
+ * Initialize hit log panel
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.canLog - Returns true when the current target crosses the net
+ * @param {Function} deps.format - Formats a distance in meters
+ * @param {Function} deps.onChange - Called after the log or logging mode changes
+ */
+export const initHitLogPanel = ({ canLog, format, onChange }) => {
+  const panel = document.getElementById("hitLogPanel");
+  const sessionSelect = document.getElementById("hitSessionSelect");
+  const addButton = document.getElementById("hitSessionAdd");
+  const deleteButton = document.getElementById("hitSessionDelete");
+  const batterInput = document.getElementById("hitBatter");
+  const batterList = document.getElementById("hitBatterList");
+  const toleranceInput = document.getElementById("hitTolerance");
+  const loggingToggle = document.getElementById("hitLogToggle");
+  const status = document.getElementById("hitLogStatus");
+  const card = document.getElementById("hitLogCard");
+  const cardTitle = document.getElementById("hitLogCardTitle");
+  const cardStatus = document.getElementById("hitLogCardStatus");
+  const cardUndoButton = document.getElementById("hitLogCardUndo");
+  const cardStopButton = document.getElementById("hitLogCardStop");
+  const undoButton = document.getElementById("hitLogUndo");
+  const exportButton = document.getElementById("hitLogExport");
+  const statsBody = document.getElementById("hitLogStats");
+
+  if (!panel || !sessionSelect || !statsBody) return;
+
+  /**
+   * Signed distance with the side it is on
+   * @param {number} meters - Negative to the left
+   * @returns {string} e.g. "← 35 cm"
+   */
+  const formatError = (meters) =>
+    `${meters < 0 ? "←" : "→"} ${format(Math.abs(meters))}`;
+
+  const renderSessions = () => {
+    const selected = getSelectedSession();
+    sessionSelect.innerHTML = "";
+    listSessions().forEach((session) => {
+      const option = document.createElement("option");
+      option.value = session.id;
+      option.textContent = `${session.name} (${session.hits.length})`;
+      sessionSelect.appendChild(option);
+    });
+    sessionSelect.value = selected.id;
+
+    if (batterInput && document.activeElement !== batterInput) {
+      batterInput.value = selected.batter;
+    }
+    if (batterList) {
+      batterList.innerHTML = "";
+      new Set(
+        listSessions().flatMap((session) =>
+          session.hits.map((hit) => hit.batter),
+        ),
+      ).forEach((batter) => {
+        if (!batter) return;
+        const option = document.createElement("option");
+        option.value = batter;
+        batterList.appendChild(option);
+      });
+    }
+    if (toleranceInput && document.activeElement !== toleranceInput) {
+      toleranceInput.value = Math.round(selected.tolerance * 100);
+    }
+    if (undoButton) undoButton.disabled = selected.hits.length === 0;
+    if (exportButton) exportButton.disabled = selected.hits.length === 0;
+  };
+
+  /**
+   * Add a statistics row
+   * @param {string} batter - Row title
+   * @param {Dispersion} dispersion
+   * @param {boolean} [isTotal]
+   */
+  const addStatsRow = (batter, dispersion, isTotal = false) => {
+    const row = document.createElement("tr");
+    if (isTotal) row.className = "hit-log-total";
+    const title = document.createElement("th");
+    title.scope = "row";
+    title.textContent = batter;
+    row.appendChild(title);
+    [
+      String(dispersion.count),
+      formatError(dispersion.meanError),
+      format(dispersion.standardDeviation),
+      `${Math.round(dispersion.hitRate * 100)} %`,
+    ].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    statsBody.appendChild(row);
+  };
+
+  const renderStats = () => {
+    const session = getSelectedSession();
+    statsBody.innerHTML = "";
+    const batters = getBatterDispersions(session);
+    batters.forEach(({ batter, dispersion }) =>
+      addStatsRow(
+        batter || translate("hitLog.unnamedBatter", "Nimetön"),
+        dispersion,
+      ),
+    );
+    if (batters.length > 1) {
+      addStatsRow(
+        translate("hitLog.total", "Kaikki"),
+        calculateDispersion(session.hits, session.tolerance),
+        true,
+      );
+    }
+  };
+
+  /**
+   * Logging hint or the latest hit
+   * @returns {{text: string, isWarning: boolean}}
+   */
+  const describeStatus = () => {
+    const { hitLogging } = store.getState();
+    const session = getSelectedSession();
+    const last = session.hits.at(-1);
+
+    if (hitLogging && !canLog()) {
+      return {
+        text: translate(
+          "hitLog.noTarget",
+          "Aseta kohde verkon taakse, jotta osumia voi kirjata.",
+        ),
+        isWarning: true,
+      };
+    }
+    if (last) {
+      const error = getHitError(last);
+      const isOnTarget = Math.abs(error) <= session.tolerance;
+      return {
+        text: translate("hitLog.lastHit", "Viimeisin: {target} · {error}")
+          .replace("{target}", last.targetLabel)
+          .replace(
+            "{error}",
+            isOnTarget ? `${formatError(error)} ✓` : formatError(error),
+          ),
+        isWarning: false,
+      };
+    }
+    return {
+      text: hitLogging
+        ? translate(
+            "hitLog.tapNet",
+            "Napauta verkkoa kohdasta, johon pallo osui.",
+          )
+        : "",
+      isWarning: false,
+    };
+  };
+
+  const renderStatus = () => {
+    const { hitLogging } = store.getState();
+    const { text, isWarning } = describeStatus();
+    [status, cardStatus].forEach((element) => {
+      if (!element) return;
+      element.textContent = text;
+      element.classList.toggle("warning", isWarning);
+    });
+    if (loggingToggle) loggingToggle.checked = hitLogging;
+    if (!card) return;
+
+    card.hidden = !hitLogging;
+    if (cardTitle) {
+      const { batter, hits } = getSelectedSession();
+      cardTitle.textContent = translate(
+        "hitLog.cardTitle",
+        "Osumakirjaus · {batter} · {count} lyöntiä",
+      )
+        .replace(
+          "{batter}",
+          batter || translate("hitLog.unnamedBatter", "Nimetön"),
+        )
+        .replace("{count}", hits.length);
+    }
+    if (cardUndoButton) {
+      cardUndoButton.disabled = getSelectedSession().hits.length === 0;
+    }
+  };
+
+  const render = () => {
+    renderStatus();
+    if (!panel.classList.contains("active")) return;
+    renderSessions();
+    renderStats();
+  };
+
+  sessionSelect.addEventListener("change", () =>
+    selectSession(sessionSelect.value),
+  );
+
+  if (addButton) {
+    addButton.addEventListener("click", () => {
+      addSession(
+        `${translate("hitLog.defaultName", "Harjoitus")} ${listSessions().length + 1}`,
+      );
+    });
+  }
+
+  if (deleteButton) {
+    deleteButton.addEventListener("click", async () => {
+      const confirmed = await customConfirm(
+        translate(
+          "hitLog.confirmDelete",
+          "Poistetaanko harjoitus ja sen kirjatut osumat?",
+        ),
+      );
+      if (confirmed) deleteSession(getSelectedSession().id);
+    });
+  }
+
+  if (batterInput) {
+    batterInput.addEventListener("change", () => {
+      updateSession(getSelectedSession().id, {
+        batter: batterInput.value.trim(),
+      });
+    });
+  }
+
+  if (toleranceInput) {
+    toleranceInput.addEventListener("change", () => {
+      const tolerance = parseFloat(toleranceInput.value) / 100;
+      if (Number.isFinite(tolerance) && tolerance > 0) {
+        updateSession(getSelectedSession().id, { tolerance });
+      } else {
+        toleranceInput.value = Math.round(getSelectedSession().tolerance * 100);
+      }
+    });
+  }
+
+  /**
+   * Switch logging mode
+   * @param {boolean} hitLogging
+   */
+  const setLogging = (hitLogging) => {
+    store.setState({ hitLogging });
+    onChange();
+  };
+
+  loggingToggle?.addEventListener("change", () =>
+    setLogging(loggingToggle.checked),
+  );
+  cardStopButton?.addEventListener("click", () => setLogging(false));
+  undoButton?.addEventListener("click", () => removeLastHit());
+  cardUndoButton?.addEventListener("click", () => removeLastHit());
+
+  if (exportButton) {
+    exportButton.addEventListener("click", () => {
+      const session = getSelectedSession();
+      downloadTextFile(
+        toFileName(session.name, "csv"),
+        sessionToCsv(session),
+        "text/csv",
+      );
+    });
+  }
+
+  window.addEventListener("hitLogChanged", () => {
+    render();
+    onChange();
+  });
+  panel.addEventListener("panelOpened", render);
+  // The ball and the net decide whether logging is possible
+  document
+    .getElementById("netDistance")
+    ?.addEventListener("input", () => renderStatus());
+  store.subscribe(renderStatus);
+  window.addEventListener("languageChanged", render);
+  window.addEventListener("unitChanged", render);
+
+  render();
+};
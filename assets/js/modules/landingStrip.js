@@ -0,0 +1,135 @@
+/**
+ * Landing strip module
+ * Extends a hit from the launch point through a point on the net to the
+ * back boundary and names the field zones the line crosses
+ */
+
+import { calculateFieldZones, isPointInPolygon } from "./geometry.js";
+import { translate } from "./text.js";
+
+// Lanes across the field from the left sideline to the right one. The
+// seams are the gaps the defence leaves between the sideline and the
+// centre fielders; the split points are rough coaching values.
+export const FIELD_LANES = [
+  { id: "leftLine", label: "Vasen raja", until: 0.15 },
+  { id: "leftSeam", label: "Vasen sauma", until: 0.38 },
+  { id: "centre", label: "Keskusta", until: 0.62 },
+  { id: "rightSeam", label: "Oikea sauma", until: 0.85 },
+  { id: "rightLine", label: "Oikea raja", until: 1 },
+];
+
+export const FIELD_DEPTHS = {
+  infield: "Sisäkenttä",
+  outfield: "Takakenttä",
+};
+
+// Sampling step along the hit line (m)
+const SAMPLE_STEP = 0.25;
+
+/**
+ * Part of the strip inside one zone
+ * @typedef {Object} StripSegment
+ * @property {Point} start - Segment start
+ * @property {Point} end - Segment end
+ * @property {string} lane - Lane id from FIELD_LANES
+ * @property {"infield"|"outfield"} depth - Depth zone
+ */
+
+/**
+ * Hit line from a net impact point
+ * @typedef {Object} LandingStrip
+ * @property {Point} impact - Point on the net
+ * @property {Point} end - Where the line meets the back boundary
+ * @property {Array<StripSegment>} segments - In-field parts by zone, from home outwards
+ */
+
+/**
+ * Sideline X coordinates at a given depth
+ * @param {number} y - Field Y coordinate
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {{left: number, right: number}}
+ */
+const getSidelineXs = (y, geometry) => {
+  const { homeLeft, homeRight, diagonalLeftEnd, diagonalRightEnd } = geometry;
+  if (y >= diagonalLeftEnd.y) {
+    return { left: diagonalLeftEnd.x, right: diagonalRightEnd.x };
+  }
+  const share = (y - homeLeft.y) / (diagonalLeftEnd.y - homeLeft.y);
+  return {
+    left: homeLeft.x + (diagonalLeftEnd.x - homeLeft.x) * share,
+    right: homeRight.x + (diagonalRightEnd.x - homeRight.x) * share,
+  };
+};
+
+/**
+ * Lane of a point inside the field
+ * @param {Point} point - Point on the field
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {string} Lane id
+ */
+export const getFieldLane = (point, geometry) => {
+  const { left, right } = getSidelineXs(point.y, geometry);
+  const share = (point.x - left) / (right - left);
+  return (FIELD_LANES.find((lane) => share <= lane.until) || FIELD_LANES.at(-1))
+    .id;
+};
+
+/**
+ * Extend a hit through the net to the back boundary
+ * @param {Object} params
+ * @param {Point} params.launchPoint - Contact point
+ * @param {Point} params.impact - Impact point on the net
+ * @param {Object} params.geometry - Geometry from calculateGeometry
+ * @returns {LandingStrip|null} Null if the net is not in front of the launch point
+ */
+export const traceLandingStrip = ({ launchPoint, impact, geometry }) => {
+  const towardsNet = impact.y - launchPoint.y;
+  if (towardsNet <= 0) return null;
+
+  const backY = geometry.leftVerticalEnd.y;
+  const reach = (backY - launchPoint.y) / towardsNet;
+  const end = {
+    x: launchPoint.x + (impact.x - launchPoint.x) * reach,
+    y: backY,
+  };
+
+  const zones = calculateFieldZones(geometry);
+  const length = Math.hypot(end.x - launchPoint.x, end.y - launchPoint.y);
+  const steps = Math.ceil(length / SAMPLE_STEP);
+  const segments = [];
+
+  for (let step = 0; step <= steps; step++) {
+    const share = step / steps;
+    const point = {
+      x: launchPoint.x + (end.x - launchPoint.x) * share,
+      y: launchPoint.y + (end.y - launchPoint.y) * share,
+    };
+    if (!isPointInPolygon(point, zones.field)) continue;
+
+    const lane = getFieldLane(point, geometry);
+    const depth = isPointInPolygon(point, zones.outfield)
+      ? "outfield"
+      : "infield";
+    const last = segments.at(-1);
+    if (last && last.lane === lane && last.depth === depth) {
+      last.end = point;
+    } else {
+      segments.push({ start: point, end: point, lane, depth });
+    }
+  }
+
+  return { impact, end, segments };
+};
+
+/**
+ * Display name of a strip segment zone
+ * @param {StripSegment} segment
+ * @returns {string}
+ */
+export const getZoneLabel = (segment) => {
+  const lane = FIELD_LANES.find(({ id }) => id === segment.lane);
+  return `${translate(
+    `landingStrip.depths.${segment.depth}`,
+    FIELD_DEPTHS[segment.depth],
+  )} · ${translate(`landingStrip.lanes.${segment.lane}`, lane.label)}`;
+};
@@ -0,0 +1,211 @@
+/**
+ * Net module
+ * PesisKulma net placement: distance, yaw, lateral offset and width, and
+ * where lines on the field meet the net
+ */
+
+import { direction } from "./geometry.js";
+
+// Net front edge offset from home plate center (m)
+export const NET_BASE_OFFSET = 0.3;
+
+// How far an unlimited net is drawn past the sector lines (m)
+export const NET_EXTENSION = 6;
+
+export const DEFAULT_NET_SETTINGS = {
+  yawDeg: 0,
+  offset: 0,
+  width: null,
+};
+
+// Far end for the straight sidelines when intersecting them (m)
+const SIDELINE_REACH = 1000;
+
+/**
+ * Net placement on the field
+ * @typedef {Object} Net
+ * @property {Point} center - Net centre on the field
+ * @property {Point} along - Unit vector along the net, towards the right end
+ * @property {Point} normal - Unit vector out of the net, away from the batter
+ * @property {number|null} halfWidth - Half of the net width (m), null when unlimited
+ */
+
+/**
+ * Where a line meets the net
+ * @typedef {Object} NetHit
+ * @property {Point} point - Field point on the net line
+ * @property {number} position - Distance from the net centre along the net (m), negative to the left
+ * @property {number} t - Line parameter: 0 at the start, 1 at the second point
+ * @property {boolean} isOnNet - False when the point is past the net ends
+ */
+
+/**
+ * Create net placement
+ * Positive yaw turns the net to face right, like the sector angles.
+ * @param {Object} params
+ * @param {number} params.distance - Distance from the plate front edge (m)
+ * @param {number} [params.yawDeg] - Yaw angle in degrees
+ * @param {number} [params.offset] - Lateral offset of the net centre (m), negative to the left
+ * @param {number|null} [params.width] - Net width (m), null when unlimited
+ * @returns {Net}
+ */
+export const createNet = ({
+  distance,
+  yawDeg = DEFAULT_NET_SETTINGS.yawDeg,
+  offset = DEFAULT_NET_SETTINGS.offset,
+  width = DEFAULT_NET_SETTINGS.width,
+}) => {
+  const normal = direction(yawDeg);
+  return {
+    center: { x: offset, y: NET_BASE_OFFSET + distance },
+    along: { x: normal.y, y: -normal.x },
+    normal,
+    halfWidth: Number.isFinite(width) && width > 0 ? width / 2 : null,
+  };
+};
+
+/**
+ * Signed distance from the net line, positive beyond the net
+ * @param {Net} net
+ * @param {Point} point - Field point
+ * @returns {number}
+ */
+export const distanceFromNet = (net, point) =>
+  (point.x - net.center.x) * net.normal.x +
+  (point.y - net.center.y) * net.normal.y;
+
+/**
+ * Position of a point along the net, measured from the net centre
+ * @param {Net} net
+ * @param {Point} point - Field point
+ * @returns {number}
+ */
+export const getNetPosition = (net, point) =>
+  (point.x - net.center.x) * net.along.x +
+  (point.y - net.center.y) * net.along.y;
+
+/**
+ * Field point at a position along the net
+ * @param {Net} net
+ * @param {number} position - Distance from the net centre (m)
+ * @returns {Point}
+ */
+export const getNetPoint = (net, position) => ({
+  x: net.center.x + net.along.x * position,
+  y: net.center.y + net.along.y * position,
+});
+
+/**
+ * Check whether a position along the net is within its width
+ * @param {Net} net
+ * @param {number} position - Distance from the net centre (m)
+ * @returns {boolean}
+ */
+export const isWithinNet = (net, position) =>
+  net.halfWidth === null || Math.abs(position) <= net.halfWidth;
+
+/**
+ * Where the line from one point through another meets the net
+ * @param {Net} net
+ * @param {Point} from - Line start, e.g. the launch point
+ * @param {Point} through - Second point on the line
+ * @returns {NetHit|null} Null if the line runs along or away from the net
+ */
+export const intersectNet = (net, from, through) => {
+  const towards =
+    (through.x - from.x) * net.normal.x + (through.y - from.y) * net.normal.y;
+  if (towards <= 0) return null;
+
+  const t = -distanceFromNet(net, from) / towards;
+  if (t < 0) return null;
+
+  const point = {
+    x: from.x + (through.x - from.x) * t,
+    y: from.y + (through.y - from.y) * t,
+  };
+  const position = getNetPosition(net, point);
+  return { point, position, t, isOnNet: isWithinNet(net, position) };
+};
+
+/**
+ * Where a polyline crosses the net line
+ * @param {Net} net
+ * @param {Array<Point>} polyline - Polyline corners
+ * @returns {{point: Point, position: number}|null}
+ */
+const crossPolyline = (net, polyline) => {
+  for (let index = 1; index < polyline.length; index++) {
+    const start = polyline[index - 1];
+    const end = polyline[index];
+    const startSide = distanceFromNet(net, start);
+    const endSide = distanceFromNet(net, end);
+    if (startSide === endSide || startSide * endSide > 0) continue;
+
+    const share = startSide / (startSide - endSide);
+    const point = {
+      x: start.x + (end.x - start.x) * share,
+      y: start.y + (end.y - start.y) * share,
+    };
+    return { point, position: getNetPosition(net, point) };
+  }
+  return null;
+};
+
+/**
+ * Sector line crossings on the net line
+ * In front of the home line the sector lines are rays from the sector
+ * origin, then they run along the diagonals, and past the diagonal ends
+ * straight ahead along the sidelines.
+ * @param {FieldProfile} fieldProfile - Profile with the batting sector
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @param {Net} net - Net placement
+ * @returns {{left: Object|null, right: Object|null}} Crossing point and position along the net on each side
+ */
+export const getSectorCrossings = (fieldProfile, geometry, net) => {
+  const origin = { x: 0, y: fieldProfile.battingSector.originOffsetY };
+  const sideline = (homeEnd, diagonalEnd) => [
+    origin,
+    homeEnd,
+    diagonalEnd,
+    { x: diagonalEnd.x, y: diagonalEnd.y + SIDELINE_REACH },
+  ];
+
+  return {
+    left: crossPolyline(
+      net,
+      sideline(geometry.homeLeft, geometry.diagonalLeftEnd),
+    ),
+    right: crossPolyline(
+      net,
+      sideline(geometry.homeRight, geometry.diagonalRightEnd),
+    ),
+  };
+};
+
+/**
+ * Net ends to draw
+ * A net without a width reaches NET_EXTENSION past the sector lines.
+ * @param {Net} net
+ * @param {FieldProfile} fieldProfile - Profile with the batting sector
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {{left: Point, right: Point}}
+ */
+export const getNetEnds = (net, fieldProfile, geometry) => {
+  if (net.halfWidth !== null) {
+    return {
+      left: getNetPoint(net, -net.halfWidth),
+      right: getNetPoint(net, net.halfWidth),
+    };
+  }
+  const crossings = getSectorCrossings(fieldProfile, geometry, net);
+  return {
+    left: getNetPoint(
+      net,
+      (crossings.left?.position ?? -NET_EXTENSION) - NET_EXTENSION,
+    ),
+    right: getNetPoint(
+      net,
+      (crossings.right?.position ?? NET_EXTENSION) + NET_EXTENSION,
+    ),
+  };
+};
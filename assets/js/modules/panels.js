@@ -0,0 +1,72 @@
+/**
+ * Side panel module
+ * Opens and closes the tool panels shown beside the field canvas
+ */
+
+/**
+ * Open side panel (closes any other open panel)
+ * @param {string} panelId - Panel element id
+ */
+export const openPanel = (panelId) => {
+  document.querySelectorAll(".side-panel.active").forEach((panel) => {
+    if (panel.id !== panelId) closePanel(panel.id);
+  });
+
+  const panel = document.getElementById(panelId);
+  if (!panel) return;
+
+  panel.classList.add("active");
+  panel.setAttribute("aria-hidden", "false");
+  document
+    .querySelectorAll(`[data-panel-target='${panelId}']`)
+    .forEach((button) => button.classList.add("active"));
+  panel.dispatchEvent(new CustomEvent("panelOpened"));
+};
+
+/**
+ * Close side panel
+ * @param {string} panelId - Panel element id
+ */
+export const closePanel = (panelId) => {
+  const panel = document.getElementById(panelId);
+  if (!panel || !panel.classList.contains("active")) return;
+
+  panel.classList.remove("active");
+  panel.setAttribute("aria-hidden", "true");
+  document
+    .querySelectorAll(`[data-panel-target='${panelId}']`)
+    .forEach((button) => button.classList.remove("active"));
+  panel.dispatchEvent(new CustomEvent("panelClosed"));
+};
+
+/**
+ * Check whether side panel is open
+ * @param {string} panelId - Panel element id
+ * @returns {boolean}
+ */
+export const isPanelOpen = (panelId) =>
+  document.getElementById(panelId)?.classList.contains("active") || false;
+
+/**
+ * Wire panel toggle and close buttons
+ * Buttons use data-panel-target="<panelId>", close buttons data-panel-close
+ */
+export const initSidePanels = () => {
+  document.querySelectorAll("[data-panel-target]").forEach((button) => {
+    button.addEventListener("click", () => {
+      const panelId = button.dataset.panelTarget;
+      if (isPanelOpen(panelId)) {
+        closePanel(panelId);
+      } else {
+        openPanel(panelId);
+      }
+    });
+  });
+
+  document.querySelectorAll("[data-panel-close]").forEach((button) => {
+    button.addEventListener("click", () => {
+      const panel = button.closest(".side-panel");
+      if (panel) closePanel(panel.id);
+    });
+  });
+};
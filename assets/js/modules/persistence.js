@@ -0,0 +1,104 @@
+/**
+ * Persistence module
+ * Versioned localStorage records with step-by-step migrations
+ */
+
+/**
+ * Stored record
+ * @typedef {Object} VersionedRecord
+ * @property {number} version - Schema version of data
+ * @property {Object} data - Stored payload
+ */
+
+/**
+ * Bring data up to the current version
+ * @param {Object} data - Stored payload
+ * @param {number} fromVersion - Version the payload was saved with
+ * @param {number} toVersion - Current version
+ * @param {Object<number, Function>} migrations - migrations[n] turns version n into n + 1
+ * @returns {Object|null} Migrated payload or null if it cannot be migrated
+ */
+export const migrateData = (data, fromVersion, toVersion, migrations) => {
+  if (!Number.isInteger(fromVersion) || fromVersion > toVersion) return null;
+
+  let migrated = data;
+  for (let version = fromVersion; version < toVersion; version++) {
+    const migrate = migrations[version];
+    if (!migrate) return null;
+    migrated = migrate(migrated);
+  }
+  return migrated;
+};
+
+/**
+ * Read versioned record from localStorage
+ * @param {string} key - Storage key
+ * @param {Object} options
+ * @param {number} options.version - Current schema version
+ * @param {Object<number, Function>} [options.migrations] - Migrations by source version
+ * @returns {Object|null} Payload in the current version or null
+ */
+export const readVersioned = (key, { version, migrations = {} }) => {
+  let record;
+  try {
+    record = JSON.parse(localStorage.getItem(key) || "null");
+  } catch (error) {
+    console.warn(`Stored ${key} is corrupted, ignoring:`, error);
+    return null;
+  }
+  if (!record || typeof record !== "object" || !record.data) return null;
+
+  const data = migrateData(record.data, record.version, version, migrations);
+  if (!data) {
+    console.warn(`Stored ${key} has unsupported version ${record.version}`);
+  }
+  return data;
+};
+
+/**
+ * Write versioned record to localStorage
+ * @param {string} key - Storage key
+ * @param {number} version - Schema version of data
+ * @param {Object} data - Payload
+ */
+export const writeVersioned = (key, version, data) => {
+  try {
+    localStorage.setItem(key, JSON.stringify({ version, data }));
+  } catch (error) {
+    console.warn(`Could not save ${key}:`, error);
+  }
+};
+
+/**
+ * Save a slice of the store whenever it changes
+ * Writes are debounced and flushed when the page is hidden.
+ * @param {StateStore} store - State store
+ * @param {Object} options
+ * @param {string} options.key - Storage key
+ * @param {number} options.version - Schema version
+ * @param {Function} options.select - Builds payload from state
+ * @param {number} [options.delay] - Debounce delay in milliseconds
+ */
+export const persistStoreSlice = (
+  store,
+  { key, version, select, delay = 300 },
+) => {
+  let lastSaved = JSON.stringify(select(store.getState()));
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const data = select(store.getState());
+    const serialized = JSON.stringify(data);
+    if (serialized === lastSaved) return;
+    lastSaved = serialized;
+    writeVersioned(key, version, data);
+  };
+
+  store.subscribe(() => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  });
+  window.addEventListener("pagehide", flush);
+};
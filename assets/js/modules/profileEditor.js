@@ -0,0 +1,217 @@
+/**
+ * Field profile editor module
+ * Form for building custom field profiles with live preview
+ */
+
+import { closePanel } from "./panels.js";
+import {
+  FIELD_PROFILE_PROPERTIES,
+  formatProfileError,
+  getPropertyLabel,
+  getProfileValue,
+  setProfileValue,
+  validateFieldProfile,
+} from "./profileSchema.js";
+import { getBuiltInProfileIds, isCustomFieldProfile } from "./profiles.js";
+import { store } from "./state.js";
+import { translate } from "./text.js";
+
+const PANEL_ID = "profileEditorPanel";
+
+/**
+ * Group properties by their top-level key for fieldsets
+ * @returns {Array<{group: string, properties: Array<FieldProfileProperty>}>}
+ */
+const groupProperties = () => {
+  const groups = [];
+  FIELD_PROFILE_PROPERTIES.forEach((property) => {
+    const group = property.path.includes(".")
+      ? property.path.split(".")[0]
+      : "other";
+    const existing = groups.find((item) => item.group === group);
+    if (existing) {
+      existing.properties.push(property);
+    } else {
+      groups.push({ group, properties: [property] });
+    }
+  });
+  return groups;
+};
+
+/**
+ * Initialize profile editor panel
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.getActiveProfile - Returns profile the editor starts from
+ * @param {Function} deps.onPreview - Called with each valid draft profile
+ * @param {Function} deps.onSave - Called with the saved profile
+ * @param {Function} deps.onCancel - Called with the profile active before editing
+ * @returns {Object|null} Editor controls or null if panel is missing
+ */
+export const initProfileEditor = ({
+  getActiveProfile,
+  onPreview,
+  onSave,
+  onCancel,
+}) => {
+  const panel = document.getElementById(PANEL_ID);
+  const form = document.getElementById("profileEditorForm");
+  const errorList = document.getElementById("profileEditorErrors");
+  const saveButton = document.getElementById("profileEditorSave");
+  const cancelButton = document.getElementById("profileEditorCancel");
+
+  if (!panel || !form) return null;
+
+  let originalProfile = null;
+  let draft = null;
+  let saved = false;
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.name = "id";
+  nameInput.maxLength = 40;
+
+  /**
+   * Build form inputs from property metadata
+   */
+  const renderForm = () => {
+    form.innerHTML = "";
+
+    const nameLabel = document.createElement("label");
+    nameLabel.className = "panel-field";
+    const nameText = document.createElement("span");
+    nameText.textContent = getPropertyLabel("id");
+    nameLabel.append(nameText, nameInput);
+    form.appendChild(nameLabel);
+
+    groupProperties().forEach(({ group, properties }) => {
+      const fieldset = document.createElement("fieldset");
+      fieldset.className = "panel-fieldset";
+      const legend = document.createElement("legend");
+      legend.textContent = translate(`profileEditor.groups.${group}`, group);
+      fieldset.appendChild(legend);
+
+      properties.forEach((property) => {
+        const label = document.createElement("label");
+        label.className = "panel-field";
+        const text = document.createElement("span");
+        text.textContent = getPropertyLabel(property.path);
+        const input = document.createElement("input");
+        input.type = "number";
+        input.step = "any";
+        input.inputMode = "decimal";
+        input.name = property.path;
+        label.append(text, input);
+        fieldset.appendChild(label);
+      });
+
+      form.appendChild(fieldset);
+    });
+  };
+
+  /**
+   * Copy profile values into inputs
+   * @param {FieldProfile} profile - Profile to show
+   */
+  const fillForm = (profile) => {
+    nameInput.value = profile.id;
+    FIELD_PROFILE_PROPERTIES.forEach((property) => {
+      form.elements[property.path].value = getProfileValue(
+        profile,
+        property.path,
+      );
+    });
+  };
+
+  /**
+   * Read inputs into a draft profile
+   * @returns {FieldProfile} Draft profile
+   */
+  const readForm = () =>
+    FIELD_PROFILE_PROPERTIES.reduce(
+      (profile, property) =>
+        setProfileValue(
+          profile,
+          property.path,
+          parseFloat(form.elements[property.path].value.replace(",", ".")),
+        ),
+      { ...originalProfile, id: nameInput.value.trim() },
+    );
+
+  /**
+   * Show validation errors and mark invalid inputs
+   * @param {Array<ProfileValidationError>} errors
+   */
+  const renderErrors = (errors) => {
+    errorList.innerHTML = "";
+    form
+      .querySelectorAll(".invalid")
+      .forEach((input) => input.classList.remove("invalid"));
+
+    errors.forEach((error) => {
+      const input = form.elements[error.path];
+      if (input) input.classList.add("invalid");
+
+      const item = document.createElement("li");
+      item.textContent = formatProfileError(error);
+      errorList.appendChild(item);
+    });
+
+    saveButton.disabled = errors.length > 0;
+  };
+
+  /**
+   * Validate current form and preview valid drafts
+   */
+  const update = () => {
+    draft = readForm();
+    const errors = validateFieldProfile(draft, {
+      reservedIds: getBuiltInProfileIds(),
+    });
+
+    renderErrors(errors);
+    // Name problems do not affect geometry, so keep previewing
+    if (errors.every((error) => error.path === "id")) {
+      onPreview(draft);
+    }
+  };
+
+  const start = () => {
+    saved = false;
+    // Live previews and the final save form a single undo step
+    store.beginHistoryGroup();
+    originalProfile = getActiveProfile();
+    renderForm();
+    fillForm({
+      ...originalProfile,
+      id: isCustomFieldProfile(originalProfile.id)
+        ? originalProfile.id
+        : `${originalProfile.id} ${translate("profileEditor.copySuffix", "(oma)")}`,
+    });
+    update();
+  };
+
+  const finish = () => {
+    if (!saved && originalProfile) {
+      onCancel(originalProfile);
+    }
+    originalProfile = null;
+    draft = null;
+    store.endHistoryGroup();
+  };
+
+  form.addEventListener("input", update);
+  form.addEventListener("submit", (event) => event.preventDefault());
+  panel.addEventListener("panelOpened", start);
+  panel.addEventListener("panelClosed", finish);
+
+  saveButton.addEventListener("click", () => {
+    if (!draft || saveButton.disabled) return;
+    saved = true;
+    onSave(draft);
+    closePanel(PANEL_ID);
+  });
+
+  cancelButton.addEventListener("click", () => closePanel(PANEL_ID));
+
+  return { start };
+};
@@ -0,0 +1,153 @@
+/**
+ * Field profile file format
+ * Versioned JSON documents for sharing field profiles
+ * (schema: assets/schema/field-profile.schema.json)
+ */
+
+import {
+  FIELD_PROFILE_PROPERTIES,
+  getProfileValue,
+  setProfileValue,
+  validateFieldProfile,
+} from "./profileSchema.js";
+
+export const FIELD_PROFILE_FORMAT = "pesiskulma-field-profile";
+export const FIELD_PROFILE_VERSION = 1;
+
+/**
+ * Field profile document
+ * @typedef {Object} FieldProfileDocument
+ * @property {string} format - Always FIELD_PROFILE_FORMAT
+ * @property {number} version - Document schema version
+ * @property {FieldProfile} profile - Field geometry in meters
+ */
+
+/**
+ * Copy only known profile properties (drops unknown keys)
+ * @param {Object} source - Profile-like object
+ * @returns {FieldProfile} Clean profile
+ */
+const pickProfile = (source) =>
+  FIELD_PROFILE_PROPERTIES.reduce(
+    (profile, property) =>
+      setProfileValue(
+        profile,
+        property.path,
+        getProfileValue(source, property.path),
+      ),
+    { id: typeof source.id === "string" ? source.id.trim() : "" },
+  );
+
+/**
+ * Migrate older documents to the current version
+ * Version 0 is a bare FieldProfile object as written in the source code.
+ * @param {Object} data - Parsed JSON
+ * @returns {FieldProfileDocument|null} Current document or null if unknown
+ */
+const migrateDocument = (data) => {
+  if (data.format === undefined && data.homePlate) {
+    return {
+      format: FIELD_PROFILE_FORMAT,
+      version: FIELD_PROFILE_VERSION,
+      profile: data,
+    };
+  }
+  if (data.format !== FIELD_PROFILE_FORMAT) return null;
+  if (data.version === FIELD_PROFILE_VERSION) return data;
+  return null;
+};
+
+/**
+ * Build document for a profile
+ * @param {FieldProfile} profile - Profile to export
+ * @returns {FieldProfileDocument}
+ */
+export const createFieldProfileDocument = (profile) => ({
+  format: FIELD_PROFILE_FORMAT,
+  version: FIELD_PROFILE_VERSION,
+  profile: pickProfile(profile),
+});
+
+/**
+ * Serialize profile as JSON text
+ * @param {FieldProfile} profile - Profile to export
+ * @returns {string} Pretty-printed JSON
+ */
+export const serializeFieldProfile = (profile) =>
+  `${JSON.stringify(createFieldProfileDocument(profile), null, 2)}\n`;
+
+/**
+ * Read profile from a parsed document
+ * @param {Object} data - Parsed JSON document
+ * @param {Object} [options]
+ * @param {Array<string>} [options.reservedIds] - Ids that may not be reused
+ * @returns {{profile: FieldProfile|null, errors: Array<ProfileValidationError>}}
+ */
+export const readFieldProfileDocument = (data, { reservedIds = [] } = {}) => {
+  const profileDocument =
+    data && typeof data === "object" ? migrateDocument(data) : null;
+
+  if (!profileDocument) {
+    const isNewer =
+      data?.format === FIELD_PROFILE_FORMAT &&
+      Number(data.version) > FIELD_PROFILE_VERSION;
+    return {
+      profile: null,
+      errors: [
+        isNewer
+          ? {
+              path: "version",
+              key: "profileFile.errors.newerVersion",
+              fallback: "Tiedosto on tehty uudemmalla versiolla",
+            }
+          : {
+              path: "format",
+              key: "profileFile.errors.unknownFormat",
+              fallback: "Tiedosto ei ole kenttäprofiili",
+            },
+      ],
+    };
+  }
+
+  if (!profileDocument.profile || typeof profileDocument.profile !== "object") {
+    return {
+      profile: null,
+      errors: [
+        {
+          path: "profile",
+          key: "profileFile.errors.unknownFormat",
+          fallback: "Tiedosto ei ole kenttäprofiili",
+        },
+      ],
+    };
+  }
+
+  const profile = pickProfile(profileDocument.profile);
+  const errors = validateFieldProfile(profile, { reservedIds });
+  return { profile: errors.length === 0 ? profile : null, errors };
+};
+
+/**
+ * Parse profile from JSON text
+ * @param {string} text - File content
+ * @param {Object} [options] - See readFieldProfileDocument
+ * @returns {{profile: FieldProfile|null, errors: Array<ProfileValidationError>}}
+ */
+export const parseFieldProfile = (text, options) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return {
+      profile: null,
+      errors: [
+        {
+          path: "file",
+          key: "profileFile.errors.invalidJson",
+          fallback: "Tiedosto ei ole kelvollista JSONia",
+        },
+      ],
+    };
+  }
+  return readFieldProfileDocument(data, options);
+};
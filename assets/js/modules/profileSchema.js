@@ -0,0 +1,361 @@
+/**
+ * Field profile schema module
+ * Property metadata and validation for user-defined field profiles
+ */
+
+import { calculateGeometry } from "./geometry.js";
+import { translate } from "./text.js";
+
+/**
+ * Numeric field profile property
+ * @typedef {Object} FieldProfileProperty
+ * @property {string} path - Dot-separated property path in FieldProfile
+ * @property {string} label - Finnish fallback label
+ * @property {number} [min] - Smallest accepted value
+ * @property {number} [max] - Largest accepted value
+ * @property {boolean} [exclusiveMin] - Reject value equal to min
+ */
+
+/**
+ * Validation error
+ * @typedef {Object} ProfileValidationError
+ * @property {string} path - Property path the error refers to
+ * @property {string} key - i18n key for the message
+ * @property {string} fallback - Finnish fallback message
+ */
+
+/** @type {Array<FieldProfileProperty>} */
+export const FIELD_PROFILE_PROPERTIES = [
+  {
+    path: "homePlate.radius",
+    label: "Syöttölautasen säde",
+    min: 0,
+    exclusiveMin: true,
+  },
+  {
+    path: "homePlate.centerToHomeLine",
+    label: "Lautasen keskeltä kotipesäviivalle",
+    min: 0,
+    exclusiveMin: true,
+  },
+  {
+    path: "homePlate.lineHalfWidth",
+    label: "Kotipesäviivan puolileveys",
+    min: 0,
+    exclusiveMin: true,
+  },
+  { path: "battingSector.originOffsetY", label: "Sektorin kärjen siirto" },
+  {
+    path: "battingSector.leftAngleDeg",
+    label: "Vasemman sivurajan kulma (°)",
+    min: -85,
+    max: -1,
+  },
+  {
+    path: "battingSector.rightAngleDeg",
+    label: "Oikean sivurajan kulma (°)",
+    min: 1,
+    max: 85,
+  },
+  {
+    path: "diagonalLines.lengthFromHomeLine",
+    label: "Viistoviivojen pituus",
+    min: 0,
+    exclusiveMin: true,
+  },
+  {
+    path: "backBoundary.distanceFromHomeLine",
+    label: "Takarajan etäisyys kotipesäviivasta",
+    min: 0,
+    exclusiveMin: true,
+  },
+  {
+    path: "backBoundary.width",
+    label: "Takarajan leveys",
+    min: 0,
+    exclusiveMin: true,
+  },
+  {
+    path: "frontArc.innerRadius",
+    label: "Etukaaren sisäsäde",
+    min: 0,
+    exclusiveMin: true,
+  },
+  {
+    path: "frontArc.outerRadius",
+    label: "Etukaaren ulkosäde",
+    min: 0,
+    exclusiveMin: true,
+  },
+  {
+    path: "homeArcs.innerRadius",
+    label: "Kotikaarien sisäsäde",
+    min: 0,
+    exclusiveMin: true,
+  },
+  {
+    path: "homeArcs.outerRadius",
+    label: "Kotikaarien ulkosäde",
+    min: 0,
+    exclusiveMin: true,
+  },
+  {
+    path: "firstBaseCanvasOffset.distanceFromHomeLine",
+    label: "Ykköspesän etäisyys kotipesäviivasta",
+    min: 0,
+    exclusiveMin: true,
+  },
+  {
+    path: "secondBaseCanvasOffset.distanceFromRightAngle",
+    label: "Kakkospesän etäisyys oikeasta kulmasta",
+    min: 0,
+  },
+  {
+    path: "thirdBaseCanvasOffset.distanceFromLeftAngle",
+    label: "Kolmospesän etäisyys vasemmasta kulmasta",
+    min: 0,
+  },
+  { path: "baseRadius", label: "Pesän säde", min: 0, exclusiveMin: true },
+  {
+    path: "baseLineLength",
+    label: "Pesäviivan pituus",
+    min: 0,
+    exclusiveMin: true,
+  },
+  {
+    path: "homePathFirstLine",
+    label: "Kotipolun ensimmäinen osuus",
+    min: 0,
+    exclusiveMin: true,
+  },
+  {
+    path: "homePathEndOffset",
+    label: "Kotipolun päätepisteen siirto",
+    min: 0,
+  },
+];
+
+/**
+ * Translated label for profile property
+ * @param {string} path - Property path ("id" for the profile name)
+ * @returns {string|null} Label or null for document-level paths
+ */
+export const getPropertyLabel = (path) => {
+  if (path === "id") return translate("profileEditor.name", "Kentän nimi");
+  const property = FIELD_PROFILE_PROPERTIES.find((item) => item.path === path);
+  return property
+    ? translate(`profileEditor.fields.${path}`, property.label)
+    : null;
+};
+
+/**
+ * Human-readable validation message
+ * @param {ProfileValidationError} error
+ * @returns {string} Message prefixed with the field label
+ */
+export const formatProfileError = (error) => {
+  const label = getPropertyLabel(error.path);
+  const message = translate(error.key, error.fallback);
+  return label ? `${label}: ${message}` : message;
+};
+
+// Allowed mismatch between back boundary width and diagonal line ends (meters)
+const WIDTH_TOLERANCE = 0.5;
+
+/**
+ * Read nested property by dot-separated path
+ * @param {Object} object - Source object
+ * @param {string} path - Property path
+ * @returns {*} Property value or undefined
+ */
+export const getProfileValue = (object, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+/**
+ * Return copy of object with nested property replaced
+ * @param {Object} object - Source object
+ * @param {string} path - Property path
+ * @param {*} value - New value
+ * @returns {Object} Updated copy
+ */
+export const setProfileValue = (object, path, value) => {
+  const [key, ...rest] = path.split(".");
+  if (rest.length === 0) {
+    return { ...object, [key]: value };
+  }
+  return {
+    ...object,
+    [key]: setProfileValue(object[key] || {}, rest.join("."), value),
+  };
+};
+
+/**
+ * Validate single property against its range
+ * @param {FieldProfileProperty} property - Property metadata
+ * @param {*} value - Value to check
+ * @returns {ProfileValidationError|null}
+ */
+const validateProperty = (property, value) => {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return {
+      path: property.path,
+      key: "profileEditor.errors.notANumber",
+      fallback: "Arvon tulee olla luku",
+    };
+  }
+  if (
+    property.min !== undefined &&
+    (value < property.min || (property.exclusiveMin && value === property.min))
+  ) {
+    return {
+      path: property.path,
+      key: "profileEditor.errors.tooSmall",
+      fallback: "Arvo on liian pieni",
+    };
+  }
+  if (property.max !== undefined && value > property.max) {
+    return {
+      path: property.path,
+      key: "profileEditor.errors.tooLarge",
+      fallback: "Arvo on liian suuri",
+    };
+  }
+  return null;
+};
+
+/**
+ * Validate field profile for geometric consistency
+ * @param {FieldProfile} profile - Profile to validate
+ * @param {Object} [options]
+ * @param {Array<string>} [options.reservedIds] - Ids that may not be reused
+ * @returns {Array<ProfileValidationError>} Empty array when profile is valid
+ */
+export const validateFieldProfile = (profile, { reservedIds = [] } = {}) => {
+  const errors = [];
+  const fail = (path, key, fallback) => errors.push({ path, key, fallback });
+
+  const id = typeof profile.id === "string" ? profile.id.trim() : "";
+  if (!id) {
+    fail("id", "profileEditor.errors.nameMissing", "Anna kentälle nimi");
+  } else if (reservedIds.includes(id)) {
+    fail(
+      "id",
+      "profileEditor.errors.nameReserved",
+      "Samanniminen kenttä on jo olemassa",
+    );
+  }
+
+  FIELD_PROFILE_PROPERTIES.forEach((property) => {
+    const error = validateProperty(
+      property,
+      getProfileValue(profile, property.path),
+    );
+    if (error) errors.push(error);
+  });
+
+  // Geometry checks need every number to be valid
+  if (errors.some((error) => error.path !== "id")) {
+    return errors;
+  }
+
+  const { homePlate, frontArc, homeArcs, backBoundary, diagonalLines } =
+    profile;
+
+  if (homePlate.radius >= homePlate.centerToHomeLine) {
+    fail(
+      "homePlate.radius",
+      "profileEditor.errors.plateOverHomeLine",
+      "Syöttölautanen ulottuu kotipesäviivan yli",
+    );
+  }
+  if (profile.battingSector.originOffsetY >= homePlate.centerToHomeLine) {
+    fail(
+      "battingSector.originOffsetY",
+      "profileEditor.errors.sectorOrigin",
+      "Sektorin kärjen tulee olla kotipesäviivan takana",
+    );
+  }
+  if (frontArc.innerRadius >= frontArc.outerRadius) {
+    fail(
+      "frontArc.innerRadius",
+      "profileEditor.errors.arcRadii",
+      "Sisäsäteen tulee olla ulkosädettä pienempi",
+    );
+  }
+  if (homeArcs.innerRadius >= homeArcs.outerRadius) {
+    fail(
+      "homeArcs.innerRadius",
+      "profileEditor.errors.arcRadii",
+      "Sisäsäteen tulee olla ulkosädettä pienempi",
+    );
+  }
+  if (diagonalLines.lengthFromHomeLine >= backBoundary.distanceFromHomeLine) {
+    fail(
+      "diagonalLines.lengthFromHomeLine",
+      "profileEditor.errors.diagonalTooLong",
+      "Viistoviivat ovat pidemmät kuin takarajan etäisyys",
+    );
+  }
+  if (profile.homePathEndOffset > homePlate.lineHalfWidth) {
+    fail(
+      "homePathEndOffset",
+      "profileEditor.errors.homePathEndOutside",
+      "Kotipolun päätepiste on kotipesäviivan ulkopuolella",
+    );
+  }
+
+  const geometry = calculateGeometry(profile, {
+    homePathStart: null,
+    homePathMid: null,
+    homePathEnd: null,
+  });
+  const backY = homePlate.centerToHomeLine + backBoundary.distanceFromHomeLine;
+
+  const diagonalSpan = geometry.diagonalRightEnd.x - geometry.diagonalLeftEnd.x;
+  if (backBoundary.width + WIDTH_TOLERANCE < diagonalSpan) {
+    fail(
+      "backBoundary.width",
+      "profileEditor.errors.backTooNarrow",
+      "Takaraja on kapeampi kuin viistoviivojen päiden väli",
+    );
+  }
+  if (geometry.firstBaseCenter.y > geometry.diagonalLeftEnd.y) {
+    fail(
+      "firstBaseCanvasOffset.distanceFromHomeLine",
+      "profileEditor.errors.firstBaseOutside",
+      "Ykköspesä on viistoviivan ulkopuolella",
+    );
+  }
+  if (geometry.secondBaseCenter.y + profile.baseRadius > backY) {
+    fail(
+      "secondBaseCanvasOffset.distanceFromRightAngle",
+      "profileEditor.errors.secondBaseOutside",
+      "Kakkospesä on takarajan ulkopuolella",
+    );
+  }
+  if (geometry.thirdBaseCenter.y + profile.baseRadius > backY) {
+    fail(
+      "thirdBaseCanvasOffset.distanceFromLeftAngle",
+      "profileEditor.errors.thirdBaseOutside",
+      "Kolmospesä on takarajan ulkopuolella",
+    );
+  }
+  if (geometry.measurements.second <= 0 || geometry.measurements.third <= 0) {
+    fail(
+      "baseRadius",
+      "profileEditor.errors.basesOverlap",
+      "Pesät menevät päällekkäin",
+    );
+  }
+  if (geometry.originalHomePathFirstLine.end.y <= homePlate.centerToHomeLine) {
+    fail(
+      "homePathFirstLine",
+      "profileEditor.errors.homePathTooLong",
+      "Kotipolku ulottuu kotipesäviivan taakse",
+    );
+  }
+
+  return errors;
+};
@@ -0,0 +1,93 @@
+/**
+ * Field profile selector module
+ * Renders the profile buttons from the profile registry
+ */
+
+import { listFieldProfiles } from "./profiles.js";
+import { translate } from "./text.js";
+
+/**
+ * Get display label for registry entry
+ * @param {FieldProfileEntry} entry - Registry entry
+ * @returns {string} Label text
+ */
+export const getProfileLabel = (entry) =>
+  entry.labelKey
+    ? translate(entry.labelKey, entry.fallbackLabel)
+    : entry.fallbackLabel;
+
+/**
+ * Render profile selector buttons
+ * @param {HTMLElement} container - Selector element (.field-selector)
+ * @param {Object} params
+ * @param {string} params.activeId - Currently selected profile id
+ * @param {string} params.dataAttribute - Dataset key written to each button
+ * @param {Function} params.onSelect - Called with the selected profile
+ */
+export const renderProfileSelector = (
+  container,
+  { activeId, dataAttribute, onSelect },
+) => {
+  if (!container) return;
+
+  container.innerHTML = "";
+
+  listFieldProfiles().forEach((entry) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "field-option";
+    button.classList.toggle("active", entry.profile.id === activeId);
+    button.dataset[dataAttribute] = entry.profile.id;
+    if (entry.labelKey) {
+      button.dataset.i18n = entry.labelKey;
+    }
+    button.textContent = getProfileLabel(entry);
+    if (entry.approximate) {
+      button.classList.add("field-option--approximate");
+      button.dataset.i18nTitle = "profiles.approximateHint";
+      button.title = translate(
+        "profiles.approximateHint",
+        "Likimääräiset mitat, ei sääntökirjasta",
+      );
+    }
+
+    button.addEventListener("click", () => {
+      container
+        .querySelectorAll(".field-option")
+        .forEach((btn) => btn.classList.remove("active"));
+      button.classList.add("active");
+      onSelect(entry.profile);
+    });
+
+    container.appendChild(button);
+  });
+};
+
+/**
+ * Render comparison profile dropdown
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Object} params
+ * @param {string} params.activeId - Active profile id (left out of the list)
+ * @param {string|null} params.comparisonId - Currently compared profile id
+ */
+export const renderComparisonSelect = (select, { activeId, comparisonId }) => {
+  if (!select) return;
+
+  select.innerHTML = "";
+
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = translate("comparison.none", "Ei vertailua");
+  select.appendChild(none);
+
+  listFieldProfiles()
+    .filter((entry) => entry.profile.id !== activeId)
+    .forEach((entry) => {
+      const option = document.createElement("option");
+      option.value = entry.profile.id;
+      option.textContent = getProfileLabel(entry);
+      select.appendChild(option);
+    });
+
+  select.value = comparisonId && comparisonId !== activeId ? comparisonId : "";
+};
@@ -0,0 +1,68 @@
+/**
+ * Custom field profile storage
+ * Keeps user-defined profiles in localStorage across page loads
+ */
+
+import {
+  createFieldProfileDocument,
+  readFieldProfileDocument,
+} from "./profileFile.js";
+import {
+  getBuiltInProfileIds,
+  listFieldProfiles,
+  registerFieldProfile,
+} from "./profiles.js";
+
+const STORAGE_KEY = "customFieldProfiles";
+
+let restoring = false;
+
+/**
+ * Write all custom profiles to localStorage
+ */
+export const saveCustomFieldProfiles = () => {
+  if (restoring) return;
+  const documents = listFieldProfiles()
+    .filter((entry) => entry.custom)
+    .map((entry) => createFieldProfileDocument(entry.profile));
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(documents));
+  } catch (error) {
+    console.warn("Could not save custom field profiles:", error);
+  }
+};
+
+/**
+ * Register custom profiles saved earlier
+ */
+export const restoreCustomFieldProfiles = () => {
+  let documents = [];
+  try {
+    documents = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+  } catch (error) {
+    console.warn("Stored field profiles are corrupted, ignoring:", error);
+  }
+  if (!Array.isArray(documents)) return;
+
+  restoring = true;
+  const reservedIds = getBuiltInProfileIds();
+  documents.forEach((stored) => {
+    const { profile, errors } = readFieldProfileDocument(stored, {
+      reservedIds,
+    });
+    if (profile) {
+      registerFieldProfile(profile, { custom: true });
+    } else {
+      console.warn("Skipping stored field profile:", errors);
+    }
+  });
+  restoring = false;
+};
+
+/**
+ * Restore saved profiles and save whenever custom profiles change
+ */
+export const initFieldProfileStorage = () => {
+  restoreCustomFieldProfiles();
+  window.addEventListener("fieldProfilesChanged", saveCustomFieldProfiles);
+};
@@ -0,0 +1,112 @@
+/**
+ * Field profile import/export module
+ * Toolbar actions for sharing field profiles as JSON files
+ */
+
+import { customAlert, customConfirm } from "./dialogs.js";
+import { downloadTextFile, readTextFile, toFileName } from "./files.js";
+import { parseFieldProfile, serializeFieldProfile } from "./profileFile.js";
+import { formatProfileError } from "./profileSchema.js";
+import {
+  getBuiltInProfileIds,
+  getFieldProfile,
+  isCustomFieldProfile,
+  registerFieldProfile,
+  unregisterFieldProfile,
+} from "./profiles.js";
+import { store } from "./state.js";
+import { translate } from "./text.js";
+
+/**
+ * Initialize import, export and delete buttons
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.onImport - Called with each imported profile
+ * @param {Function} deps.onDelete - Called after the active profile is deleted
+ */
+export const initProfileTransfer = ({ onImport, onDelete }) => {
+  const exportButton = document.getElementById("profileExport");
+  const importButton = document.getElementById("profileImport");
+  const fileInput = document.getElementById("profileImportFile");
+  const deleteButton = document.getElementById("profileDelete");
+
+  const updateDeleteButton = () => {
+    if (!deleteButton) return;
+    deleteButton.disabled = !isCustomFieldProfile(
+      store.getState().fieldProfile.id,
+    );
+  };
+
+  /**
+   * Import one picked file
+   * @param {File} file - JSON file
+   */
+  const importFile = async (file) => {
+    const text = await readTextFile(file);
+    const { profile, errors } = parseFieldProfile(text, {
+      reservedIds: getBuiltInProfileIds(),
+    });
+
+    if (!profile) {
+      await customAlert(
+        `${file.name}: ${errors.map(formatProfileError).join(", ")}`,
+        translate("profileFile.importFailed", "Tuonti epäonnistui"),
+      );
+      return;
+    }
+
+    if (getFieldProfile(profile.id)) {
+      const replace = await customConfirm(
+        translate(
+          "profileFile.confirmReplace",
+          "Samanniminen oma kenttä on jo olemassa. Korvataanko se?",
+        ),
+      );
+      if (!replace) return;
+    }
+
+    registerFieldProfile(profile, { custom: true });
+    onImport(profile);
+  };
+
+  if (exportButton) {
+    exportButton.addEventListener("click", () => {
+      const { fieldProfile } = store.getState();
+      downloadTextFile(
+        toFileName(fieldProfile.id, "json"),
+        serializeFieldProfile(fieldProfile),
+      );
+    });
+  }
+
+  if (importButton && fileInput) {
+    importButton.addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async () => {
+      for (const file of Array.from(fileInput.files)) {
+        await importFile(file);
+      }
+      // Allow picking the same file again
+      fileInput.value = "";
+    });
+  }
+
+  if (deleteButton) {
+    deleteButton.addEventListener("click", async () => {
+      const { id } = store.getState().fieldProfile;
+      if (!isCustomFieldProfile(id)) return;
+
+      const confirmed = await customConfirm(
+        translate(
+          "profileFile.confirmDelete",
+          "Poistetaanko oma kenttäprofiili?",
+        ),
+      );
+      if (confirmed && unregisterFieldProfile(id)) {
+        onDelete(id);
+      }
+    });
+  }
+
+  store.subscribe(updateDeleteButton);
+  window.addEventListener("fieldProfilesChanged", updateDeleteButton);
+  updateDeleteButton();
+};
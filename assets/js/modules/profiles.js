@@ -0,0 +1,352 @@
+/**
+ * Field profile registry
+ * Holds every field geometry the application can render
+ */
+
+import { generateFieldProfile } from "./fieldRules.js";
+
+/**
+ * Reference field quantities by profile id
+ * Sector angle, first base distance, back boundary distance, field width
+ * and base radius as given by the original PesisKenttä field profiles;
+ * no rulebook table ships with the repository.
+ * Second and third base intervals are not listed: those drawings place
+ * the bases as offsets from the diagonal line ends (FieldLayout.baseOffset)
+ * rather than by interval, so there is no official value to check yet.
+ * @type {Object<string, FieldRules>}
+ */
+export const FIELD_RULES = {
+  Miehet: {
+    sectorAngleDeg: 32.0,
+    firstInterval: 20.0,
+    backDistance: 96.0,
+    width: 42.0,
+    baseRadius: 3.0,
+  },
+  Naiset: {
+    sectorAngleDeg: 32.0,
+    firstInterval: 17.5,
+    backDistance: 82.0,
+    width: 36.0,
+    baseRadius: 2.5,
+  },
+};
+
+/**
+ * Junior field quantities
+ * Approximate values for the age classes, not taken from a rulebook
+ * table, so they are not checked as official values.
+ * @type {Object<string, FieldRules>}
+ */
+const JUNIOR_FIELD_SIZES = {
+  "B-juniorit": {
+    sectorAngleDeg: 32.0,
+    firstInterval: 19.0,
+    backDistance: 90.0,
+    width: 40.0,
+    baseRadius: 3.0,
+  },
+  "C-juniorit": {
+    sectorAngleDeg: 32.0,
+    firstInterval: 17.5,
+    backDistance: 80.0,
+    width: 36.0,
+    baseRadius: 2.5,
+  },
+  "D-juniorit": {
+    sectorAngleDeg: 32.0,
+    firstInterval: 15.5,
+    backDistance: 70.0,
+    width: 32.0,
+    baseRadius: 2.5,
+  },
+  "E-juniorit": {
+    sectorAngleDeg: 32.0,
+    firstInterval: 13.5,
+    backDistance: 60.0,
+    width: 28.0,
+    baseRadius: 2.0,
+  },
+};
+
+export const fieldProfileMen = generateFieldProfile(
+  "Miehet",
+  FIELD_RULES["Miehet"],
+  {
+    homePlate: {
+      radius: 0.3,
+      centerToHomeLine: 1.3,
+      lineHalfWidth: 7.0,
+    },
+    sectorOriginY: -0.569,
+    frontArc: {
+      innerRadius: 2.5,
+      outerRadius: 2.7,
+    },
+    homeArcs: {
+      innerRadius: 5.0,
+      outerRadius: 7.0,
+    },
+    baseLineLength: 7.0,
+    homePathFirstLine: 15.5,
+    homePathEndOffset: 6.0,
+    baseOffset: 6.5,
+  },
+);
+
+export const fieldProfileWomen = generateFieldProfile(
+  "Naiset",
+  FIELD_RULES["Naiset"],
+  {
+    homePlate: {
+      radius: 0.3,
+      centerToHomeLine: 1.3,
+      lineHalfWidth: 7.0,
+    },
+    sectorOriginY: -0.569,
+    frontArc: {
+      innerRadius: 2.5,
+      outerRadius: 2.7,
+    },
+    homeArcs: {
+      innerRadius: 5.0,
+      outerRadius: 7.0,
+    },
+    baseLineLength: 7.0,
+    homePathFirstLine: 16.0,
+    homePathEndOffset: 6.0,
+    baseOffset: 7.339,
+  },
+);
+
+export const fieldProfileJuniorB = generateFieldProfile(
+  "B-juniorit",
+  JUNIOR_FIELD_SIZES["B-juniorit"],
+  {
+    homePlate: {
+      radius: 0.3,
+      centerToHomeLine: 1.3,
+      lineHalfWidth: 7.0,
+    },
+    sectorOriginY: -0.569,
+    frontArc: {
+      innerRadius: 2.5,
+      outerRadius: 2.7,
+    },
+    homeArcs: {
+      innerRadius: 5.0,
+      outerRadius: 7.0,
+    },
+    baseLineLength: 7.0,
+    homePathFirstLine: 15.5,
+    homePathEndOffset: 6.0,
+    baseOffset: 7.0,
+  },
+);
+
+export const fieldProfileJuniorC = generateFieldProfile(
+  "C-juniorit",
+  JUNIOR_FIELD_SIZES["C-juniorit"],
+  {
+    homePlate: {
+      radius: 0.3,
+      centerToHomeLine: 1.3,
+      lineHalfWidth: 7.0,
+    },
+    sectorOriginY: -0.569,
+    frontArc: {
+      innerRadius: 2.5,
+      outerRadius: 2.7,
+    },
+    homeArcs: {
+      innerRadius: 5.0,
+      outerRadius: 7.0,
+    },
+    baseLineLength: 7.0,
+    homePathFirstLine: 15.0,
+    homePathEndOffset: 6.0,
+    baseOffset: 7.0,
+  },
+);
+
+export const fieldProfileJuniorD = generateFieldProfile(
+  "D-juniorit",
+  JUNIOR_FIELD_SIZES["D-juniorit"],
+  {
+    homePlate: {
+      radius: 0.3,
+      centerToHomeLine: 1.3,
+      lineHalfWidth: 6.0,
+    },
+    sectorOriginY: -0.569,
+    frontArc: {
+      innerRadius: 2.5,
+      outerRadius: 2.7,
+    },
+    homeArcs: {
+      innerRadius: 4.5,
+      outerRadius: 6.0,
+    },
+    baseLineLength: 6.0,
+    homePathFirstLine: 13.0,
+    homePathEndOffset: 5.0,
+    baseOffset: 6.0,
+  },
+);
+
+export const fieldProfileJuniorE = generateFieldProfile(
+  "E-juniorit",
+  JUNIOR_FIELD_SIZES["E-juniorit"],
+  {
+    homePlate: {
+      radius: 0.3,
+      centerToHomeLine: 1.3,
+      lineHalfWidth: 5.0,
+    },
+    sectorOriginY: -0.569,
+    frontArc: {
+      innerRadius: 2.5,
+      outerRadius: 2.7,
+    },
+    homeArcs: {
+      innerRadius: 4.0,
+      outerRadius: 5.0,
+    },
+    baseLineLength: 5.0,
+    homePathFirstLine: 11.0,
+    homePathEndOffset: 4.5,
+    baseOffset: 5.0,
+  },
+);
+
+export const DEFAULT_FIELD_PROFILE_ID = fieldProfileWomen.id;
+
+/**
+ * Registry entry for a selectable field profile
+ * @typedef {Object} FieldProfileEntry
+ * @property {FieldProfile} profile - Field geometry
+ * @property {string|null} labelKey - i18n key for the selector label
+ * @property {string} fallbackLabel - Label used before translations load
+ * @property {boolean} custom - True for user-defined profiles
+ * @property {boolean} approximate - True when the dimensions have no rulebook source
+ */
+
+/** @type {Map<string, FieldProfileEntry>} */
+const registry = new Map();
+
+/**
+ * Add a profile to the registry (replaces an entry with the same id)
+ * @param {FieldProfile} profile - Field geometry
+ * @param {Object} [options]
+ * @param {string|null} [options.labelKey] - i18n key for the label
+ * @param {string} [options.fallbackLabel] - Untranslated label
+ * @param {boolean} [options.custom] - User-defined profile
+ * @param {boolean} [options.approximate] - Dimensions are approximations
+ * @returns {FieldProfileEntry} Registered entry
+ */
+export const registerFieldProfile = (
+  profile,
+  {
+    labelKey = null,
+    fallbackLabel = profile.id,
+    custom = false,
+    approximate = false,
+  } = {},
+) => {
+  const entry = { profile, labelKey, fallbackLabel, custom, approximate };
+  registry.set(profile.id, entry);
+  window.dispatchEvent(
+    new CustomEvent("fieldProfilesChanged", { detail: { id: profile.id } }),
+  );
+  return entry;
+};
+
+/**
+ * Remove user-defined profile from the registry
+ * @param {string} id - Profile id
+ * @returns {boolean} True if a profile was removed
+ */
+export const unregisterFieldProfile = (id) => {
+  if (!isCustomFieldProfile(id)) return false;
+  registry.delete(id);
+  window.dispatchEvent(
+    new CustomEvent("fieldProfilesChanged", { detail: { id } }),
+  );
+  return true;
+};
+
+/**
+ * Get profile by id
+ * @param {string} id - Profile id
+ * @returns {FieldProfile|null} Profile or null if not registered
+ */
+export const getFieldProfile = (id) => registry.get(id)?.profile || null;
+
+/**
+ * Check whether profile is user-defined
+ * @param {string} id - Profile id
+ * @returns {boolean}
+ */
+export const isCustomFieldProfile = (id) => registry.get(id)?.custom === true;
+
+/**
+ * Check whether profile dimensions are approximations
+ * @param {string} id - Profile id
+ * @returns {boolean}
+ */
+export const isApproximateFieldProfile = (id) =>
+  registry.get(id)?.approximate === true;
+
+/**
+ * List registered profiles in registration order
+ * @returns {Array<FieldProfileEntry>}
+ */
+export const listFieldProfiles = () => Array.from(registry.values());
+
+/**
+ * Official quantities for a profile
+ * @param {string} id - Profile id
+ * @returns {FieldRules|null} Rules or null for custom profiles
+ */
+export const getFieldRules = (id) =>
+  !isCustomFieldProfile(id) && Object.hasOwn(FIELD_RULES, id)
+    ? FIELD_RULES[id]
+    : null;
+
+/**
+ * Ids of built-in profiles (custom profiles may not reuse these)
+ * @returns {Array<string>}
+ */
+export const getBuiltInProfileIds = () =>
+  listFieldProfiles()
+    .filter((entry) => !entry.custom)
+    .map((entry) => entry.profile.id);
+
+registerFieldProfile(fieldProfileWomen, {
+  labelKey: "profiles.women",
+  fallbackLabel: "Naiset",
+});
+registerFieldProfile(fieldProfileMen, {
+  labelKey: "profiles.men",
+  fallbackLabel: "Miehet",
+});
+registerFieldProfile(fieldProfileJuniorB, {
+  labelKey: "profiles.juniorB",
+  fallbackLabel: "B-juniorit",
+  approximate: true,
+});
+registerFieldProfile(fieldProfileJuniorC, {
+  labelKey: "profiles.juniorC",
+  fallbackLabel: "C-juniorit",
+  approximate: true,
+});
+registerFieldProfile(fieldProfileJuniorD, {
+  labelKey: "profiles.juniorD",
+  fallbackLabel: "D-juniorit",
+  approximate: true,
+});
+registerFieldProfile(fieldProfileJuniorE, {
+  labelKey: "profiles.juniorE",
+  fallbackLabel: "E-juniorit",
+  approximate: true,
+});
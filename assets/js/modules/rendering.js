@@ -285,6 +285,159 @@ export const drawEditHandles = (
   });
 };
 
+/**
+ * Draw fielder responsibility regions
+ * Each region is shaded and its farthest point is joined to the fielder.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} params
+ * @param {Array<CoverageRegion>} params.regions - Regions in fielder order
+ * @param {Array<Fielder>} params.fielders - Fielders in the same order
+ * @param {Array<string>} params.colors - Fill color by fielder index
+ * @param {Point} params.origin - Canvas origin
+ * @param {number} params.scale - Scale factor
+ */
+export const drawCoverageRegions = (
+  ctx,
+  { regions, fielders, colors, origin, scale },
+) => {
+  ctx.save();
+
+  regions.forEach((region, index) => {
+    const color = colors[index % colors.length];
+
+    ctx.globalAlpha = 0.28;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    region.polygons.forEach((polygon) => {
+      polygon.forEach((point, pointIndex) => {
+        const canvasPoint = toCanvas(point, origin, scale);
+        if (pointIndex === 0) {
+          ctx.moveTo(canvasPoint.x, canvasPoint.y);
+        } else {
+          ctx.lineTo(canvasPoint.x, canvasPoint.y);
+        }
+      });
+      ctx.closePath();
+    });
+    ctx.fill();
+
+    if (region.worstPoint) {
+      const from = toCanvas(fielders[index], origin, scale);
+      const to = toCanvas(region.worstPoint, origin, scale);
+      ctx.globalAlpha = 0.9;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  });
+
+  ctx.restore();
+};
+
+/**
+ * Draw fielder tokens
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} params
+ * @param {Array<Fielder>} params.fielders - Fielders to draw
+ * @param {Object<string, string>} params.labels - Short label by role id
+ * @param {string|null} params.draggingFielder - Role being dragged
+ * @param {number} params.radius - Token radius in meters
+ * @param {Point} params.origin - Canvas origin
+ * @param {number} params.scale - Scale factor
+ */
+export const drawFielderTokens = (
+  ctx,
+  { fielders, labels, draggingFielder, radius, origin, scale },
+) => {
+  ctx.save();
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.font = `bold ${Math.max(9, radius * scale * 0.9)}px sans-serif`;
+
+  fielders.forEach((fielder) => {
+    const canvasPoint = toCanvas(fielder, origin, scale);
+    const isActive = draggingFielder === fielder.role;
+
+    ctx.fillStyle = isActive ? "#4cd964" : "#1565c0";
+    ctx.strokeStyle = "#ffffff";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(canvasPoint.x, canvasPoint.y, radius * scale, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = "#ffffff";
+    ctx.fillText(labels[fielder.role] || "", canvasPoint.x, canvasPoint.y);
+  });
+
+  ctx.restore();
+};
+
+/**
+ * Draw hit density as heat
+ * Cells below a twentieth of the peak are left clear; denser cells turn
+ * from yellow to red and grow more opaque.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} params
+ * @param {SprayDensity} params.density - Density grid
+ * @param {Point} params.origin - Canvas origin
+ * @param {number} params.scale - Scale factor
+ */
+export const drawSprayDensity = (ctx, { density, origin, scale }) => {
+  const { left, back, cellSize, cols, rows, values, max } = density;
+  if (max <= 0) return;
+  const size = cellSize * scale;
+
+  ctx.save();
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const share = values[row * cols + col] / max;
+      if (share < 0.05) continue;
+      const corner = toCanvas(
+        { x: left + col * cellSize, y: back + (row + 1) * cellSize },
+        origin,
+        scale,
+      );
+      ctx.fillStyle = `hsla(${Math.round(60 * (1 - share))}, 100%, 50%, ${(
+        0.15 +
+        0.45 * share
+      ).toFixed(2)})`;
+      // Half a pixel of overlap hides seams between cells
+      ctx.fillRect(corner.x, corner.y, size + 0.5, size + 0.5);
+    }
+  }
+  ctx.restore();
+};
+
+/**
+ * Draw imported hit locations
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} params
+ * @param {Array<SprayHit>} params.hits - Hits to draw
+ * @param {Map<string, string>} params.colors - Colour by outcome
+ * @param {Point} params.origin - Canvas origin
+ * @param {number} params.scale - Scale factor
+ */
+export const drawSprayHits = (ctx, { hits, colors, origin, scale }) => {
+  ctx.save();
+  ctx.strokeStyle = "rgba(0, 0, 0, 0.7)";
+  ctx.lineWidth = 1;
+  hits.forEach((hit) => {
+    const canvasPoint = toCanvas(hit, origin, scale);
+    ctx.fillStyle = colors.get(hit.outcome) || "#ffffff";
+    ctx.beginPath();
+    ctx.arc(canvasPoint.x, canvasPoint.y, 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  });
+  ctx.restore();
+};
+
 /**
  * Draw snap indicator
  * @param {CanvasRenderingContext2D} ctx
@@ -0,0 +1,240 @@
+/**
+ * Runner timing panel
+ * Edits runner profiles and shows arrival times along the base path
+ */
+
+import { customConfirm } from "./dialogs.js";
+import { formatMeters } from "./geometry.js";
+import {
+  addRunner,
+  calculateRunnerTimes,
+  deleteRunner,
+  getRunningLegs,
+  getSelectedRunner,
+  isValidRunner,
+  listRunners,
+  selectRunner,
+  updateRunner,
+} from "./runners.js";
+import { store } from "./state.js";
+import { translate } from "./text.js";
+
+const BASE_LABELS = {
+  home: "Kotipesä",
+  first: "Ykköspesä",
+  second: "Kakkospesä",
+  third: "Kolmospesä",
+};
+
+/**
+ * Display name of a base
+ * @param {string} base - Base id
+ * @returns {string}
+ */
+const getBaseLabel = (base) =>
+  translate(`runners.bases.${base}`, BASE_LABELS[base]);
+
+/**
+ * Format seconds
+ * @param {number} value - Time in seconds
+ * @returns {string} e.g. "4.25 s"
+ */
+const formatSeconds = (value) => `${value.toFixed(2)} s`;
+
+/**
+ * Initialize runner timing panel
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.getGeometry - Returns geometry of the active field
+ */
+export const initRunnerPanel = ({ getGeometry }) => {
+  const runnerSelect = document.getElementById("runnerSelect");
+  const nameInput = document.getElementById("runnerName");
+  const speedInput = document.getElementById("runnerSpeed");
+  const accelerationInput = document.getElementById("runnerAcceleration");
+  const penaltyInput = document.getElementById("runnerPenalty");
+  const addButton = document.getElementById("runnerAdd");
+  const deleteButton = document.getElementById("runnerDelete");
+  const startSelect = document.getElementById("runnerStart");
+  const defenceInput = document.getElementById("runnerDefenceTime");
+  const rows = document.getElementById("runnerTimeRows");
+  const verdict = document.getElementById("runnerVerdict");
+
+  if (!runnerSelect || !rows) return;
+
+  const numberInputs = {
+    topSpeed: speedInput,
+    acceleration: accelerationInput,
+    roundingPenalty: penaltyInput,
+  };
+
+  const renderStartOptions = () => {
+    if (!startSelect) return;
+    const selected = startSelect.value || "home";
+    startSelect.innerHTML = "";
+    ["home", "first", "second", "third"].forEach((base) => {
+      const option = document.createElement("option");
+      option.value = base;
+      option.textContent = getBaseLabel(base);
+      startSelect.appendChild(option);
+    });
+    startSelect.value = selected;
+  };
+
+  const renderRunners = () => {
+    const selected = getSelectedRunner();
+    runnerSelect.innerHTML = "";
+    listRunners().forEach((runner) => {
+      const option = document.createElement("option");
+      option.value = runner.id;
+      option.textContent = runner.name;
+      runnerSelect.appendChild(option);
+    });
+    runnerSelect.value = selected.id;
+
+    if (nameInput && document.activeElement !== nameInput) {
+      nameInput.value = selected.name;
+    }
+    Object.entries(numberInputs).forEach(([key, input]) => {
+      if (input && document.activeElement !== input) {
+        input.value = selected[key];
+      }
+    });
+    if (deleteButton) deleteButton.disabled = listRunners().length <= 1;
+  };
+
+  const renderTimes = () => {
+    const arrivals = calculateRunnerTimes(
+      getRunningLegs(getGeometry()),
+      getSelectedRunner(),
+      startSelect?.value || "home",
+    );
+    const defenceTime = parseFloat(defenceInput?.value);
+    const hasDefenceTime = Number.isFinite(defenceTime) && defenceTime > 0;
+
+    rows.innerHTML = "";
+    arrivals.forEach((arrival) => {
+      const row = document.createElement("tr");
+      const margin = hasDefenceTime ? defenceTime - arrival.time : null;
+
+      [
+        getBaseLabel(arrival.base),
+        formatMeters(arrival.distance),
+        formatSeconds(arrival.time),
+        margin === null
+          ? "–"
+          : `${margin >= 0 ? "+" : "−"}${formatSeconds(Math.abs(margin))}`,
+      ].forEach((text, index) => {
+        const cell = document.createElement(index === 0 ? "th" : "td");
+        if (index === 0) cell.scope = "row";
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      if (margin !== null) {
+        row.classList.add(margin >= 0 ? "runner-safe" : "runner-out");
+      }
+      rows.appendChild(row);
+    });
+
+    if (!verdict) return;
+    const last = arrivals[arrivals.length - 1];
+    if (!hasDefenceTime || !last) {
+      verdict.textContent = "";
+      verdict.hidden = true;
+      return;
+    }
+
+    // Positive margin means the runner is there before the ball
+    const margin = defenceTime - last.time;
+    verdict.hidden = false;
+    verdict.classList.toggle("runner-safe", margin >= 0);
+    verdict.classList.toggle("runner-out", margin < 0);
+    verdict.textContent =
+      margin >= 0
+        ? translate(
+            "runners.verdict.safe",
+            "Ehtii: {base} {margin} ennen palloa",
+          )
+            .replace("{base}", getBaseLabel(last.base))
+            .replace("{margin}", formatSeconds(margin))
+        : translate("runners.verdict.out", "Ei ehdi: {base} {margin} myöhässä")
+            .replace("{base}", getBaseLabel(last.base))
+            .replace("{margin}", formatSeconds(-margin));
+  };
+
+  runnerSelect.addEventListener("change", () =>
+    selectRunner(runnerSelect.value),
+  );
+
+  if (nameInput) {
+    nameInput.addEventListener("change", () => {
+      const name = nameInput.value.trim();
+      if (name) {
+        updateRunner(getSelectedRunner().id, { name });
+      } else {
+        nameInput.value = getSelectedRunner().name;
+      }
+    });
+  }
+
+  Object.entries(numberInputs).forEach(([key, input]) => {
+    if (!input) return;
+    input.addEventListener("change", () => {
+      const runner = getSelectedRunner();
+      const updated = { ...runner, [key]: parseFloat(input.value) };
+      if (isValidRunner(updated)) {
+        updateRunner(runner.id, { [key]: updated[key] });
+      } else {
+        input.value = runner[key];
+      }
+    });
+  });
+
+  if (addButton) {
+    addButton.addEventListener("click", () => {
+      // The new player starts from the selected player's running values
+      const selected = getSelectedRunner();
+      addRunner({
+        name: `${translate("runners.defaultName", "Pelaaja")} ${listRunners().length + 1}`,
+        topSpeed: selected.topSpeed,
+        acceleration: selected.acceleration,
+        roundingPenalty: selected.roundingPenalty,
+      });
+      nameInput?.focus();
+    });
+  }
+
+  if (deleteButton) {
+    deleteButton.addEventListener("click", async () => {
+      const confirmed = await customConfirm(
+        translate("runners.confirmDelete", "Poistetaanko pelaaja?"),
+      );
+      if (confirmed) deleteRunner(getSelectedRunner().id);
+    });
+  }
+
+  startSelect?.addEventListener("change", renderTimes);
+  defenceInput?.addEventListener("input", renderTimes);
+
+  // Home path edits and profile changes move the bases
+  let lastLegsKey = null;
+  store.subscribe(() => {
+    const key = JSON.stringify(getRunningLegs(getGeometry()));
+    if (key === lastLegsKey) return;
+    lastLegsKey = key;
+    renderTimes();
+  });
+
+  window.addEventListener("runnersChanged", () => {
+    renderRunners();
+    renderTimes();
+  });
+  window.addEventListener("languageChanged", () => {
+    renderStartOptions();
+    renderTimes();
+  });
+  window.addEventListener("unitChanged", renderTimes);
+
+  renderStartOptions();
+  renderRunners();
+  renderTimes();
+};
@@ -0,0 +1,219 @@
+/**
+ * Runner module
+ * Runner profiles and arrival time estimates along the base path
+ */
+
+import { readVersioned, writeVersioned } from "./persistence.js";
+
+const RUNNER_STORAGE_KEY = "runnerProfiles";
+const RUNNER_VERSION = 1;
+
+/**
+ * Runner profile
+ * @typedef {Object} Runner
+ * @property {string} id - Profile id
+ * @property {string} name - Player name
+ * @property {number} topSpeed - Sprint speed (m/s)
+ * @property {number} acceleration - Acceleration from standstill (m/s²)
+ * @property {number} roundingPenalty - Time lost turning at a base (s)
+ */
+
+/**
+ * Base path leg ending at a base
+ * @typedef {Object} RunningLeg
+ * @property {string} base - Base reached: "first", "second", "third" or "home"
+ * @property {number} distance - Leg length in meters
+ */
+
+/**
+ * Arrival estimate at one base
+ * @typedef {Object} RunnerArrival
+ * @property {string} base - Base reached
+ * @property {number} distance - Leg length in meters
+ * @property {number} totalDistance - Distance from the start base
+ * @property {number} time - Seconds from the start
+ */
+
+// Bases in running order, each leg ends at the named base
+export const RUNNING_BASES = ["first", "second", "third", "home"];
+
+/** @type {Runner} */
+export const DEFAULT_RUNNER = {
+  id: "runner-default",
+  name: "Pelaaja 1",
+  topSpeed: 7.5,
+  acceleration: 4,
+  roundingPenalty: 0.3,
+};
+
+/** @type {Array<Runner>} */
+let runners = [];
+let selectedRunnerId = DEFAULT_RUNNER.id;
+
+/**
+ * Path lengths of the running order
+ * The home path is the editable one, so home path edits show up here.
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @returns {Array<RunningLeg>}
+ */
+export const getRunningLegs = (geometry) => [
+  { base: "first", distance: geometry.measurements.first },
+  { base: "second", distance: geometry.firstToSecond.length },
+  { base: "third", distance: geometry.secondToThird.length },
+  { base: "home", distance: geometry.measurements.diagonal },
+];
+
+/**
+ * Time to run a distance from standstill
+ * The runner accelerates evenly up to top speed and then holds it.
+ * @param {number} distance - Distance in meters
+ * @param {Runner} runner - Runner profile
+ * @returns {number} Time in seconds
+ */
+export const timeToRun = (distance, { topSpeed, acceleration }) => {
+  const accelerationDistance = topSpeed ** 2 / (2 * acceleration);
+  if (distance <= accelerationDistance) {
+    return Math.sqrt((2 * distance) / acceleration);
+  }
+  return topSpeed / acceleration + (distance - accelerationDistance) / topSpeed;
+};
+
+/**
+ * Arrival times at every base after the start base
+ * The runner starts from standstill and keeps running, losing
+ * roundingPenalty at each base passed on the way.
+ * @param {Array<RunningLeg>} legs - Legs from getRunningLegs
+ * @param {Runner} runner - Runner profile
+ * @param {string} [startBase] - "home", "first", "second" or "third"
+ * @returns {Array<RunnerArrival>}
+ */
+export const calculateRunnerTimes = (legs, runner, startBase = "home") => {
+  const startIndex =
+    startBase === "home" ? 0 : RUNNING_BASES.indexOf(startBase) + 1;
+  let totalDistance = 0;
+
+  return legs.slice(startIndex).map((leg, index) => {
+    totalDistance += leg.distance;
+    return {
+      base: leg.base,
+      distance: leg.distance,
+      totalDistance,
+      time: timeToRun(totalDistance, runner) + index * runner.roundingPenalty,
+    };
+  });
+};
+
+const notifyRunnersChanged = () => {
+  window.dispatchEvent(new CustomEvent("runnersChanged"));
+};
+
+/**
+ * List runner profiles
+ * @returns {Array<Runner>}
+ */
+export const listRunners = () => [...runners];
+
+/**
+ * Get selected runner profile
+ * @returns {Runner}
+ */
+export const getSelectedRunner = () =>
+  runners.find((runner) => runner.id === selectedRunnerId) || runners[0];
+
+/**
+ * Select runner profile
+ * @param {string} id - Runner id
+ */
+export const selectRunner = (id) => {
+  if (!runners.some((runner) => runner.id === id)) return;
+  selectedRunnerId = id;
+  notifyRunnersChanged();
+};
+
+/**
+ * Add runner profile and select it
+ * @param {Omit<Runner, "id">} values - Profile values
+ * @returns {Runner} Added profile
+ */
+export const addRunner = (values) => {
+  const runner = {
+    ...values,
+    id: `runner-${Date.now().toString(36)}`,
+  };
+  runners = [...runners, runner];
+  selectedRunnerId = runner.id;
+  notifyRunnersChanged();
+  return runner;
+};
+
+/**
+ * Change runner profile values
+ * @param {string} id - Runner id
+ * @param {Partial<Runner>} changes - Values to replace
+ * @returns {Runner|null} Updated profile
+ */
+export const updateRunner = (id, changes) => {
+  const existing = runners.find((runner) => runner.id === id);
+  if (!existing) return null;
+
+  const updated = { ...existing, ...changes, id };
+  runners = runners.map((runner) => (runner.id === id ? updated : runner));
+  notifyRunnersChanged();
+  return updated;
+};
+
+/**
+ * Delete runner profile (the last one is kept)
+ * @param {string} id - Runner id
+ * @returns {boolean} True if a profile was removed
+ */
+export const deleteRunner = (id) => {
+  if (runners.length <= 1 || !runners.some((runner) => runner.id === id)) {
+    return false;
+  }
+  runners = runners.filter((runner) => runner.id !== id);
+  if (selectedRunnerId === id) selectedRunnerId = runners[0].id;
+  notifyRunnersChanged();
+  return true;
+};
+
+/**
+ * Check runner values
+ * @param {*} value - Runner-like value
+ * @returns {boolean}
+ */
+export const isValidRunner = (value) =>
+  typeof value?.name === "string" &&
+  Number.isFinite(value.topSpeed) &&
+  value.topSpeed > 0 &&
+  Number.isFinite(value.acceleration) &&
+  value.acceleration > 0 &&
+  Number.isFinite(value.roundingPenalty) &&
+  value.roundingPenalty >= 0;
+
+/**
+ * Load runner profiles and save whenever they change
+ */
+export const initRunnerStorage = () => {
+  const stored = readVersioned(RUNNER_STORAGE_KEY, {
+    version: RUNNER_VERSION,
+  });
+  runners = Array.isArray(stored?.runners)
+    ? stored.runners.filter(
+        (runner) => typeof runner.id === "string" && isValidRunner(runner),
+      )
+    : [];
+  if (runners.length === 0) runners = [{ ...DEFAULT_RUNNER }];
+  selectedRunnerId = runners.some(
+    (runner) => runner.id === stored?.selectedRunnerId,
+  )
+    ? stored.selectedRunnerId
+    : runners[0].id;
+
+  window.addEventListener("runnersChanged", () => {
+    writeVersioned(RUNNER_STORAGE_KEY, RUNNER_VERSION, {
+      runners,
+      selectedRunnerId,
+    });
+  });
+};
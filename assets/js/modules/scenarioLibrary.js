@@ -0,0 +1,180 @@
+/**
+ * Scenario library panel
+ * Lists named scenarios with load, rename, duplicate, delete and file transfer
+ */
+
+import { customAlert, customConfirm } from "./dialogs.js";
+import { downloadTextFile, readTextFile, toFileName } from "./files.js";
+import {
+  addScenario,
+  deleteScenario,
+  duplicateScenario,
+  importScenarios,
+  listScenarios,
+  parseScenarios,
+  renameScenario,
+  serializeScenarios,
+} from "./scenarios.js";
+import { translate } from "./text.js";
+
+const PAGE_LABELS = {
+  kentta: "PesisKenttä",
+  kulma: "PesisKulma",
+};
+
+/**
+ * Create small button for a list row
+ * @param {string} key - Translation key
+ * @param {string} fallback - Finnish text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+const createRowButton = (key, fallback, onClick) => {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "tool-button";
+  button.textContent = translate(key, fallback);
+  button.addEventListener("click", onClick);
+  return button;
+};
+
+/**
+ * Initialize scenario library panel
+ * @param {Object} deps - Dependencies
+ * @param {string} deps.page - Current page id ("kentta" or "kulma")
+ * @param {Function} deps.capture - Returns ScenarioSnapshot of the current view
+ * @param {Function} deps.apply - Applies ScenarioSnapshot, returns false if unusable
+ */
+export const initScenarioLibrary = ({ page, capture, apply }) => {
+  const saveForm = document.getElementById("scenarioSaveForm");
+  const nameInput = document.getElementById("scenarioName");
+  const list = document.getElementById("scenarioList");
+  const exportButton = document.getElementById("scenarioExport");
+  const importButton = document.getElementById("scenarioImport");
+  const fileInput = document.getElementById("scenarioImportFile");
+
+  if (!saveForm || !list) return;
+
+  /**
+   * Load scenario into the page
+   * @param {Scenario} scenario
+   */
+  const loadScenario = async (scenario) => {
+    if (apply(scenario.snapshot) === false) {
+      await customAlert(
+        translate(
+          "scenarios.loadFailed",
+          "Tilannetta ei voitu avata. Sen kenttäprofiilia ei löydy.",
+        ),
+      );
+    }
+  };
+
+  /**
+   * Build list row for one scenario
+   * @param {Scenario} scenario
+   * @returns {HTMLLIElement}
+   */
+  const renderItem = (scenario) => {
+    const item = document.createElement("li");
+    item.className = "scenario-item";
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.className = "scenario-item__name";
+    name.maxLength = 60;
+    name.value = scenario.name;
+    name.setAttribute("aria-label", translate("scenarios.rename", "Nimeä"));
+    name.addEventListener("change", () => {
+      if (!renameScenario(scenario.id, name.value)) {
+        name.value = scenario.name;
+      }
+    });
+
+    const meta = document.createElement("span");
+    meta.className = "scenario-item__meta";
+    meta.textContent = `${PAGE_LABELS[scenario.page]} · ${new Date(
+      scenario.updatedAt,
+    ).toLocaleDateString()}`;
+
+    const actions = document.createElement("div");
+    actions.className = "scenario-item__actions";
+    actions.append(
+      createRowButton("scenarios.load", "Avaa", () => loadScenario(scenario)),
+      createRowButton("scenarios.duplicate", "Monista", () =>
+        duplicateScenario(scenario.id),
+      ),
+      createRowButton("scenarios.delete", "Poista", async () => {
+        const confirmed = await customConfirm(
+          translate("scenarios.confirmDelete", "Poistetaanko tilanne?"),
+        );
+        if (confirmed) deleteScenario(scenario.id);
+      }),
+    );
+
+    item.append(name, meta, actions);
+    return item;
+  };
+
+  const render = () => {
+    const scenarios = listScenarios();
+    list.innerHTML = "";
+
+    if (scenarios.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "side-panel__hint";
+      empty.textContent = translate(
+        "scenarios.empty",
+        "Ei tallennettuja tilanteita",
+      );
+      list.appendChild(empty);
+    } else {
+      scenarios.forEach((scenario) => list.appendChild(renderItem(scenario)));
+    }
+
+    if (exportButton) exportButton.disabled = scenarios.length === 0;
+  };
+
+  saveForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const name =
+      nameInput.value.trim() ||
+      `${translate("scenarios.defaultName", "Tilanne")} ${listScenarios().length + 1}`;
+    addScenario({ name, page, snapshot: capture() });
+    nameInput.value = "";
+  });
+
+  if (exportButton) {
+    exportButton.addEventListener("click", () => {
+      downloadTextFile(
+        toFileName(translate("scenarios.fileName", "tilanteet"), "json"),
+        serializeScenarios(listScenarios()),
+      );
+    });
+  }
+
+  if (importButton && fileInput) {
+    importButton.addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async () => {
+      for (const file of Array.from(fileInput.files)) {
+        const { scenarios, errors } = parseScenarios(await readTextFile(file));
+        if (errors.length > 0) {
+          await customAlert(
+            `${file.name}: ${errors
+              .map((error) => translate(error.key, error.fallback))
+              .join(", ")}`,
+            translate("profileFile.importFailed", "Tuonti epäonnistui"),
+          );
+        } else {
+          importScenarios(scenarios);
+        }
+      }
+      // Allow picking the same file again
+      fileInput.value = "";
+    });
+  }
+
+  window.addEventListener("scenariosChanged", render);
+  window.addEventListener("languageChanged", render);
+  render();
+};
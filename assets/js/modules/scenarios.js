@@ -0,0 +1,383 @@
+/**
+ * Scenario module
+ * Named snapshots of the whole field setup, kept in localStorage and
+ * exported as one JSON file
+ */
+
+import {
+  CONTACT_HEIGHT,
+  DEFAULT_EXIT_SPEED_KMH,
+  DEFAULT_LAUNCH_ANGLE_DEG,
+} from "./ballFlight.js";
+import { resolveTargets, sanitizeTargets } from "./aimTargets.js";
+import { DEFAULT_PITCH_HEIGHT } from "./elevation.js";
+import { DEFAULT_NET_SETTINGS } from "./net.js";
+import { readVersioned, writeVersioned } from "./persistence.js";
+import { resolveSharedProfile, shareProfile } from "./shareLink.js";
+import { translate } from "./text.js";
+import { isPoint, selectWorkspace, workspaceToState } from "./workspace.js";
+
+const SCENARIO_STORAGE_KEY = "scenarioLibrary";
+export const SCENARIO_FORMAT = "pesiskulma-scenarios";
+export const SCENARIO_VERSION = 1;
+
+/**
+ * Migrations by source version, see persistence.js
+ * @type {Object<number, Function>}
+ */
+const SCENARIO_MIGRATIONS = {};
+
+/**
+ * Snapshot of the field setup
+ * @typedef {Object} ScenarioSnapshot
+ * @property {{id: string}|{document: FieldProfileDocument}} profile - Built-in id or full custom profile
+ * @property {string|null} comparisonProfileId - Compared profile id
+ * @property {EditablePoints} editablePoints - Home path points
+ * @property {Array} customMeasurements - User-drawn measurement lines
+ * @property {number} zoomLevel - Zoom factor
+ * @property {number} panX - Pan offset in pixels
+ * @property {number} panY - Pan offset in pixels
+ * @property {boolean} showFielders - Fielder layer visibility
+ * @property {string} formationId - Formation the fielders start from
+ * @property {Array<Fielder>|null} fielders - Moved fielder positions
+ * @property {boolean} showCoverage - Responsibility region visibility
+ * @property {boolean} coverageWeighted - Weight regions by fielder speed
+ * @property {Object<string, number>|null} fielderSpeeds - Speeds by role (m/s)
+ * @property {Point|null} ballPosition - PesisKulma target point
+ * @property {Array<AimTarget>} [aimTargets] - PesisKulma session targets
+ * @property {string|null} [activeTargetId] - PesisKulma target following the ball
+ * @property {Point} pitchOffset - PesisKulma ball offset on the pitching plate
+ * @property {boolean} [showFlight] - PesisKulma ball flight simulation on
+ * @property {number} [exitSpeed] - PesisKulma exit speed in km/h
+ * @property {number} [launchAngleDeg] - PesisKulma vertical launch angle
+ * @property {number} [contactHeight] - PesisKulma contact height in meters
+ * @property {number} [pitchHeight] - PesisKulma pitch peak in meters
+ * @property {number|null} [netDistance] - PesisKulma net distance in cm
+ * @property {number} [netYawDeg] - PesisKulma net yaw in degrees
+ * @property {number} [netOffset] - PesisKulma net lateral offset in meters
+ * @property {number|null} [netWidth] - PesisKulma net width in meters
+ */
+
+/**
+ * Named scenario
+ * @typedef {Object} Scenario
+ * @property {string} id - Unique id
+ * @property {string} name - Name shown in the list
+ * @property {string} page - Page the scenario was saved on ("kentta" or "kulma")
+ * @property {string} updatedAt - ISO timestamp of the last change
+ * @property {ScenarioSnapshot} snapshot - Saved setup
+ */
+
+/** @type {Array<Scenario>} */
+let scenarios = [];
+
+/**
+ * Capture current setup
+ * @param {AppState} state - Store state
+ * @param {Object} [extras] - Page values kept outside the store
+ * @returns {ScenarioSnapshot}
+ */
+export const captureSnapshot = (state, extras = {}) => {
+  const { fieldProfileId, ...workspace } = selectWorkspace(state);
+  return {
+    profile: shareProfile(state.fieldProfile),
+    ...workspace,
+    ballPosition: state.ballPosition,
+    aimTargets: resolveTargets(state),
+    activeTargetId: state.activeTargetId,
+    pitchOffset: state.pitchOffset,
+    showFlight: state.showFlight,
+    exitSpeed: state.exitSpeed,
+    launchAngleDeg: state.launchAngleDeg,
+    contactHeight: state.contactHeight,
+    pitchHeight: state.pitchHeight,
+    netYawDeg: state.netYawDeg,
+    netOffset: state.netOffset,
+    netWidth: state.netWidth,
+    ...extras,
+  };
+};
+
+/**
+ * Turn snapshot into state updates
+ * Custom profiles inside the snapshot are registered when needed.
+ * @param {ScenarioSnapshot} snapshot - Saved setup
+ * @returns {Partial<AppState>|null} State updates or null if unusable
+ */
+export const snapshotToState = (snapshot) => {
+  const fieldProfile = resolveSharedProfile(snapshot?.profile);
+  const updates = fieldProfile
+    ? workspaceToState({ ...snapshot, fieldProfileId: fieldProfile.id })
+    : null;
+  if (!updates) return null;
+
+  const aimTargets = sanitizeTargets(snapshot.aimTargets);
+  return {
+    ...updates,
+    ballPosition: isPoint(snapshot.ballPosition) ? snapshot.ballPosition : null,
+    aimTargets,
+    activeTargetId: aimTargets.some(
+      (target) => target.id === snapshot.activeTargetId,
+    )
+      ? snapshot.activeTargetId
+      : null,
+    drill: null,
+    pitchOffset: isPoint(snapshot.pitchOffset)
+      ? snapshot.pitchOffset
+      : { x: 0, y: 0 },
+    // Scenarios saved before the flight simulation keep the defaults
+    showFlight: snapshot.showFlight === true,
+    exitSpeed: Number.isFinite(snapshot.exitSpeed)
+      ? snapshot.exitSpeed
+      : DEFAULT_EXIT_SPEED_KMH,
+    launchAngleDeg: Number.isFinite(snapshot.launchAngleDeg)
+      ? snapshot.launchAngleDeg
+      : DEFAULT_LAUNCH_ANGLE_DEG,
+    contactHeight: Number.isFinite(snapshot.contactHeight)
+      ? snapshot.contactHeight
+      : CONTACT_HEIGHT,
+    pitchHeight: Number.isFinite(snapshot.pitchHeight)
+      ? snapshot.pitchHeight
+      : DEFAULT_PITCH_HEIGHT,
+    netYawDeg: Number.isFinite(snapshot.netYawDeg)
+      ? snapshot.netYawDeg
+      : DEFAULT_NET_SETTINGS.yawDeg,
+    netOffset: Number.isFinite(snapshot.netOffset)
+      ? snapshot.netOffset
+      : DEFAULT_NET_SETTINGS.offset,
+    netWidth:
+      Number.isFinite(snapshot.netWidth) && snapshot.netWidth > 0
+        ? snapshot.netWidth
+        : DEFAULT_NET_SETTINGS.width,
+  };
+};
+
+const createScenarioId = () =>
+  `scenario-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Keep only well-formed scenarios
+ * @param {*} value - Scenario-like value
+ * @returns {Scenario|null}
+ */
+const readScenario = (value) => {
+  if (!value || typeof value !== "object") return null;
+  if (typeof value.name !== "string" || !value.name.trim()) return null;
+  if (!value.snapshot || typeof value.snapshot !== "object") return null;
+  return {
+    id:
+      typeof value.id === "string" && value.id ? value.id : createScenarioId(),
+    name: value.name.trim(),
+    page: value.page === "kulma" ? "kulma" : "kentta",
+    updatedAt:
+      typeof value.updatedAt === "string"
+        ? value.updatedAt
+        : new Date().toISOString(),
+    snapshot: value.snapshot,
+  };
+};
+
+const notifyScenariosChanged = () => {
+  window.dispatchEvent(new CustomEvent("scenariosChanged"));
+};
+
+/**
+ * List saved scenarios in the order they were added
+ * @returns {Array<Scenario>}
+ */
+export const listScenarios = () => [...scenarios];
+
+/**
+ * Get scenario by id
+ * @param {string} id - Scenario id
+ * @returns {Scenario|undefined}
+ */
+export const getScenario = (id) =>
+  scenarios.find((scenario) => scenario.id === id);
+
+/**
+ * Save a new scenario
+ * @param {Object} scenario
+ * @param {string} scenario.name - Name
+ * @param {string} scenario.page - Page id
+ * @param {ScenarioSnapshot} scenario.snapshot - Setup
+ * @returns {Scenario} Saved scenario
+ */
+export const addScenario = ({ name, page, snapshot }) => {
+  const scenario = {
+    id: createScenarioId(),
+    name: name.trim(),
+    page,
+    updatedAt: new Date().toISOString(),
+    snapshot,
+  };
+  scenarios = [...scenarios, scenario];
+  notifyScenariosChanged();
+  return scenario;
+};
+
+/**
+ * Change scenario fields
+ * @param {string} id - Scenario id
+ * @param {Partial<Scenario>} changes - Fields to replace
+ * @returns {Scenario|null} Updated scenario
+ */
+export const updateScenario = (id, changes) => {
+  const existing = getScenario(id);
+  if (!existing) return null;
+
+  const updated = {
+    ...existing,
+    ...changes,
+    id,
+    updatedAt: new Date().toISOString(),
+  };
+  scenarios = scenarios.map((scenario) =>
+    scenario.id === id ? updated : scenario,
+  );
+  notifyScenariosChanged();
+  return updated;
+};
+
+/**
+ * Rename scenario
+ * @param {string} id - Scenario id
+ * @param {string} name - New name (blank names are ignored)
+ * @returns {Scenario|null} Updated scenario
+ */
+export const renameScenario = (id, name) =>
+  name.trim() ? updateScenario(id, { name: name.trim() }) : null;
+
+/**
+ * Copy scenario under a new name
+ * @param {string} id - Scenario id
+ * @returns {Scenario|null} Copy
+ */
+export const duplicateScenario = (id) => {
+  const existing = getScenario(id);
+  if (!existing) return null;
+  return addScenario({
+    name: `${existing.name} ${translate("scenarios.copySuffix", "(kopio)")}`,
+    page: existing.page,
+    snapshot: structuredClone(existing.snapshot),
+  });
+};
+
+/**
+ * Delete scenario
+ * @param {string} id - Scenario id
+ * @returns {boolean} True if a scenario was removed
+ */
+export const deleteScenario = (id) => {
+  if (!getScenario(id)) return false;
+  scenarios = scenarios.filter((scenario) => scenario.id !== id);
+  notifyScenariosChanged();
+  return true;
+};
+
+/**
+ * Serialize scenarios as one JSON file
+ * @param {Array<Scenario>} list - Scenarios to export
+ * @returns {string} Pretty-printed JSON
+ */
+export const serializeScenarios = (list) =>
+  `${JSON.stringify(
+    { format: SCENARIO_FORMAT, version: SCENARIO_VERSION, scenarios: list },
+    null,
+    2,
+  )}\n`;
+
+/**
+ * Parse scenarios from an exported file
+ * @param {string} text - File content
+ * @returns {{scenarios: Array<Scenario>, errors: Array<{key: string, fallback: string}>}}
+ */
+export const parseScenarios = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return {
+      scenarios: [],
+      errors: [
+        {
+          key: "profileFile.errors.invalidJson",
+          fallback: "Tiedosto ei ole kelvollista JSONia",
+        },
+      ],
+    };
+  }
+
+  if (data?.format !== SCENARIO_FORMAT || !Array.isArray(data.scenarios)) {
+    return {
+      scenarios: [],
+      errors: [
+        {
+          key: "scenarios.errors.unknownFormat",
+          fallback: "Tiedosto ei ole tilannekirjasto",
+        },
+      ],
+    };
+  }
+
+  if (data.version > SCENARIO_VERSION) {
+    return {
+      scenarios: [],
+      errors: [
+        {
+          key: "profileFile.errors.newerVersion",
+          fallback: "Tiedosto on tehty uudemmalla versiolla",
+        },
+      ],
+    };
+  }
+
+  return {
+    scenarios: data.scenarios.map(readScenario).filter(Boolean),
+    errors: [],
+  };
+};
+
+/**
+ * Add imported scenarios, giving new ids to ones that already exist
+ * @param {Array<Scenario>} imported - Scenarios from parseScenarios
+ * @returns {number} Number of scenarios added
+ */
+export const importScenarios = (imported) => {
+  const added = imported.map((scenario) =>
+    getScenario(scenario.id)
+      ? { ...scenario, id: createScenarioId() }
+      : scenario,
+  );
+  if (added.length === 0) return 0;
+
+  scenarios = [...scenarios, ...added];
+  notifyScenariosChanged();
+  return added.length;
+};
+
+/**
+ * Load saved scenarios and save whenever they change
+ */
+export const initScenarioStorage = () => {
+  const load = () => {
+    const stored = readVersioned(SCENARIO_STORAGE_KEY, {
+      version: SCENARIO_VERSION,
+      migrations: SCENARIO_MIGRATIONS,
+    });
+    scenarios = Array.isArray(stored?.scenarios)
+      ? stored.scenarios.map(readScenario).filter(Boolean)
+      : [];
+  };
+
+  load();
+  window.addEventListener("scenariosChanged", () => {
+    writeVersioned(SCENARIO_STORAGE_KEY, SCENARIO_VERSION, { scenarios });
+  });
+  // Both pages share the library, so pick up saves from other tabs
+  window.addEventListener("storage", (event) => {
+    if (event.key !== SCENARIO_STORAGE_KEY) return;
+    load();
+    window.dispatchEvent(new CustomEvent("scenariosChanged"));
+  });
+};
@@ -0,0 +1,190 @@
+/**
+ * Share link module
+ * Encodes the current scenario into the URL hash and restores it on open
+ */
+
+import {
+  createFieldProfileDocument,
+  readFieldProfileDocument,
+} from "./profileFile.js";
+import {
+  getBuiltInProfileIds,
+  getFieldProfile,
+  isCustomFieldProfile,
+  registerFieldProfile,
+} from "./profiles.js";
+import { translate } from "./text.js";
+
+export const SHARE_VERSION = 1;
+const SHARE_PARAM = "s";
+
+/**
+ * Shared scenario
+ * @typedef {Object} SharedScenario
+ * @property {number} v - Share format version
+ * @property {string} page - "kentta" (PesisKenttä) or "kulma" (PesisKulma)
+ * @property {{id: string}|{document: FieldProfileDocument}} profile - Built-in id or full custom profile
+ */
+
+// Millimeter precision keeps links short
+const roundNumbers = (key, value) =>
+  typeof value === "number" ? Math.round(value * 1000) / 1000 : value;
+
+/**
+ * Encode object as URL-safe base64 JSON
+ * @param {Object} payload - Data to encode
+ * @returns {string} Encoded text
+ */
+export const encodeSharePayload = (payload) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload, roundNumbers));
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+/**
+ * Decode text created by encodeSharePayload
+ * @param {string} text - Encoded text
+ * @returns {Object|null} Payload or null if text is invalid
+ */
+export const decodeSharePayload = (text) => {
+  try {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    console.warn("Invalid share link:", error);
+    return null;
+  }
+};
+
+/**
+ * Describe profile for a share link
+ * Built-in profiles are referenced by id, custom ones are embedded.
+ * @param {FieldProfile} profile - Active profile
+ * @returns {{id: string}|{document: FieldProfileDocument}}
+ */
+export const shareProfile = (profile) =>
+  isCustomFieldProfile(profile.id) || !getFieldProfile(profile.id)
+    ? { document: createFieldProfileDocument(profile) }
+    : { id: profile.id };
+
+/**
+ * Find or register profile from a share link
+ * A shared custom profile that clashes with a different local one is
+ * registered under the first free numbered name instead of overwriting
+ * local data.
+ * @param {Object} shared - Profile part of SharedScenario
+ * @returns {FieldProfile|null} Profile to use
+ */
+export const resolveSharedProfile = (shared) => {
+  if (!shared) return null;
+  if (shared.id) return getFieldProfile(shared.id);
+
+  const { profile } = readFieldProfileDocument(shared.document, {
+    reservedIds: getBuiltInProfileIds(),
+  });
+  if (!profile) return null;
+
+  // Numbered names keep every shared copy; an identical copy is reused
+  const suffix = translate("share.sharedSuffix", "(jaettu)");
+  const sameFields = JSON.stringify({ ...profile, id: null });
+  let id = profile.id;
+  for (let copy = 1; getFieldProfile(id); copy += 1) {
+    if (JSON.stringify({ ...getFieldProfile(id), id: null }) === sameFields) {
+      return getFieldProfile(id);
+    }
+    id =
+      copy === 1
+        ? `${profile.id} ${suffix}`
+        : `${profile.id} ${suffix} ${copy}`;
+  }
+
+  const registered = { ...profile, id };
+  registerFieldProfile(registered, { custom: true });
+  return registered;
+};
+
+/**
+ * Build link to the current page with scenario in the hash
+ * @param {SharedScenario} payload - Scenario
+ * @returns {string} URL
+ */
+export const buildShareUrl = (payload) =>
+  `${window.location.href.split("#")[0]}#${SHARE_PARAM}=${encodeSharePayload(payload)}`;
+
+/**
+ * Read scenario from the URL hash
+ * @param {string} page - Expected page id
+ * @returns {SharedScenario|null}
+ */
+const readSharedScenario = (page) => {
+  const match = window.location.hash.match(
+    new RegExp(`^#${SHARE_PARAM}=([A-Za-z0-9_-]+)`),
+  );
+  if (!match) return null;
+
+  const payload = decodeSharePayload(match[1]);
+  if (!payload || payload.v !== SHARE_VERSION || payload.page !== page) {
+    return null;
+  }
+  return payload;
+};
+
+/**
+ * Apply shared scenario now and whenever the hash changes
+ * The hash is removed afterwards so later edits are not overridden on reload.
+ * @param {string} page - Page id ("kentta" or "kulma")
+ * @param {Function} apply - Called with SharedScenario
+ */
+export const watchSharedScenario = (page, apply) => {
+  const check = () => {
+    const payload = readSharedScenario(page);
+    if (!payload) return;
+    apply(payload);
+    window.history.replaceState(
+      null,
+      "",
+      window.location.pathname + window.location.search,
+    );
+  };
+
+  window.addEventListener("hashchange", check);
+  check();
+};
+
+/**
+ * Wire share button (#shareLink)
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.buildPayload - Returns SharedScenario for current view
+ */
+export const initShareButton = ({ buildPayload }) => {
+  const button = document.getElementById("shareLink");
+  if (!button) return;
+
+  let resetTimer = null;
+
+  const showCopied = () => {
+    button.textContent = translate("share.copied", "Linkki kopioitu");
+    clearTimeout(resetTimer);
+    resetTimer = setTimeout(() => {
+      button.textContent = translate("share.copy", "Kopioi linkki");
+    }, 2000);
+  };
+
+  button.addEventListener("click", async () => {
+    const url = buildShareUrl(buildPayload());
+    try {
+      await navigator.clipboard.writeText(url);
+      showCopied();
+    } catch (error) {
+      // Clipboard needs a secure context; let the user copy by hand
+      window.prompt(translate("share.copyManually", "Kopioi linkki:"), url);
+    }
+  });
+};
@@ -0,0 +1,424 @@
+/**
+ * Spray chart module
+ * Game hit locations imported from CSV, their filters and the hit density
+ * drawn as heat on the field
+ */
+
+import { direction } from "./geometry.js";
+import { readVersioned, writeVersioned } from "./persistence.js";
+
+const SPRAY_STORAGE_KEY = "sprayChart";
+const SPRAY_VERSION = 1;
+
+// Outcome colours in the order outcomes first appear
+export const SPRAY_COLORS = [
+  "#ffd166",
+  "#ff6b6b",
+  "#4cd964",
+  "#16e1ff",
+  "#c792ea",
+  "#ff9f43",
+  "#ff8fab",
+  "#ffffff",
+];
+
+// Density estimate limits: bandwidth (m) and grid size (cells)
+const MIN_BANDWIDTH = 2;
+const MAX_BANDWIDTH = 12;
+const DEFAULT_BANDWIDTH = 5;
+const MAX_DENSITY_CELLS = 40000;
+
+// Accepted column names after lowercasing and dropping diacritics
+const COLUMN_ALIASES = {
+  x: ["x"],
+  y: ["y"],
+  angle: ["angle", "kulma", "vinkel"],
+  distance: ["distance", "etaisyys", "pituus", "avstand"],
+  batter: ["batter", "lyoja", "slagman"],
+  outcome: ["outcome", "tulos", "resultat"],
+};
+
+/**
+ * Hit location from game notes
+ * @typedef {Object} SprayHit
+ * @property {number} x - Field X (m), home plate centre at the origin, negative to the left
+ * @property {number} y - Field Y (m), forward from the home plate centre
+ * @property {string} batter - Batter name, may be empty
+ * @property {string} outcome - Outcome as written in the notes, may be empty
+ */
+
+/**
+ * Imported hits
+ * @typedef {Object} SprayChart
+ * @property {Array<string>} sources - Imported file names
+ * @property {Array<SprayHit>} hits - Hits from all files
+ */
+
+/**
+ * Skipped CSV row
+ * @typedef {Object} SprayRowError
+ * @property {number} line - Line number in the file, from 1
+ * @property {"noPosition"|"invalidNumber"} reason - Why the row was skipped
+ */
+
+/**
+ * Hit density on a square grid
+ * @typedef {Object} SprayDensity
+ * @property {number} left - X of the grid's left edge (m)
+ * @property {number} back - Y of the grid's near edge (m)
+ * @property {number} cellSize - Cell side (m)
+ * @property {number} cols - Cells across
+ * @property {number} rows - Cells forward
+ * @property {Float32Array} values - Density by cell, row by row from the near edge
+ * @property {number} max - Largest value
+ * @property {number} bandwidth - Kernel bandwidth used (m)
+ */
+
+/** @type {SprayChart|null} */
+let chart = null;
+
+const notifySprayChartChanged = () => {
+  window.dispatchEvent(new CustomEvent("sprayChartChanged"));
+};
+
+/**
+ * Get imported hits
+ * @returns {SprayChart|null} Null before anything is imported
+ */
+export const getSprayChart = () => chart;
+
+/**
+ * Add hits from one file
+ * @param {string} source - File name
+ * @param {Array<SprayHit>} hits - Parsed hits
+ */
+export const addSprayHits = (source, hits) => {
+  chart = {
+    sources: [...(chart?.sources ?? []), source],
+    hits: [...(chart?.hits ?? []), ...hits],
+  };
+  notifySprayChartChanged();
+};
+
+/**
+ * Remove all imported hits
+ */
+export const clearSprayChart = () => {
+  chart = null;
+  notifySprayChartChanged();
+};
+
+/**
+ * Lowercase a column name and drop diacritics, e.g. "Lyöjä" → "lyoja"
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeColumn = (name) =>
+  name
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Split one CSV line, honouring double quotes
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {Array<string>}
+ */
+const splitCsvLine = (line, delimiter) => {
+  const fields = [];
+  let field = "";
+  let isQuoted = false;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (isQuoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        isQuoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      isQuoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((value) => value.trim());
+};
+
+/**
+ * Guess the delimiter from the header line
+ * Spreadsheets with a decimal comma save semicolon-separated files.
+ * @param {string} header
+ * @returns {string}
+ */
+const detectDelimiter = (header) =>
+  [",", ";", "\t"].reduce((best, candidate) =>
+    header.split(candidate).length > header.split(best).length
+      ? candidate
+      : best,
+  );
+
+/**
+ * Parse hit locations from CSV
+ * The header names the columns: x and y in meters, or angle (degrees from
+ * the centre line, positive to the right) and distance (meters) from the
+ * home plate centre, plus optional batter and outcome. Finnish and Swedish
+ * column names work too.
+ * @param {string} text - CSV file content
+ * @returns {{hits: Array<SprayHit>, errors: Array<SprayRowError>, hasPositionColumns: boolean}}
+ */
+export const parseSprayCsv = (text) => {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const headerIndex = lines.findIndex((line) => line.trim() !== "");
+  if (headerIndex === -1) {
+    return { hits: [], errors: [], hasPositionColumns: false };
+  }
+
+  const delimiter = detectDelimiter(lines[headerIndex]);
+  const names = splitCsvLine(lines[headerIndex], delimiter).map(
+    normalizeColumn,
+  );
+  const columns = Object.fromEntries(
+    Object.entries(COLUMN_ALIASES).map(([key, aliases]) => [
+      key,
+      names.findIndex((name) => aliases.includes(name)),
+    ]),
+  );
+  const hasXY = columns.x !== -1 && columns.y !== -1;
+  const hasPolar = columns.angle !== -1 && columns.distance !== -1;
+  if (!hasXY && !hasPolar) {
+    return { hits: [], errors: [], hasPositionColumns: false };
+  }
+
+  /**
+   * Read a number, accepting a decimal comma
+   * @param {Array<string>} fields
+   * @param {number} column
+   * @returns {number|null} Null when the cell is empty, NaN when it is not a number
+   */
+  const readNumber = (fields, column) => {
+    const value = fields[column] ?? "";
+    if (value === "") return null;
+    return Number(value.replace(",", "."));
+  };
+
+  const hits = [];
+  const errors = [];
+  lines.slice(headerIndex + 1).forEach((line, index) => {
+    if (line.trim() === "") return;
+    const lineNumber = headerIndex + index + 2;
+    const fields = splitCsvLine(line, delimiter);
+
+    let point = null;
+    let hasInvalidNumber = false;
+    const tryPosition = (first, second, toPoint) => {
+      if (point || first === -1 || second === -1) return;
+      const a = readNumber(fields, first);
+      const b = readNumber(fields, second);
+      if (a === null || b === null) return;
+      if (Number.isFinite(a) && Number.isFinite(b)) {
+        point = toPoint(a, b);
+      } else {
+        hasInvalidNumber = true;
+      }
+    };
+    tryPosition(columns.x, columns.y, (x, y) => ({ x, y }));
+    tryPosition(columns.angle, columns.distance, (angle, distance) => {
+      const heading = direction(angle);
+      return { x: heading.x * distance, y: heading.y * distance };
+    });
+
+    if (!point) {
+      errors.push({
+        line: lineNumber,
+        reason: hasInvalidNumber ? "invalidNumber" : "noPosition",
+      });
+      return;
+    }
+    hits.push({
+      ...point,
+      batter: columns.batter === -1 ? "" : (fields[columns.batter] ?? ""),
+      outcome: columns.outcome === -1 ? "" : (fields[columns.outcome] ?? ""),
+    });
+  });
+
+  return { hits, errors, hasPositionColumns: true };
+};
+
+/**
+ * Distinct values of a hit field with counts, in order of first appearance
+ * @param {Array<SprayHit>} hits
+ * @param {"batter"|"outcome"} key
+ * @returns {Array<{value: string, count: number}>}
+ */
+export const countSprayValues = (hits, key) => {
+  const counts = new Map();
+  hits.forEach((hit) => counts.set(hit[key], (counts.get(hit[key]) ?? 0) + 1));
+  return [...counts].map(([value, count]) => ({ value, count }));
+};
+
+/**
+ * Colour of each outcome
+ * @param {Array<SprayHit>} hits - All imported hits, so colours stay put while filtering
+ * @returns {Map<string, string>}
+ */
+export const getOutcomeColors = (hits) =>
+  new Map(
+    countSprayValues(hits, "outcome").map(({ value }, index) => [
+      value,
+      SPRAY_COLORS[index % SPRAY_COLORS.length],
+    ]),
+  );
+
+/**
+ * Hits that pass the filters
+ * @param {Array<SprayHit>} hits
+ * @param {Object} filter
+ * @param {string|null} filter.batter - Only this batter, null for everyone
+ * @param {Array<string>} filter.hiddenOutcomes - Outcomes left out
+ * @returns {Array<SprayHit>}
+ */
+export const filterSprayHits = (hits, { batter, hiddenOutcomes }) =>
+  hits.filter(
+    (hit) =>
+      (batter === null || hit.batter === batter) &&
+      !hiddenOutcomes.includes(hit.outcome),
+  );
+
+/**
+ * Kernel bandwidth by Silverman's rule of thumb
+ * The spread is the mean of the X and Y standard deviations.
+ * @param {Array<Point>} points
+ * @returns {number} Bandwidth in meters
+ */
+export const estimateBandwidth = (points) => {
+  if (points.length < 2) return DEFAULT_BANDWIDTH;
+  const deviation = (values) => {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return Math.sqrt(
+      values.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+        (values.length - 1),
+    );
+  };
+  const spread =
+    (deviation(points.map((point) => point.x)) +
+      deviation(points.map((point) => point.y))) /
+    2;
+  const bandwidth = spread * points.length ** (-1 / 6);
+  return Math.min(MAX_BANDWIDTH, Math.max(MIN_BANDWIDTH, bandwidth));
+};
+
+/**
+ * Gaussian kernel density of hit locations
+ * Each hit adds a kernel cut off at three bandwidths. The grid covers the
+ * hits with that margin; large areas get coarser cells.
+ * @param {Array<Point>} points
+ * @param {Object} [options]
+ * @param {number} [options.cellSize] - Wanted cell side (m)
+ * @param {number} [options.bandwidth] - Kernel bandwidth (m)
+ * @returns {SprayDensity|null} Null without points
+ */
+export const calculateSprayDensity = (
+  points,
+  { cellSize = 1, bandwidth = estimateBandwidth(points) } = {},
+) => {
+  if (points.length === 0) return null;
+
+  // A large import would overflow the argument list of Math.min(...points)
+  const bounds = points.reduce(
+    (box, point) => ({
+      minX: Math.min(box.minX, point.x),
+      maxX: Math.max(box.maxX, point.x),
+      minY: Math.min(box.minY, point.y),
+      maxY: Math.max(box.maxY, point.y),
+    }),
+    { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity },
+  );
+  const reach = bandwidth * 3;
+  const left = bounds.minX - reach;
+  const right = bounds.maxX + reach;
+  const back = bounds.minY - reach;
+  const front = bounds.maxY + reach;
+  const size = Math.max(
+    cellSize,
+    Math.sqrt(((right - left) * (front - back)) / MAX_DENSITY_CELLS),
+  );
+  const cols = Math.ceil((right - left) / size);
+  const rows = Math.ceil((front - back) / size);
+  const values = new Float32Array(cols * rows);
+  const spread = 2 * bandwidth ** 2;
+
+  points.forEach((point) => {
+    const firstCol = Math.max(0, Math.floor((point.x - reach - left) / size));
+    const lastCol = Math.min(
+      cols - 1,
+      Math.floor((point.x + reach - left) / size),
+    );
+    const firstRow = Math.max(0, Math.floor((point.y - reach - back) / size));
+    const lastRow = Math.min(
+      rows - 1,
+      Math.floor((point.y + reach - back) / size),
+    );
+    for (let row = firstRow; row <= lastRow; row++) {
+      const dy = back + (row + 0.5) * size - point.y;
+      for (let col = firstCol; col <= lastCol; col++) {
+        const dx = left + (col + 0.5) * size - point.x;
+        values[row * cols + col] += Math.exp(-(dx * dx + dy * dy) / spread);
+      }
+    }
+  });
+
+  return {
+    left,
+    back,
+    cellSize: size,
+    cols,
+    rows,
+    values,
+    max: values.reduce((max, value) => Math.max(max, value), 0),
+    bandwidth,
+  };
+};
+
+/**
+ * Check hit values
+ * @param {*} value - Hit-like value
+ * @returns {boolean}
+ */
+const isValidSprayHit = (value) =>
+  Number.isFinite(value?.x) &&
+  Number.isFinite(value.y) &&
+  typeof value.batter === "string" &&
+  typeof value.outcome === "string";
+
+/**
+ * Load imported hits and save whenever they change
+ */
+export const initSprayStorage = () => {
+  const stored = readVersioned(SPRAY_STORAGE_KEY, { version: SPRAY_VERSION });
+  const hits = Array.isArray(stored?.hits)
+    ? stored.hits.filter(isValidSprayHit)
+    : [];
+  chart =
+    hits.length > 0
+      ? {
+          sources: Array.isArray(stored.sources)
+            ? stored.sources.filter((source) => typeof source === "string")
+            : [],
+          hits,
+        }
+      : null;
+
+  window.addEventListener("sprayChartChanged", () => {
+    writeVersioned(SPRAY_STORAGE_KEY, SPRAY_VERSION, chart ?? { hits: [] });
+  });
+};
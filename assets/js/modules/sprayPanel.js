@@ -0,0 +1,262 @@
+/**
+ * Spray chart panel
+ * Imports game hit locations and filters what is drawn on the field
+ */
+
+import { customAlert, customConfirm } from "./dialogs.js";
+import { readTextFile } from "./files.js";
+import {
+  addSprayHits,
+  clearSprayChart,
+  countSprayValues,
+  filterSprayHits,
+  getOutcomeColors,
+  getSprayChart,
+  parseSprayCsv,
+} from "./sprayChart.js";
+import { store } from "./state.js";
+import { translate } from "./text.js";
+
+// Skipped rows listed by line number before the rest are only counted
+const LISTED_ROW_ERRORS = 5;
+
+/**
+ * Initialize spray chart panel
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.onChange - Called after the hits or filters change
+ */
+export const initSprayPanel = ({ onChange }) => {
+  const panel = document.getElementById("sprayPanel");
+  const importButton = document.getElementById("sprayImport");
+  const fileInput = document.getElementById("sprayImportFile");
+  const clearButton = document.getElementById("sprayClear");
+  const showToggle = document.getElementById("sprayToggle");
+  const heatToggle = document.getElementById("sprayHeatToggle");
+  const batterSelect = document.getElementById("sprayBatter");
+  const outcomeList = document.getElementById("sprayOutcomes");
+  const summary = document.getElementById("spraySummary");
+
+  if (!panel || !batterSelect || !outcomeList) return;
+
+  /**
+   * Change filters or visibility and redraw
+   * @param {Partial<AppState>} updates
+   */
+  const apply = (updates) => {
+    store.setState(updates);
+    render();
+    onChange();
+  };
+
+  /**
+   * Label for an empty batter or outcome
+   * @param {string} value
+   * @returns {string}
+   */
+  const orUnknown = (value) => value || translate("spray.unknown", "Ei tietoa");
+
+  const renderBatters = (hits) => {
+    const { sprayBatter } = store.getState();
+    batterSelect.innerHTML = "";
+    const everyone = document.createElement("option");
+    everyone.value = "";
+    everyone.textContent = translate("spray.allBatters", "Kaikki lyöjät");
+    batterSelect.appendChild(everyone);
+    countSprayValues(hits, "batter").forEach(({ value, count }) => {
+      const option = document.createElement("option");
+      // Prefix keeps an unnamed batter apart from "everyone"
+      option.value = `batter:${value}`;
+      option.textContent = `${orUnknown(value)} (${count})`;
+      batterSelect.appendChild(option);
+    });
+    batterSelect.value = sprayBatter === null ? "" : `batter:${sprayBatter}`;
+  };
+
+  const renderOutcomes = (hits) => {
+    const { sprayBatter, sprayHiddenOutcomes } = store.getState();
+    const colors = getOutcomeColors(hits);
+    const batterHits = filterSprayHits(hits, {
+      batter: sprayBatter,
+      hiddenOutcomes: [],
+    });
+    const counts = new Map(
+      countSprayValues(batterHits, "outcome").map(({ value, count }) => [
+        value,
+        count,
+      ]),
+    );
+    outcomeList.innerHTML = "";
+
+    countSprayValues(hits, "outcome").forEach(({ value }) => {
+      const item = document.createElement("li");
+      const label = document.createElement("label");
+      label.className = "panel-toggle";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = !sprayHiddenOutcomes.includes(value);
+      checkbox.addEventListener("change", () => {
+        const hidden = store
+          .getState()
+          .sprayHiddenOutcomes.filter((outcome) => outcome !== value);
+        apply({
+          sprayHiddenOutcomes: checkbox.checked ? hidden : [...hidden, value],
+        });
+      });
+
+      const swatch = document.createElement("span");
+      swatch.className = "coverage-swatch";
+      swatch.style.backgroundColor = colors.get(value);
+
+      const text = document.createElement("span");
+      text.textContent = `${orUnknown(value)} (${counts.get(value) ?? 0})`;
+
+      label.append(checkbox, swatch, text);
+      item.appendChild(label);
+      outcomeList.appendChild(item);
+    });
+  };
+
+  const render = () => {
+    const chart = getSprayChart();
+    const hits = chart?.hits ?? [];
+    const state = store.getState();
+
+    if (showToggle) showToggle.checked = state.showSpray;
+    if (heatToggle) heatToggle.checked = state.sprayHeat;
+    if (clearButton) clearButton.disabled = !chart;
+    batterSelect.disabled = !chart;
+
+    if (summary) {
+      summary.textContent = chart
+        ? translate("spray.summary", "{shown}/{count} lyöntiä · {sources}")
+            .replace(
+              "{shown}",
+              filterSprayHits(hits, {
+                batter: state.sprayBatter,
+                hiddenOutcomes: state.sprayHiddenOutcomes,
+              }).length,
+            )
+            .replace("{count}", hits.length)
+            .replace("{sources}", chart.sources.join(", "))
+        : translate("spray.empty", "Ei tuotuja lyöntejä.");
+    }
+    renderBatters(hits);
+    renderOutcomes(hits);
+  };
+
+  /**
+   * Describe rows the import skipped
+   * @param {Array<SprayRowError>} errors
+   * @returns {string}
+   */
+  const describeRowErrors = (errors) => {
+    const reasons = {
+      noPosition: translate("spray.errors.noPosition", "sijainti puuttuu"),
+      invalidNumber: translate(
+        "spray.errors.invalidNumber",
+        "sijainti ei ole luku",
+      ),
+    };
+    const listed = errors
+      .slice(0, LISTED_ROW_ERRORS)
+      .map(
+        ({ line, reason }) =>
+          `${translate("spray.errors.line", "rivi {line}").replace("{line}", line)}: ${reasons[reason]}`,
+      );
+    if (errors.length > LISTED_ROW_ERRORS) {
+      listed.push(
+        translate("spray.errors.more", "ja {count} muuta").replace(
+          "{count}",
+          errors.length - LISTED_ROW_ERRORS,
+        ),
+      );
+    }
+    return listed.join(", ");
+  };
+
+  /**
+   * Import one picked file
+   * @param {File} file - CSV file
+   */
+  const importFile = async (file) => {
+    const text = await readTextFile(file);
+    const { hits, errors, hasPositionColumns } = parseSprayCsv(text);
+
+    if (!hasPositionColumns) {
+      await customAlert(
+        `${file.name}: ${translate(
+          "spray.errors.columns",
+          "Tiedostosta puuttuvat sarakkeet x ja y tai angle ja distance",
+        )}`,
+        translate("spray.importFailed", "Tuonti epäonnistui"),
+      );
+      return;
+    }
+    if (hits.length === 0) {
+      await customAlert(
+        `${file.name}: ${describeRowErrors(errors) || translate("spray.errors.noRows", "ei lyöntejä")}`,
+        translate("spray.importFailed", "Tuonti epäonnistui"),
+      );
+      return;
+    }
+
+    addSprayHits(file.name, hits);
+    if (errors.length > 0) {
+      await customAlert(
+        `${file.name}: ${describeRowErrors(errors)}`,
+        translate("spray.rowsSkipped", "Osa riveistä ohitettiin"),
+      );
+    }
+  };
+
+  if (importButton && fileInput) {
+    importButton.addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async () => {
+      const before = getSprayChart()?.hits.length ?? 0;
+      for (const file of Array.from(fileInput.files)) {
+        await importFile(file);
+      }
+      // Allow picking the same file again
+      fileInput.value = "";
+      if ((getSprayChart()?.hits.length ?? 0) > before) {
+        apply({ showSpray: true });
+      }
+    });
+  }
+
+  if (clearButton) {
+    clearButton.addEventListener("click", async () => {
+      const confirmed = await customConfirm(
+        translate("spray.confirmClear", "Poistetaanko kaikki tuodut lyönnit?"),
+      );
+      if (!confirmed) return;
+      clearSprayChart();
+      apply({ sprayBatter: null, sprayHiddenOutcomes: [] });
+    });
+  }
+
+  showToggle?.addEventListener("change", () =>
+    apply({ showSpray: showToggle.checked }),
+  );
+  heatToggle?.addEventListener("change", () =>
+    apply({ sprayHeat: heatToggle.checked }),
+  );
+  batterSelect.addEventListener("change", () => {
+    const { value } = batterSelect;
+    apply({
+      sprayBatter: value.startsWith("batter:")
+        ? value.slice("batter:".length)
+        : null,
+    });
+  });
+
+  window.addEventListener("sprayChartChanged", () => {
+    render();
+    onChange();
+  });
+  panel.addEventListener("panelOpened", render);
+  window.addEventListener("languageChanged", render);
+
+  render();
+};
@@ -3,6 +3,8 @@
  * Implements immutable state pattern with centralized state store
  */
 
+import { DEFAULT_FIELD_PROFILE_ID, getFieldProfile } from "./profiles.js";
+
 /**
  * Field profile configuration type
  * @typedef {Object} FieldProfile
@@ -34,6 +36,7 @@
  * Application state
  * @typedef {Object} AppState
  * @property {FieldProfile} fieldProfile - Current field profile
+ * @property {FieldProfile|null} comparisonProfile - Profile drawn on top for comparison
  * @property {boolean} showMeasurementsOnField - Measurement visibility toggle
  * @property {boolean} editMode - Edit mode active state
  * @property {string|null} draggingHandle - Currently dragged handle name
@@ -41,100 +44,63 @@
  * @property {Array} snapTargets - Available snap targets for dragging
  * @property {Point|null} activeSnapPoint - Current snap point during drag
  * @property {Array} measurementHitAreas - Canvas hit detection areas
+ * @property {Point|null} ballPosition - PesisKulma target point on the field
+ * @property {Array<AimTarget>} aimTargets - PesisKulma numbered session targets
+ * @property {string|null} activeTargetId - PesisKulma target that follows the ball
+ * @property {Drill|null} drill - PesisKulma drill in progress
+ * @property {Point} pitchOffset - PesisKulma ball offset on the pitching plate
+ * @property {boolean} showFlight - PesisKulma ball flight simulation on
+ * @property {boolean} reverseMode - PesisKulma hit is set by clicking the net
+ * @property {boolean} showHall - PesisKulma training hall layer visibility
+ * @property {boolean} hitLogging - PesisKulma taps on the net log hits
+ * @property {number} exitSpeed - PesisKulma exit speed in km/h
+ * @property {number} launchAngleDeg - PesisKulma vertical launch angle
+ * @property {number} contactHeight - PesisKulma contact height in meters
+ * @property {number} pitchHeight - PesisKulma pitch peak above the plate in meters
+ * @property {number} netYawDeg - PesisKulma net yaw in degrees, positive faces right
+ * @property {number} netOffset - PesisKulma net centre lateral offset in meters
+ * @property {number|null} netWidth - PesisKulma net width in meters, null when unlimited
+ * @property {boolean} showFielders - Fielder layer visibility
+ * @property {string} formationId - Formation the fielders start from
+ * @property {Array<Fielder>|null} fielders - Moved fielder positions
+ * @property {boolean} showCoverage - Fielder responsibility regions visibility
+ * @property {boolean} coverageWeighted - Weight regions by fielder speed
+ * @property {Object<string, number>|null} fielderSpeeds - Speeds by role (m/s), null = defaults
+ * @property {{from: string, to: string}|null} highlightedThrow - Throw drawn on the field
+ * @property {boolean} showSpray - Imported spray chart visibility
+ * @property {boolean} sprayHeat - Spray chart density heat on
+ * @property {string|null} sprayBatter - Spray chart batter filter, null for everyone
+ * @property {Array<string>} sprayHiddenOutcomes - Spray chart outcomes left out
  */
 
-export const fieldProfileMen = {
-  id: "Miehet",
-  homePlate: {
-    radius: 0.3,
-    centerToHomeLine: 1.3,
-    lineHalfWidth: 7.0,
-  },
-  battingSector: {
-    originOffsetY: -0.569,
-    leftAngleDeg: -32.0,
-    rightAngleDeg: 32.0,
-  },
-  diagonalLines: {
-    lengthFromHomeLine: 32.0,
-  },
-  backBoundary: {
-    distanceFromHomeLine: 96.0,
-    width: 42.0,
-  },
-  frontArc: {
-    innerRadius: 2.5,
-    outerRadius: 2.7,
-  },
-  homeArcs: {
-    innerRadius: 5.0,
-    outerRadius: 7.0,
-  },
-  firstBaseCanvasOffset: {
-    distanceFromHomeLine: 20.0,
-  },
-  secondBaseCanvasOffset: {
-    distanceFromRightAngle: 6.5,
-  },
-  thirdBaseCanvasOffset: {
-    distanceFromLeftAngle: 6.5,
-  },
-  baseRadius: 3.0,
-  baseLineLength: 7.0,
-  homePathFirstLine: 15.5,
-  homePathEndOffset: 6.0,
-};
-
-export const fieldProfileWomen = {
-  id: "Naiset",
-  homePlate: {
-    radius: 0.3,
-    centerToHomeLine: 1.3,
-    lineHalfWidth: 7.0,
-  },
-  battingSector: {
-    originOffsetY: -0.569,
-    leftAngleDeg: -32.0,
-    rightAngleDeg: 32.0,
-  },
-  diagonalLines: {
-    lengthFromHomeLine: 27.162,
-  },
-  backBoundary: {
-    distanceFromHomeLine: 82.0,
-    width: 36.0,
-  },
-  frontArc: {
-    innerRadius: 2.5,
-    outerRadius: 2.7,
-  },
-  homeArcs: {
-    innerRadius: 5.0,
-    outerRadius: 7.0,
-  },
-  firstBaseCanvasOffset: {
-    distanceFromHomeLine: 17.5,
-  },
-  secondBaseCanvasOffset: {
-    distanceFromRightAngle: 7.339,
-  },
-  thirdBaseCanvasOffset: {
-    distanceFromLeftAngle: 7.339,
-  },
-  baseRadius: 2.5,
-  baseLineLength: 7.0,
-  homePathFirstLine: 16.0,
-  homePathEndOffset: 6.0,
-};
-
 export const SNAP_THRESHOLD = 0.4; // meters
 
+// State keys restored by undo/redo (view state such as zoom is not)
+export const HISTORY_KEYS = [
+  "fieldProfile",
+  "editablePoints",
+  "customMeasurements",
+  "ballPosition",
+  "aimTargets",
+  "activeTargetId",
+  "pitchOffset",
+  "netYawDeg",
+  "netOffset",
+  "netWidth",
+  "fielders",
+  "formationId",
+  "fielderSpeeds",
+];
+
+export const HISTORY_LIMIT = 50;
+
 /**
  * Create initial application state
  * @returns {AppState}
  */
 export const createInitialState = () => ({
-  fieldProfile: fieldProfileWomen,
+  fieldProfile: getFieldProfile(DEFAULT_FIELD_PROFILE_ID),
+  comparisonProfile: null,
   showMeasurementsOnField: true,
   editMode: true,
   customMeasurementMode: false,
@@ -161,17 +127,67 @@ export const createInitialState = () => ({
   panY: 0,
   isPanning: false,
   panMode: false, // Toggle for enabling pan functionality
+  // PesisKulma hit setup
+  ballPosition: null,
+  aimTargets: [],
+  activeTargetId: null,
+  drill: null,
+  pitchOffset: { x: 0, y: 0 },
+  showFlight: false,
+  reverseMode: false,
+  showHall: false,
+  hitLogging: false,
+  // Flight, pitch and net defaults are set by PesisKulma on start
+  // PesisKenttä fielder layer
+  showFielders: false,
+  formationId: "standard",
+  fielders: null, // Dragged positions, null = formationId laid out on the field
+  draggingFielder: null, // Role id or null
+  showCoverage: false,
+  coverageWeighted: false,
+  fielderSpeeds: null,
+  highlightedThrow: null,
+  // PesisKenttä spray chart
+  showSpray: false,
+  sprayHeat: true,
+  sprayBatter: null,
+  sprayHiddenOutcomes: [],
 });
 
+/**
+ * Pick the undoable part of state
+ * @param {AppState} state
+ * @returns {Object} Snapshot with HISTORY_KEYS only
+ */
+const takeSnapshot = (state) =>
+  Object.fromEntries(HISTORY_KEYS.map((key) => [key, state[key]]));
+
+/**
+ * Compare snapshots (by reference first, then by value)
+ * @param {Object} a - Snapshot
+ * @param {Object} b - Snapshot
+ * @returns {boolean} True if snapshots differ
+ */
+const snapshotsDiffer = (a, b) =>
+  HISTORY_KEYS.some(
+    (key) =>
+      a[key] !== b[key] && JSON.stringify(a[key]) !== JSON.stringify(b[key]),
+  );
+
 /**
  * State store with immutable updates
  */
 class StateStore {
   #state;
   #listeners = new Set();
+  #undoStack = [];
+  #redoStack = [];
+  #baseline;
+  #groupDepth = 0;
 
   constructor(initialState) {
     this.#state = initialState;
+    this.#baseline = takeSnapshot(initialState);
   }
 
   /**
@@ -185,8 +201,11 @@ class StateStore {
   /**
    * Update state immutably
    * @param {Partial<AppState>|Function} updates - State updates or updater function
+   * @param {Object} [options]
+   * @param {boolean} [options.history] - Record the change as an undo step;
+   *   false for derived updates such as initializing editable points
    */
-  setState(updates) {
+  setState(updates, { history = true } = {}) {
     const prevState = this.#state;
     const newState =
       typeof updates === "function"
@@ -194,6 +213,104 @@ class StateStore {
         : { ...prevState, ...updates };
 
     this.#state = newState;
+    if (this.#groupDepth === 0) {
+      if (history) {
+        this.#commitHistory();
+      } else {
+        this.#baseline = takeSnapshot(newState);
+      }
+    }
+    this.#notify();
+  }
+
+  /**
+   * Push the last committed snapshot if undoable state has changed
+   */
+  #commitHistory() {
+    const current = takeSnapshot(this.#state);
+    if (!snapshotsDiffer(this.#baseline, current)) return;
+
+    this.#undoStack.push(this.#baseline);
+    if (this.#undoStack.length > HISTORY_LIMIT) {
+      this.#undoStack.shift();
+    }
+    this.#redoStack = [];
+    this.#baseline = current;
+  }
+
+  /**
+   * Start grouping changes into a single undo step (e.g. a drag)
+   * Groups nest; the step is recorded when the outermost group ends.
+   */
+  beginHistoryGroup() {
+    this.#groupDepth += 1;
+  }
+
+  /**
+   * End change group started with beginHistoryGroup
+   */
+  endHistoryGroup() {
+    if (this.#groupDepth === 0) return;
+    this.#groupDepth -= 1;
+    if (this.#groupDepth === 0) {
+      this.#commitHistory();
+      this.#notify();
+    }
+  }
+
+  /**
+   * Replace undoable state with snapshot
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  #restoreSnapshot(snapshot) {
+    this.#state = { ...this.#state, ...snapshot };
+    this.#baseline = snapshot;
+    this.#notify();
+  }
+
+  /**
+   * Undo last recorded change
+   * @returns {boolean} True if something was undone
+   */
+  undo() {
+    if (this.#groupDepth > 0 || this.#undoStack.length === 0) return false;
+    this.#redoStack.push(takeSnapshot(this.#state));
+    this.#restoreSnapshot(this.#undoStack.pop());
+    return true;
+  }
+
+  /**
+   * Redo last undone change
+   * @returns {boolean} True if something was redone
+   */
+  redo() {
+    if (this.#groupDepth > 0 || this.#redoStack.length === 0) return false;
+    this.#undoStack.push(takeSnapshot(this.#state));
+    this.#restoreSnapshot(this.#redoStack.pop());
+    return true;
+  }
+
+  /**
+   * @returns {boolean} True if undo is available
+   */
+  canUndo() {
+    return this.#undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean} True if redo is available
+   */
+  canRedo() {
+    return this.#redoStack.length > 0;
+  }
+
+  /**
+   * Forget undo/redo history (e.g. after page initialization)
+   */
+  clearHistory() {
+    this.#undoStack = [];
+    this.#redoStack = [];
+    this.#baseline = takeSnapshot(this.#state);
     this.#notify();
   }
 
@@ -239,7 +356,7 @@ class StateStore {
   }
 
   /**
-   * Set field profile and reset editable points
+   * Set field profile and reset editable points and fielders
    * @param {FieldProfile} profile - New field profile
    */
   setFieldProfile(profile) {
@@ -250,9 +367,19 @@ class StateStore {
         homePathMid: null,
         homePathEnd: null,
       },
+      // Lay the formation out again on the new field
+      fielders: null,
     });
   }
 
+  /**
+   * Set profile overlaid for comparison
+   * @param {FieldProfile|null} profile - Profile to compare with, null to stop
+   */
+  setComparisonProfile(profile) {
+    this.setState({ comparisonProfile: profile });
+  }
+
   /**
    * Toggle edit mode
    */
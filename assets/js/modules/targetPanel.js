@@ -0,0 +1,261 @@
+/**
+ * Target panel
+ * Numbered session targets with their net readouts, and the drill that
+ * steps through them
+ */
+
+import {
+  addTarget,
+  advanceDrill,
+  DRILL_MODES,
+  removeTarget,
+  renameTarget,
+  resolveTargets,
+  selectTarget,
+  startDrill,
+} from "./aimTargets.js";
+import { store } from "./state.js";
+import { translate } from "./text.js";
+
+/**
+ * Net impact of a target
+ * @typedef {Object} TargetReadout
+ * @property {Point|null} point - Impact point on the net line, null when the line never meets it
+ * @property {number|null} offset - Distance along the net from the straight-ahead line (m), negative to the left
+ * @property {boolean} isOnNet - False when the line passes beside the net or never meets it
+ * @property {number|null} height - Net height needed to land on the target, null if out of reach
+ */
+
+/**
+ * Target title with number and label
+ * @param {AimTarget} target
+ * @param {number} number - Position in the list, from 1
+ * @returns {string}
+ */
+const getTargetTitle = (target, number) =>
+  target.label ? `${number} · ${target.label}` : String(number);
+
+/**
+ * Initialize target panel and drill card
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.getReadouts - Returns TargetReadouts by target id
+ * @param {Function} deps.format - Formats a distance in meters
+ * @param {Function} deps.onChange - Called after targets or the drill change
+ */
+export const initTargetPanel = ({ getReadouts, format, onChange }) => {
+  const panel = document.getElementById("targetPanel");
+  const list = document.getElementById("targetList");
+  const addButton = document.getElementById("targetAdd");
+  const modeSelect = document.getElementById("drillMode");
+  const startButton = document.getElementById("drillStart");
+  const drillCard = document.getElementById("drillCard");
+  const drillTitle = document.getElementById("drillTitle");
+  const drillReadout = document.getElementById("drillReadout");
+  const nextButton = document.getElementById("drillNext");
+  const stopButton = document.getElementById("drillStop");
+
+  if (!panel || !list) return;
+
+  /**
+   * Apply state updates from aimTargets.js
+   * @param {Partial<AppState>|null} updates
+   */
+  const apply = (updates) => {
+    if (!updates) return;
+    store.setState(updates);
+    onChange();
+  };
+
+  /**
+   * Describe a net readout
+   * @param {TargetReadout|null|undefined} readout
+   * @returns {string}
+   */
+  const describeReadout = (readout) => {
+    if (readout === undefined) {
+      return translate("targets.noNet", "Syötä verkon etäisyys");
+    }
+    if (readout === null) {
+      return translate("targets.behindNet", "Kohde on ennen verkkoa");
+    }
+    if (!readout.isOnNet) {
+      return translate("targets.missesNet", "ohi verkosta");
+    }
+    const side = readout.offset < 0 ? "←" : "→";
+    const height =
+      readout.height === null
+        ? translate("aim.outOfReach", "Ei ulotu")
+        : `↑ ${format(readout.height)}`;
+    return `${side} ${format(Math.abs(readout.offset))} · ${height}`;
+  };
+
+  const renderModes = () => {
+    if (!modeSelect) return;
+    const selected = modeSelect.value || "sequence";
+    modeSelect.innerHTML = "";
+    Object.entries(DRILL_MODES).forEach(([mode, label]) => {
+      const option = document.createElement("option");
+      option.value = mode;
+      option.textContent = translate(`targets.modes.${mode}`, label);
+      modeSelect.appendChild(option);
+    });
+    modeSelect.value = selected;
+  };
+
+  const renderList = (targets, readouts) => {
+    const { activeTargetId } = store.getState();
+    list.innerHTML = "";
+
+    if (targets.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "target-empty";
+      empty.textContent = translate(
+        "targets.empty",
+        "Ei kohteita. Aseta pallo kentälle ja lisää se kohteeksi.",
+      );
+      list.appendChild(empty);
+      return;
+    }
+
+    targets.forEach((target, index) => {
+      const item = document.createElement("li");
+      item.className = "target-item";
+      item.classList.toggle("active", target.id === activeTargetId);
+      item.style.setProperty("--target-color", target.color);
+
+      const badge = document.createElement("button");
+      badge.type = "button";
+      badge.className = "target-badge";
+      badge.textContent = index + 1;
+      badge.title = translate("targets.select", "Siirrä pallo kohteeseen");
+      badge.setAttribute("aria-label", badge.title);
+      badge.addEventListener("click", () =>
+        apply(selectTarget(store.getState(), target.id)),
+      );
+
+      const label = document.createElement("input");
+      label.type = "text";
+      label.className = "target-label";
+      label.maxLength = 40;
+      label.value = target.label;
+      label.placeholder = translate(
+        "targets.labelPlaceholder",
+        "Nimi, esim. pitkä vasen",
+      );
+      label.addEventListener("change", () =>
+        apply(renameTarget(store.getState(), target.id, label.value)),
+      );
+
+      const readout = document.createElement("span");
+      readout.className = "target-readout";
+      readout.textContent = describeReadout(readouts.get(target.id));
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "target-remove";
+      remove.textContent = "×";
+      remove.setAttribute(
+        "aria-label",
+        translate("targets.remove", "Poista kohde"),
+      );
+      remove.addEventListener("click", () =>
+        apply(removeTarget(store.getState(), target.id)),
+      );
+
+      item.append(badge, label, readout, remove);
+      list.appendChild(item);
+    });
+  };
+
+  const renderDrill = (targets, readouts) => {
+    const { drill, activeTargetId } = store.getState();
+    if (startButton) startButton.disabled = targets.length === 0;
+    if (!drillCard) return;
+
+    drillCard.hidden = !drill;
+    if (!drill) return;
+
+    const index = targets.findIndex((target) => target.id === activeTargetId);
+    const target = targets[index];
+    if (drillTitle) {
+      drillTitle.textContent = target
+        ? translate("targets.drillStep", "Kohde {title} · {step}/{count}")
+            .replace("{title}", getTargetTitle(target, index + 1))
+            .replace("{step}", drill.step + 1)
+            .replace("{count}", drill.order.length)
+        : "";
+      drillTitle.style.setProperty("--target-color", target?.color || "");
+    }
+    if (drillReadout) {
+      const round = translate("targets.round", "Kierros {round}").replace(
+        "{round}",
+        drill.round,
+      );
+      drillReadout.textContent = target
+        ? `${describeReadout(readouts.get(target.id))} · ${round}`
+        : round;
+    }
+  };
+
+  let renderedKey = null;
+
+  /**
+   * Refresh list and drill card
+   * @param {boolean} [force] - Rebuild even if nothing shown has changed
+   */
+  const render = (force = false) => {
+    const state = store.getState();
+    const isOpen = panel.classList.contains("active");
+    if (!isOpen && !state.drill && !force) return;
+
+    const targets = resolveTargets(state);
+    const netDistance = document.getElementById("netDistance")?.value;
+    const key = JSON.stringify([
+      targets,
+      state.activeTargetId,
+      state.drill,
+      state.pitchOffset,
+      state.exitSpeed,
+      state.contactHeight,
+      state.netYawDeg,
+      state.netOffset,
+      state.netWidth,
+      netDistance,
+      isOpen,
+    ]);
+    if (!force && key === renderedKey) return;
+    renderedKey = key;
+
+    const readouts = getReadouts();
+    // Editing a label should not lose focus to a rebuild
+    if (isOpen && !list.contains(document.activeElement)) {
+      renderList(targets, readouts);
+    }
+    renderDrill(targets, readouts);
+  };
+
+  addButton?.addEventListener("click", () =>
+    apply(addTarget(store.getState())),
+  );
+  startButton?.addEventListener("click", () =>
+    apply(startDrill(store.getState(), modeSelect?.value || "sequence")),
+  );
+  nextButton?.addEventListener("click", () =>
+    apply(advanceDrill(store.getState())),
+  );
+  stopButton?.addEventListener("click", () => apply({ drill: null }));
+
+  panel.addEventListener("panelOpened", () => render(true));
+  document
+    .getElementById("netDistance")
+    ?.addEventListener("input", () => render());
+  store.subscribe(() => render());
+  window.addEventListener("languageChanged", () => {
+    renderModes();
+    render(true);
+  });
+  window.addEventListener("unitChanged", () => render(true));
+
+  renderModes();
+  render(true);
+};
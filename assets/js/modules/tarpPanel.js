@@ -0,0 +1,475 @@
+/**
+ * Tarp print panel
+ * Lists the net markings and prints them at true scale on tiled pages
+ */
+
+import {
+  CONTACT_HEIGHT,
+  DEFAULT_EXIT_SPEED_KMH,
+  kmhToMetersPerSecond,
+} from "./ballFlight.js";
+import { calculateNetAim } from "./aiming.js";
+import { resolveTargets } from "./aimTargets.js";
+import { calculateGeometry } from "./geometry.js";
+import { listScenarios } from "./scenarios.js";
+import { store } from "./state.js";
+import {
+  collectNetMarks,
+  layoutTarpPages,
+  PAGE_MARGIN,
+  PAPER_SIZES,
+} from "./tarpSheets.js";
+import { translate } from "./text.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+const LINE_LABELS = {
+  centre: "Keskiviiva",
+  sectorLeft: "Vasen sektoriraja",
+  sectorRight: "Oikea sektoriraja",
+};
+
+// Registration cross arm length and target cross arm length (mm)
+const REGISTRATION_ARM = 8;
+const TARGET_ARM = 40;
+
+/**
+ * Display name of a marking line
+ * @param {string} id - Line id
+ * @returns {string}
+ */
+const getLineLabel = (id) => translate(`tarp.lines.${id}`, LINE_LABELS[id]);
+
+/**
+ * Format millimeters as signed centimeters
+ * @param {number} value - Value in mm
+ * @returns {string}
+ */
+const formatCm = (value) => {
+  const cm = Math.round(value / 10);
+  return `${cm > 0 ? "+" : ""}${cm} cm`;
+};
+
+/**
+ * Create SVG element with attributes
+ * @param {string} tag - Element name
+ * @param {Object} attributes - Attributes to set
+ * @returns {SVGElement}
+ */
+const svgElement = (tag, attributes = {}) => {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) =>
+    element.setAttribute(name, value),
+  );
+  return element;
+};
+
+/**
+ * Draw one printed page
+ * SVG units are millimeters and the SVG has a size in mm, so the browser
+ * prints it at 1:1 when the print scale is 100 %. Height grows upwards,
+ * so SVG y is the negated height.
+ * @param {Object} params
+ * @param {{lines: Array<NetLine>, points: Array<NetPoint>}} params.marks - Markings
+ * @param {Object} params.layout - Layout from layoutTarpPages
+ * @param {TarpPage} params.page - Page to draw
+ * @param {number} params.index - Page number from 1
+ * @returns {SVGSVGElement}
+ */
+const drawTarpPage = ({ marks, layout, page, index }) => {
+  const { tileWidth, tileHeight, bounds } = layout;
+  const left = page.x;
+  const right = page.x + tileWidth;
+  const bottom = page.z;
+  const top = page.z + tileHeight;
+
+  const svg = svgElement("svg", {
+    width: `${tileWidth}mm`,
+    height: `${tileHeight}mm`,
+    viewBox: `${left} ${-top} ${tileWidth} ${tileHeight}`,
+    class: "tarp-sheet",
+  });
+
+  // 10 cm grid, anchored at the centre line and the ground
+  const grid = svgElement("g", {
+    stroke: "#bbbbbb",
+    "stroke-width": 0.2,
+  });
+  for (let x = Math.ceil(left / 100) * 100; x <= right; x += 100) {
+    grid.appendChild(
+      svgElement("line", { x1: x, y1: -top, x2: x, y2: -bottom }),
+    );
+  }
+  for (let z = Math.ceil(bottom / 100) * 100; z <= top; z += 100) {
+    grid.appendChild(
+      svgElement("line", { x1: left, y1: -z, x2: right, y2: -z }),
+    );
+  }
+  svg.appendChild(grid);
+
+  // Ground line
+  if (bottom === 0) {
+    svg.appendChild(
+      svgElement("line", {
+        x1: bounds.left,
+        y1: 0,
+        x2: bounds.right,
+        y2: 0,
+        stroke: "#000000",
+        "stroke-width": 1.5,
+      }),
+    );
+  }
+
+  const addText = (text, x, y, attributes = {}) => {
+    const element = svgElement("text", {
+      x,
+      y,
+      "font-size": 5,
+      "font-family": "sans-serif",
+      fill: "#000000",
+      ...attributes,
+    });
+    element.textContent = text;
+    svg.appendChild(element);
+  };
+
+  marks.lines.forEach((line) => {
+    const x = line.x * 1000;
+    svg.appendChild(
+      svgElement("line", {
+        x1: x,
+        y1: 0,
+        x2: x,
+        y2: -bounds.top,
+        stroke: line.id === "centre" ? "#000000" : "#c00000",
+        "stroke-width": 1,
+      }),
+    );
+    addText(`${getLineLabel(line.id)} ${formatCm(x)}`, x + 2, -6);
+  });
+
+  marks.points.forEach((point) => {
+    if (!point.isOnNet) return;
+    const x = point.x * 1000;
+    if (point.height === null) {
+      svg.appendChild(
+        svgElement("line", {
+          x1: x,
+          y1: 0,
+          x2: x,
+          y2: -bounds.top,
+          stroke: "#0050c0",
+          "stroke-width": 0.8,
+          "stroke-dasharray": "6 4",
+        }),
+      );
+      addText(
+        `${point.label} ${formatCm(x)} · ${translate("tarp.outOfReach", "ei ulotu")}`,
+        x + 2,
+        -14,
+        { fill: "#0050c0" },
+      );
+      return;
+    }
+
+    const z = point.height * 1000;
+    const target = svgElement("g", {
+      stroke: "#0050c0",
+      "stroke-width": 0.8,
+      fill: "none",
+    });
+    target.appendChild(svgElement("circle", { cx: x, cy: -z, r: 20 }));
+    target.appendChild(
+      svgElement("line", {
+        x1: x - TARGET_ARM,
+        y1: -z,
+        x2: x + TARGET_ARM,
+        y2: -z,
+      }),
+    );
+    target.appendChild(
+      svgElement("line", {
+        x1: x,
+        y1: -z - TARGET_ARM,
+        x2: x,
+        y2: -z + TARGET_ARM,
+      }),
+    );
+    svg.appendChild(target);
+    addText(
+      `${point.label} ${formatCm(x)} / ${Math.round(z / 10)} cm`,
+      x + 22,
+      -z - 22,
+      { fill: "#0050c0" },
+    );
+  });
+
+  // Registration crosses on the tile corners; neighbouring pages line up
+  // when their quarter crosses meet
+  const registration = svgElement("g", {
+    stroke: "#000000",
+    "stroke-width": 0.3,
+  });
+  [
+    [left, bottom],
+    [right, bottom],
+    [left, top],
+    [right, top],
+  ].forEach(([x, z]) => {
+    registration.appendChild(
+      svgElement("line", {
+        x1: x - REGISTRATION_ARM,
+        y1: -z,
+        x2: x + REGISTRATION_ARM,
+        y2: -z,
+      }),
+    );
+    registration.appendChild(
+      svgElement("line", {
+        x1: x,
+        y1: -z - REGISTRATION_ARM,
+        x2: x,
+        y2: -z + REGISTRATION_ARM,
+      }),
+    );
+  });
+  svg.appendChild(registration);
+
+  // Page caption and a 10 cm bar to check the print scale
+  addText(
+    translate(
+      "tarp.caption",
+      "Sivu {page}: {left}…{right} keskiviivasta, korkeus {bottom}…{top}",
+    )
+      .replace("{page}", index)
+      .replace("{left}", formatCm(left))
+      .replace("{right}", formatCm(right))
+      .replace("{bottom}", `${Math.round(bottom / 10)}`)
+      .replace("{top}", `${Math.round(top / 10)} cm`),
+    left + 4,
+    -top + 8,
+    { "font-size": 4 },
+  );
+  svg.appendChild(
+    svgElement("rect", {
+      x: right - 110,
+      y: -top + 4,
+      width: 100,
+      height: 3,
+      fill: "#000000",
+    }),
+  );
+  addText(
+    translate("tarp.scaleCheck", "10 cm – tarkista ennen teippausta"),
+    right - 110,
+    -top + 13,
+    { "font-size": 4 },
+  );
+
+  return svg;
+};
+
+/**
+ * Initialize tarp print panel
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.getNet - Returns the current Net or null when unset
+ * @param {Function} deps.getBallAim - Returns the field view's NetAim for the ball on a Net
+ */
+export const initTarpPanel = ({ getNet, getBallAim }) => {
+  const panel = document.getElementById("tarpPanel");
+  const paperSelect = document.getElementById("tarpPaper");
+  const scenarioToggle = document.getElementById("tarpScenarios");
+  const rows = document.getElementById("tarpRows");
+  const summary = document.getElementById("tarpSummary");
+  const printButton = document.getElementById("tarpPrintButton");
+  const printArea = document.getElementById("tarpPrint");
+  const pageStyle = document.getElementById("tarpPageStyle");
+
+  if (!panel || !rows || !printButton || !printArea) return;
+
+  /**
+   * Targets to mark: the session targets, the ball when it is not one of
+   * them, and saved PesisKulma scenarios
+   * @returns {Array<NetTarget>}
+   */
+  const getTargets = () => {
+    const state = store.getState();
+    const targets = resolveTargets(state).map((target, index) => ({
+      label: target.label
+        ? `${index + 1} · ${target.label}`
+        : `${translate("targets.target", "Kohde")} ${index + 1}`,
+      launchPoint: state.pitchOffset,
+      target: target.point,
+      exitSpeed: kmhToMetersPerSecond(state.exitSpeed),
+      contactHeight: state.contactHeight,
+    }));
+    if (state.ballPosition && !state.activeTargetId) {
+      targets.push({
+        label: translate("tarp.currentTarget", "Nykyinen kohde"),
+        launchPoint: state.pitchOffset,
+        target: state.ballPosition,
+        exitSpeed: kmhToMetersPerSecond(state.exitSpeed),
+        contactHeight: state.contactHeight,
+      });
+    }
+    if (scenarioToggle?.checked) {
+      listScenarios()
+        .filter(
+          (scenario) =>
+            scenario.page === "kulma" && scenario.snapshot.ballPosition,
+        )
+        .forEach(({ name, snapshot }) => {
+          targets.push({
+            label: name,
+            launchPoint: snapshot.pitchOffset || { x: 0, y: 0 },
+            target: snapshot.ballPosition,
+            exitSpeed: kmhToMetersPerSecond(
+              snapshot.exitSpeed ?? DEFAULT_EXIT_SPEED_KMH,
+            ),
+            contactHeight: snapshot.contactHeight ?? CONTACT_HEIGHT,
+          });
+        });
+    }
+    return targets;
+  };
+
+  // Aims of the latest markings by target values, so a store change
+  // solves only the targets that moved
+  let aimCache = { net: null, aims: new Map() };
+
+  /**
+   * Cache key of a target's aim
+   * @param {NetTarget} target
+   * @returns {string}
+   */
+  const getAimKey = ({ launchPoint, target, exitSpeed, contactHeight }) =>
+    [
+      launchPoint.x,
+      launchPoint.y,
+      target.x,
+      target.y,
+      exitSpeed,
+      contactHeight,
+    ].join(",");
+
+  /**
+   * Current markings, or null without a net distance
+   * @returns {{lines: Array<NetLine>, points: Array<NetPoint>}|null}
+   */
+  const getMarks = () => {
+    const net = getNet();
+    if (!net) return null;
+    const state = store.getState();
+    // Only the targets marked now are kept for the next time
+    const aims = new Map();
+    const marks = collectNetMarks({
+      fieldProfile: state.fieldProfile,
+      geometry: calculateGeometry(state.fieldProfile, state.editablePoints),
+      net,
+      targets: getTargets(),
+      aim: (params) => {
+        // The ball follows the pointer and the field view already aims it
+        if (
+          params.target === state.ballPosition &&
+          params.launchPoint === state.pitchOffset
+        ) {
+          return getBallAim(net);
+        }
+        const key = getAimKey(params);
+        const aim =
+          (aimCache.net === net && aimCache.aims.get(key)) ||
+          calculateNetAim(params);
+        aims.set(key, aim);
+        return aim;
+      },
+    });
+    aimCache = { net, aims };
+    return marks;
+  };
+
+  const addRow = (label, x, height) => {
+    const row = document.createElement("tr");
+    [label, formatCm(x * 1000), height].forEach((value, index) => {
+      const cell = document.createElement(index === 0 ? "th" : "td");
+      if (index === 0) cell.scope = "row";
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    rows.appendChild(row);
+  };
+
+  const render = () => {
+    if (!panel.classList.contains("active")) return;
+    rows.innerHTML = "";
+    const marks = getMarks();
+    printButton.disabled = !marks;
+    if (!marks) {
+      if (summary) {
+        summary.textContent = translate(
+          "tarp.noNet",
+          "Syötä ensin verkon etäisyys.",
+        );
+      }
+      return;
+    }
+
+    marks.lines.forEach((line) => addRow(getLineLabel(line.id), line.x, "–"));
+    marks.points.forEach((point) => {
+      let height = `${Math.round(point.height * 100)} cm`;
+      if (!point.isOnNet) {
+        height = translate("tarp.missesNet", "ohi verkosta");
+      } else if (point.height === null) {
+        height = translate("tarp.outOfReach", "ei ulotu");
+      }
+      addRow(point.label, point.x, height);
+    });
+
+    if (summary) {
+      const { pages } = layoutTarpPages(marks, paperSelect?.value);
+      summary.textContent = translate(
+        "tarp.pageCount",
+        "{count} sivua. Tulosta 100 % mittakaavassa ilman sovitusta sivulle.",
+      ).replace("{count}", pages.length);
+    }
+  };
+
+  const print = () => {
+    const marks = getMarks();
+    if (!marks) return;
+    const paperId = paperSelect?.value || "A4";
+    const layout = layoutTarpPages(marks, paperId);
+
+    printArea.innerHTML = "";
+    layout.pages.forEach((page, index) => {
+      const sheet = document.createElement("div");
+      sheet.className = "tarp-page";
+      sheet.appendChild(
+        drawTarpPage({ marks, layout, page, index: index + 1 }),
+      );
+      printArea.appendChild(sheet);
+    });
+
+    if (pageStyle) {
+      const paper = PAPER_SIZES[paperId];
+      pageStyle.textContent = `@page { size: ${paper.width}mm ${paper.height}mm; margin: ${PAGE_MARGIN}mm; }`;
+    }
+    // Only the sheets are printed while this class is on
+    document.body.classList.add("printing-tarp");
+    window.print();
+  };
+
+  paperSelect?.addEventListener("change", render);
+  scenarioToggle?.addEventListener("change", render);
+  printButton.addEventListener("click", print);
+  window.addEventListener("afterprint", () =>
+    document.body.classList.remove("printing-tarp"),
+  );
+  panel.addEventListener("panelOpened", render);
+  document
+    .getElementById("netDistance")
+    ?.addEventListener("input", () => render());
+  store.subscribe(render);
+  window.addEventListener("scenariosChanged", render);
+  window.addEventListener("languageChanged", render);
+};
@@ -0,0 +1,168 @@
+/**
+ * Tarp sheet module
+ * Net target markings at true scale, tiled onto printable pages
+ */
+
+import { calculateNetAim } from "./aiming.js";
+import { getSectorCrossings, intersectNet } from "./net.js";
+
+// Landscape paper sizes (mm)
+export const PAPER_SIZES = {
+  A4: { width: 297, height: 210 },
+  A3: { width: 420, height: 297 },
+};
+
+// Unprinted border on each page (mm)
+export const PAGE_MARGIN = 10;
+
+// Free space around the markings (mm)
+const SHEET_PADDING = 200;
+
+// Sheets always reach at least this high so the lines can be taped (mm)
+const MIN_SHEET_HEIGHT = 1000;
+
+/**
+ * Vertical marking line on the net
+ * @typedef {Object} NetLine
+ * @property {"centre"|"sectorLeft"|"sectorRight"} id - Line id
+ * @property {number} x - Position along the net from the centre line (m), negative to the left
+ */
+
+/**
+ * Target point on the net
+ * @typedef {Object} NetPoint
+ * @property {string} label - Target name
+ * @property {number} x - Position along the net from the centre line (m)
+ * @property {number|null} height - Height above ground (m), null if out of reach
+ * @property {boolean} isOnNet - False when the aim line passes beside the net
+ */
+
+/**
+ * Target to mark on the net
+ * @typedef {Object} NetTarget
+ * @property {string} label - Target name
+ * @property {Point} launchPoint - Contact point
+ * @property {Point} target - Landing point on the field
+ * @property {number} exitSpeed - Exit speed in m/s
+ * @property {number} contactHeight - Contact height in meters
+ */
+
+/**
+ * Collect markings for the net
+ * Positions are measured along the net from where the field centre line
+ * meets it, so an angled or offset net is marked from the same reference.
+ * @param {Object} params
+ * @param {FieldProfile} params.fieldProfile - Current profile
+ * @param {Object} params.geometry - Geometry from calculateGeometry
+ * @param {Net} params.net - Net placement from createNet
+ * @param {Array<NetTarget>} params.targets - Targets to mark
+ * @param {Function} [params.aim] - Aims a target like calculateNetAim, e.g. from a cache
+ * @returns {{lines: Array<NetLine>, points: Array<NetPoint>}}
+ */
+export const collectNetMarks = ({
+  fieldProfile,
+  geometry,
+  net,
+  targets,
+  aim = calculateNetAim,
+}) => {
+  const centre =
+    intersectNet(net, { x: 0, y: 0 }, { x: 0, y: 1 })?.position ?? 0;
+  const crossings = getSectorCrossings(fieldProfile, geometry, net);
+  const lines = [
+    { id: "sectorLeft", crossing: crossings.left },
+    { id: "centre", crossing: { position: centre } },
+    { id: "sectorRight", crossing: crossings.right },
+  ]
+    .filter(({ crossing }) => crossing)
+    .map(({ id, crossing }) => ({ id, x: crossing.position - centre }));
+
+  const points = targets
+    .map(({ label, launchPoint, target, exitSpeed, contactHeight }) => {
+      // Same line as the lateral offset label on the field
+      const hit = intersectNet(net, launchPoint, target);
+      // Targets in front of the net have no mark on it
+      if (!hit || hit.t > 1) return null;
+      const netAim = aim({
+        launchPoint,
+        target,
+        exitSpeed,
+        contactHeight,
+        net,
+      });
+      return {
+        label,
+        x: hit.position - centre,
+        height: netAim.netCrossing?.height ?? null,
+        isOnNet: hit.isOnNet,
+      };
+    })
+    .filter(Boolean);
+
+  return { lines, points };
+};
+
+/**
+ * Page of the tiled sheet
+ * @typedef {Object} TarpPage
+ * @property {number} column - Tile column, 0 is centred on the centre line
+ * @property {number} row - Tile row, 0 starts at the ground
+ * @property {number} x - Left edge from the centre line (mm)
+ * @property {number} z - Bottom edge above ground (mm)
+ */
+
+/**
+ * Tile the markings onto pages
+ * Tiles are laid on a grid centred on the centre line and starting at the
+ * ground, and only tiles with a line foot or a target point are printed. Each page
+ * carries its own position, so pages can be placed with a tape measure
+ * even when the tiles between them are left out.
+ * @param {{lines: Array<NetLine>, points: Array<NetPoint>}} marks - Markings
+ * @param {string} paperId - Key of PAPER_SIZES
+ * @returns {{tileWidth: number, tileHeight: number, bounds: Object, pages: Array<TarpPage>}}
+ */
+export const layoutTarpPages = (marks, paperId) => {
+  const paper = PAPER_SIZES[paperId] || PAPER_SIZES.A4;
+  const tileWidth = paper.width - 2 * PAGE_MARGIN;
+  const tileHeight = paper.height - 2 * PAGE_MARGIN;
+
+  const features = [
+    ...marks.lines.map((line) => ({ x: line.x * 1000, z: 0 })),
+    ...marks.points
+      .filter((point) => point.isOnNet)
+      .map((point) => ({
+        x: point.x * 1000,
+        z: (point.height ?? 0) * 1000,
+      })),
+  ];
+  const xs = features.map((feature) => feature.x);
+  const bounds = {
+    left: Math.min(...xs) - SHEET_PADDING,
+    right: Math.max(...xs) + SHEET_PADDING,
+    top: Math.max(
+      MIN_SHEET_HEIGHT,
+      ...features.map((feature) => feature.z + SHEET_PADDING),
+    ),
+  };
+
+  const pages = new Map();
+  features.forEach(({ x, z }) => {
+    const column = Math.floor(x / tileWidth + 0.5);
+    const row = Math.floor(z / tileHeight);
+    pages.set(`${row}:${column}`, {
+      column,
+      row,
+      x: (column - 0.5) * tileWidth,
+      z: row * tileHeight,
+    });
+  });
+
+  return {
+    tileWidth,
+    tileHeight,
+    bounds,
+    pages: [...pages.values()].sort(
+      (a, b) => a.row - b.row || a.column - b.column,
+    ),
+  };
+};
@@ -0,0 +1,25 @@
+/**
+ * Text helpers
+ * Translation lookups that are safe before i18n has loaded
+ */
+
+/**
+ * Translate key with fallback text
+ * @param {string} key - Dot-separated translation key
+ * @param {string} fallback - Text used when translation is unavailable
+ * @returns {string} Translated text or fallback
+ */
+export const translate = (key, fallback = key) => {
+  let value = window.i18n?.translations;
+  if (!value) return fallback;
+
+  for (const part of key.split(".")) {
+    if (value && typeof value === "object" && part in value) {
+      value = value[part];
+    } else {
+      return fallback;
+    }
+  }
+
+  return typeof value === "string" ? value : fallback;
+};
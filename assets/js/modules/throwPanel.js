@@ -0,0 +1,148 @@
+/**
+ * Throw matrix panel
+ * Table of throw distances and times, the chosen throw is drawn on the field
+ */
+
+import { FIELDER_ROLES } from "./fielders.js";
+import { formatMeters } from "./geometry.js";
+import { store } from "./state.js";
+import { translate } from "./text.js";
+import {
+  calculateThrowMatrix,
+  DEFAULT_THROW_SPEED,
+  THROW_TARGETS,
+} from "./throws.js";
+
+const BASE_LABELS = {
+  home: "Koti",
+  first: "1",
+  second: "2",
+  third: "3",
+};
+
+/**
+ * Short label of a throw point
+ * @param {ThrowPoint} point
+ * @returns {string}
+ */
+const getPointLabel = (point) =>
+  point.isBase
+    ? translate(`throws.bases.${point.id}`, BASE_LABELS[point.id])
+    : FIELDER_ROLES.find((role) => role.id === point.id)?.short || point.id;
+
+/**
+ * Initialize throw matrix panel
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.getPoints - Returns ThrowPoints of the current view
+ * @param {Function} deps.onChange - Called after the highlighted throw changes
+ */
+export const initThrowPanel = ({ getPoints, onChange }) => {
+  const speedInput = document.getElementById("throwSpeed");
+  const head = document.getElementById("throwHead");
+  const rows = document.getElementById("throwRows");
+
+  if (!rows) return;
+
+  const getThrowSpeed = () => {
+    const value = parseFloat(speedInput?.value);
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_THROW_SPEED;
+  };
+
+  /**
+   * Toggle throw highlight on the field
+   * @param {ThrowCell} cell
+   */
+  const toggleHighlight = (cell) => {
+    const current = store.getState().highlightedThrow;
+    const isSame = current?.from === cell.from && current?.to === cell.to;
+    store.setState({
+      highlightedThrow: isSame ? null : { from: cell.from, to: cell.to },
+    });
+    onChange();
+  };
+
+  const renderHead = () => {
+    if (!head) return;
+    head.innerHTML = "";
+    const corner = document.createElement("th");
+    corner.scope = "col";
+    corner.textContent = translate("throws.from", "Mistä");
+    head.appendChild(corner);
+    THROW_TARGETS.forEach((id) => {
+      const cell = document.createElement("th");
+      cell.scope = "col";
+      cell.textContent = getPointLabel({ id, isBase: true });
+      head.appendChild(cell);
+    });
+  };
+
+  let renderedKey = null;
+
+  /**
+   * Rebuild matrix rows
+   * @param {boolean} [force] - Rebuild even if nothing shown has changed
+   */
+  const render = (force = false) => {
+    const points = getPoints();
+    const throwSpeed = getThrowSpeed();
+    const { highlightedThrow } = store.getState();
+    const key = JSON.stringify([points, throwSpeed, highlightedThrow]);
+    if (!force && key === renderedKey) return;
+    renderedKey = key;
+
+    rows.innerHTML = "";
+    calculateThrowMatrix(points, throwSpeed).forEach(({ from, cells }) => {
+      const row = document.createElement("tr");
+      row.classList.toggle("throw-row--fielder", !from.isBase);
+
+      const label = document.createElement("th");
+      label.scope = "row";
+      label.textContent = getPointLabel(from);
+      row.appendChild(label);
+
+      cells.forEach((cell) => {
+        const td = document.createElement("td");
+        if (!cell) {
+          td.textContent = "–";
+          row.appendChild(td);
+          return;
+        }
+
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "throw-cell";
+        button.classList.toggle(
+          "active",
+          highlightedThrow?.from === cell.from &&
+            highlightedThrow?.to === cell.to,
+        );
+        const distance = document.createElement("span");
+        distance.textContent = formatMeters(cell.distance);
+        const time = document.createElement("span");
+        time.className = "throw-cell__time";
+        time.textContent = `${cell.time.toFixed(2)} s`;
+        button.append(distance, time);
+        button.addEventListener("click", () => toggleHighlight(cell));
+
+        td.appendChild(button);
+        row.appendChild(td);
+      });
+
+      rows.appendChild(row);
+    });
+  };
+
+  if (speedInput) {
+    speedInput.value = DEFAULT_THROW_SPEED;
+    speedInput.addEventListener("input", () => render());
+  }
+
+  store.subscribe(() => render());
+  window.addEventListener("languageChanged", () => {
+    renderHead();
+    render(true);
+  });
+  window.addEventListener("unitChanged", () => render(true));
+  renderHead();
+  render(true);
+};
@@ -0,0 +1,87 @@
+/**
+ * Throw module
+ * Distances and flight times from bases and fielders to every base
+ */
+
+import { distanceBetween } from "./geometry.js";
+
+// Throw speed used before the user sets one (m/s)
+export const DEFAULT_THROW_SPEED = 20;
+
+// Throw targets in running order
+export const THROW_TARGETS = ["home", "first", "second", "third"];
+
+/**
+ * Point a throw can start from or end at
+ * @typedef {Object} ThrowPoint
+ * @property {string} id - Base id ("home", "first", ...) or fielder role id
+ * @property {boolean} isBase - True for bases
+ * @property {number} x - X coordinate in meters
+ * @property {number} y - Y coordinate in meters
+ */
+
+/**
+ * Throw between two points
+ * @typedef {Object} ThrowCell
+ * @property {string} from - Start point id
+ * @property {string} to - Target base id
+ * @property {number} distance - Straight-line distance in meters
+ * @property {number} time - Flight time in seconds
+ */
+
+/**
+ * Collect bases and fielders
+ * @param {Object} geometry - Geometry from calculateGeometry
+ * @param {Array<Fielder>} [fielders] - Fielders on the field, if shown
+ * @returns {Array<ThrowPoint>} Bases first, then fielders
+ */
+export const getThrowPoints = (geometry, fielders = []) => [
+  // Home plate center is the field origin
+  { id: "home", isBase: true, x: 0, y: 0 },
+  { id: "first", isBase: true, ...geometry.firstBaseCenter },
+  { id: "second", isBase: true, ...geometry.secondBaseCenter },
+  { id: "third", isBase: true, ...geometry.thirdBaseCenter },
+  ...fielders.map((fielder) => ({
+    id: fielder.role,
+    isBase: false,
+    x: fielder.x,
+    y: fielder.y,
+  })),
+];
+
+/**
+ * Calculate throw matrix
+ * Flight time is distance over throw speed, i.e. a flat throw at
+ * constant speed.
+ * @param {Array<ThrowPoint>} points - Points from getThrowPoints
+ * @param {number} throwSpeed - Throw speed in m/s
+ * @returns {Array<{from: ThrowPoint, cells: Array<ThrowCell|null>}>} One row per point, cells in THROW_TARGETS order (null on the diagonal)
+ */
+export const calculateThrowMatrix = (points, throwSpeed) => {
+  const targets = THROW_TARGETS.map((id) =>
+    points.find((point) => point.id === id),
+  );
+
+  return points.map((from) => ({
+    from,
+    cells: targets.map((to) => {
+      if (to.id === from.id) return null;
+      const distance = distanceBetween(from, to);
+      return {
+        from: from.id,
+        to: to.id,
+        distance,
+        time: distance / throwSpeed,
+      };
+    }),
+  }));
+};
+
+/**
+ * Find a point by id
+ * @param {Array<ThrowPoint>} points - Points from getThrowPoints
+ * @param {string} id - Point id
+ * @returns {ThrowPoint|undefined}
+ */
+export const findThrowPoint = (points, id) =>
+  points.find((point) => point.id === id);
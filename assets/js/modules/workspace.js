@@ -0,0 +1,205 @@
+/**
+ * PesisKenttä workspace persistence
+ * Saves profile choice, edits, custom measurements and view across reloads
+ */
+
+import {
+  DEFAULT_FORMATION_ID,
+  FIELDER_ROLES,
+  getFormation,
+} from "./fielders.js";
+import { persistStoreSlice, readVersioned } from "./persistence.js";
+import { getFieldProfile } from "./profiles.js";
+
+const WORKSPACE_STORAGE_KEY = "pesiskenttaWorkspace";
+export const WORKSPACE_VERSION = 4;
+
+/**
+ * Saved workspace (version 4)
+ * @typedef {Object} Workspace
+ * @property {string} fieldProfileId - Selected profile id
+ * @property {string|null} comparisonProfileId - Compared profile id
+ * @property {EditablePoints} editablePoints - Home path points
+ * @property {Array} customMeasurements - User-drawn measurement lines
+ * @property {number} zoomLevel - Zoom factor
+ * @property {number} panX - Pan offset in pixels
+ * @property {number} panY - Pan offset in pixels
+ * @property {boolean} showFielders - Fielder layer visibility
+ * @property {string} formationId - Formation the fielders start from
+ * @property {Array<Fielder>|null} fielders - Moved fielder positions
+ * @property {boolean} showCoverage - Responsibility region visibility
+ * @property {boolean} coverageWeighted - Weight regions by fielder speed
+ * @property {Object<string, number>|null} fielderSpeeds - Speeds by role (m/s)
+ * @property {boolean} showSpray - Imported spray chart visibility
+ * @property {boolean} sprayHeat - Spray chart density heat on
+ * @property {string|null} sprayBatter - Spray chart batter filter
+ * @property {Array<string>} sprayHiddenOutcomes - Spray chart outcomes left out
+ */
+
+/**
+ * Migrations by source version: WORKSPACE_MIGRATIONS[n] upgrades n to n + 1.
+ * Add an entry here whenever the Workspace shape changes.
+ * @type {Object<number, Function>}
+ */
+const WORKSPACE_MIGRATIONS = {
+  // Version 2 adds the fielder layer
+  1: (workspace) => ({
+    ...workspace,
+    showFielders: false,
+    formationId: DEFAULT_FORMATION_ID,
+    fielders: null,
+  }),
+  // Version 3 adds responsibility regions
+  2: (workspace) => ({
+    ...workspace,
+    showCoverage: false,
+    coverageWeighted: false,
+    fielderSpeeds: null,
+  }),
+  // Version 4 adds the spray chart layer
+  3: (workspace) => ({
+    ...workspace,
+    showSpray: false,
+    sprayHeat: true,
+    sprayBatter: null,
+    sprayHiddenOutcomes: [],
+  }),
+};
+
+/**
+ * Pick workspace from state
+ * @param {AppState} state
+ * @returns {Workspace}
+ */
+export const selectWorkspace = (state) => ({
+  fieldProfileId: state.fieldProfile.id,
+  comparisonProfileId: state.comparisonProfile?.id || null,
+  editablePoints: state.editablePoints,
+  customMeasurements: state.customMeasurements,
+  zoomLevel: state.zoomLevel,
+  panX: state.panX,
+  panY: state.panY,
+  showFielders: state.showFielders,
+  formationId: state.formationId,
+  fielders: state.fielders,
+  showCoverage: state.showCoverage,
+  coverageWeighted: state.coverageWeighted,
+  fielderSpeeds: state.fielderSpeeds,
+  showSpray: state.showSpray,
+  sprayHeat: state.sprayHeat,
+  sprayBatter: state.sprayBatter,
+  sprayHiddenOutcomes: state.sprayHiddenOutcomes,
+});
+
+/**
+ * Check that value is a {x, y} point with finite coordinates
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export const isPoint = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Number.isFinite(value.x) &&
+  Number.isFinite(value.y);
+
+/**
+ * Turn workspace into state updates, dropping anything that no longer fits
+ * @param {Workspace} workspace - Workspace in the current version
+ * @returns {Partial<AppState>|null} State updates or null if unusable
+ */
+export const workspaceToState = (workspace) => {
+  const fieldProfile = getFieldProfile(workspace.fieldProfileId);
+  if (!fieldProfile) return null;
+
+  const points = workspace.editablePoints || {};
+  const editablePoints = ["homePathStart", "homePathMid", "homePathEnd"].every(
+    (name) => isPoint(points[name]),
+  )
+    ? points
+    : { homePathStart: null, homePathMid: null, homePathEnd: null };
+
+  const customMeasurements = Array.isArray(workspace.customMeasurements)
+    ? workspace.customMeasurements.filter(
+        (measurement) => isPoint(measurement.start) && isPoint(measurement.end),
+      )
+    : [];
+
+  const comparisonProfile = workspace.comparisonProfileId
+    ? getFieldProfile(workspace.comparisonProfileId)
+    : null;
+
+  return {
+    fieldProfile,
+    comparisonProfile:
+      comparisonProfile && comparisonProfile !== fieldProfile
+        ? comparisonProfile
+        : null,
+    editablePoints,
+    customMeasurements,
+    zoomLevel: Number.isFinite(workspace.zoomLevel) ? workspace.zoomLevel : 1,
+    panX: Number.isFinite(workspace.panX) ? workspace.panX : 0,
+    panY: Number.isFinite(workspace.panY) ? workspace.panY : 0,
+    showFielders: workspace.showFielders === true,
+    formationId: getFormation(workspace.formationId)
+      ? workspace.formationId
+      : DEFAULT_FORMATION_ID,
+    fielders:
+      Array.isArray(workspace.fielders) &&
+      FIELDER_ROLES.every(({ id }) =>
+        workspace.fielders.some(
+          (fielder) => fielder.role === id && isPoint(fielder),
+        ),
+      )
+        ? workspace.fielders
+        : null,
+    showCoverage: workspace.showCoverage === true,
+    coverageWeighted: workspace.coverageWeighted === true,
+    fielderSpeeds:
+      workspace.fielderSpeeds &&
+      typeof workspace.fielderSpeeds === "object" &&
+      Object.values(workspace.fielderSpeeds).every(
+        (speed) => Number.isFinite(speed) && speed > 0,
+      )
+        ? workspace.fielderSpeeds
+        : null,
+    showSpray: workspace.showSpray === true,
+    sprayHeat: workspace.sprayHeat !== false,
+    sprayBatter:
+      typeof workspace.sprayBatter === "string" ? workspace.sprayBatter : null,
+    sprayHiddenOutcomes: Array.isArray(workspace.sprayHiddenOutcomes)
+      ? workspace.sprayHiddenOutcomes.filter(
+          (outcome) => typeof outcome === "string",
+        )
+      : [],
+  };
+};
+
+/**
+ * Load saved workspace into store
+ * @param {StateStore} store - State store
+ * @returns {boolean} True if a workspace was restored
+ */
+export const restoreWorkspace = (store) => {
+  const workspace = readVersioned(WORKSPACE_STORAGE_KEY, {
+    version: WORKSPACE_VERSION,
+    migrations: WORKSPACE_MIGRATIONS,
+  });
+  const updates = workspace ? workspaceToState(workspace) : null;
+  if (!updates) return false;
+
+  store.setState(updates, { history: false });
+  store.setZoom(updates.zoomLevel);
+  return true;
+};
+
+/**
+ * Save workspace automatically when it changes
+ * @param {StateStore} store - State store
+ */
+export const persistWorkspace = (store) => {
+  persistStoreSlice(store, {
+    key: WORKSPACE_STORAGE_KEY,
+    version: WORKSPACE_VERSION,
+    select: selectWorkspace,
+  });
+};
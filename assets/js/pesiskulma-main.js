@@ -3,21 +3,107 @@
  * Field visualization with net distance calculator
  */
 
+import { calculateNetAim } from "./modules/aiming.js";
+import {
+  classifyLanding,
+  CONTACT_HEIGHT,
+  DEFAULT_EXIT_SPEED_KMH,
+  DEFAULT_LAUNCH_ANGLE_DEG,
+  kmhToMetersPerSecond,
+  simulateBallFlight,
+} from "./modules/ballFlight.js";
+import {
+  DEFAULT_PITCH_HEIGHT,
+  drawElevationChart,
+  findNetCrossing,
+  PITCH_RULE_MIN_HEIGHT,
+  projectFlightPath,
+} from "./modules/elevation.js";
+import { resolveTargets } from "./modules/aimTargets.js";
+import { getLandingLabel, initFlightPanel } from "./modules/flightPanel.js";
+import { getSurfaceLabel, initHallPanel } from "./modules/hallPanel.js";
+import {
+  getHitError,
+  getSelectedSession,
+  initHitLogStorage,
+  logHit,
+} from "./modules/hitLog.js";
+import { initHitLogPanel } from "./modules/hitLogPanel.js";
+import { initTargetPanel } from "./modules/targetPanel.js";
+import {
+  checkNetFit,
+  findHallImpact,
+  findSectorReach,
+  getHallBounds,
+  getObstacleRects,
+  getSelectedHall,
+  initHallStorage,
+} from "./modules/halls.js";
+import {
+  createNet,
+  DEFAULT_NET_SETTINGS,
+  distanceFromNet,
+  getNetEnds,
+  getNetPoint,
+  getNetPosition,
+  getSectorCrossings,
+  intersectNet,
+} from "./modules/net.js";
 import { calculateGeometry } from "./modules/geometry.js";
+import { getZoneLabel, traceLandingStrip } from "./modules/landingStrip.js";
+import {
+  classifyHit,
+  getHitZone,
+  HIT_COLORS,
+  HIT_LABELS,
+} from "./modules/hitClassification.js";
 import {
   calculateCanvasDimensions,
   drawMeasurementLabel,
   toCanvas,
 } from "./modules/rendering.js";
-import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
+import { groupHistoryOnDrag, initHistoryControls } from "./modules/history.js";
+import { initSidePanels } from "./modules/panels.js";
+import { initScenarioLibrary } from "./modules/scenarioLibrary.js";
+import {
+  captureSnapshot,
+  initScenarioStorage,
+  snapshotToState,
+} from "./modules/scenarios.js";
+import {
+  initShareButton,
+  SHARE_VERSION,
+  watchSharedScenario,
+} from "./modules/shareLink.js";
+import { initProfileEditor } from "./modules/profileEditor.js";
+import { initFieldProfileStorage } from "./modules/profileStorage.js";
+import { initProfileTransfer } from "./modules/profileTransfer.js";
+import { renderProfileSelector } from "./modules/profileSelector.js";
+import {
+  DEFAULT_FIELD_PROFILE_ID,
+  getFieldProfile,
+  registerFieldProfile,
+} from "./modules/profiles.js";
+import { store } from "./modules/state.js";
+import { initTarpPanel } from "./modules/tarpPanel.js";
+import { translate } from "./modules/text.js";
 
 (() => {
   // DOM elements
   const canvas = document.getElementById("fieldCanvas");
   const netDistanceInput = document.getElementById("netDistance");
   const netDistanceUnit = document.querySelector(".net-distance-unit");
-  const fieldButtons = document.querySelectorAll("[data-field]");
+  const reverseModeToggle = document.getElementById("reverseModeToggle");
+  const netYawInput = document.getElementById("netYaw");
+  const netOffsetInput = document.getElementById("netOffset");
+  const netWidthInput = document.getElementById("netWidth");
+  const fieldSelector = document.getElementById("fieldProfileSelector");
   const tooltip = document.getElementById("measurementTooltip");
+  const hitCard = document.getElementById("hitClassCard");
+  const hitBadge = document.getElementById("hitBadge");
+  const hitDetails = document.getElementById("hitDetails");
+  const elevationCanvas = document.getElementById("elevationCanvas");
+  const netCrossingReadout = document.getElementById("netCrossingReadout");
 
   // Pitch plate elements
   const pitchPlateControl = document.getElementById("pitchPlateControl");
@@ -42,7 +128,22 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
 
   if (!canvas || !netDistanceInput) return;
 
+  // Hit and net defaults belong to this page, not to the shared store
+  store.setState(
+    {
+      exitSpeed: DEFAULT_EXIT_SPEED_KMH,
+      launchAngleDeg: DEFAULT_LAUNCH_ANGLE_DEG,
+      contactHeight: CONTACT_HEIGHT,
+      pitchHeight: DEFAULT_PITCH_HEIGHT,
+      netYawDeg: DEFAULT_NET_SETTINGS.yawDeg,
+      netOffset: DEFAULT_NET_SETTINGS.offset,
+      netWidth: DEFAULT_NET_SETTINGS.width,
+    },
+    { history: false },
+  );
+
   const ctx = canvas.getContext("2d");
+  const elevationCtx = elevationCanvas?.getContext("2d");
   const pitchPlateCtx = pitchPlateCanvas?.getContext("2d");
   const pitchPlateCtxMobile = pitchPlateCanvasMobile?.getContext("2d");
 
@@ -54,15 +155,220 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     origin: { x: 0, y: 0 },
   };
 
-  // Ball position (set by clicking on field)
-  let ballPosition = null;
-
-  // Pitch plate offset (in meters from center)
-  let pitchOffset = { x: 0, y: 0 };
-
   //Measurement hit areas for tooltip interactions
   let measurementHitAreas = [];
 
+  // Landing marker colors by landing status
+  const LANDING_COLORS = {
+    field: "#4cd964",
+    beyondBack: "#ffd166",
+    outsideSector: "#ff6b6b",
+  };
+
+  let flightCache = { key: null, value: null };
+
+  /**
+   * Simulated flight of the current hit
+   * The hit goes from the launch point towards the target point, or
+   * straight ahead when no target is set. The side view uses the flight
+   * even when it is not drawn on the field.
+   * @returns {{flight: BallFlight, status: string}}
+   */
+  const simulateCurrentFlight = () => {
+    const state = store.getState();
+    const key = [
+      state.fieldProfile,
+      state.ballPosition,
+      state.pitchOffset,
+      state.exitSpeed,
+      state.launchAngleDeg,
+      state.contactHeight,
+    ];
+    if (
+      flightCache.key &&
+      key.every((value, index) => value === flightCache.key[index])
+    ) {
+      return flightCache.value;
+    }
+
+    const launchPoint = state.pitchOffset;
+    const direction = state.ballPosition
+      ? {
+          x: state.ballPosition.x - launchPoint.x,
+          y: state.ballPosition.y - launchPoint.y,
+        }
+      : { x: 0, y: 1 };
+    const flight = simulateBallFlight({
+      launchPoint,
+      direction,
+      exitSpeed: kmhToMetersPerSecond(state.exitSpeed),
+      launchAngleDeg: state.launchAngleDeg,
+      contactHeight: state.contactHeight,
+    });
+    const status = classifyLanding(
+      flight.landingPoint,
+      calculateGeometry(state.fieldProfile, state.editablePoints),
+    );
+
+    flightCache = { key, value: { flight, status } };
+    return flightCache.value;
+  };
+
+  /**
+   * Simulated flight for the field view
+   * @returns {{flight: BallFlight, status: string}|null} Null when off
+   */
+  const getCurrentFlight = () =>
+    store.getState().showFlight ? simulateCurrentFlight() : null;
+
+  let aimCache = { key: null, value: null };
+
+  /**
+   * Launch angle and net height needed to land on the target point
+   * @param {Net} net - Net placement
+   * @returns {NetAim}
+   */
+  const getCurrentNetAim = (net) => {
+    const state = store.getState();
+    const key = [
+      state.ballPosition,
+      state.pitchOffset,
+      state.exitSpeed,
+      state.contactHeight,
+      net,
+    ];
+    if (
+      aimCache.key &&
+      key.every((value, index) => value === aimCache.key[index])
+    ) {
+      return aimCache.value;
+    }
+
+    aimCache = {
+      key,
+      value: calculateNetAim({
+        launchPoint: state.pitchOffset,
+        target: state.ballPosition,
+        exitSpeed: kmhToMetersPerSecond(state.exitSpeed),
+        contactHeight: state.contactHeight,
+        net,
+      }),
+    };
+    return aimCache.value;
+  };
+
+  const targetAimCache = new Map();
+
+  /**
+   * Launch angle and net height for a session target
+   * @param {AimTarget} target - Target with an up-to-date point
+   * @param {Net} net - Net placement
+   * @returns {NetAim}
+   */
+  const getTargetNetAim = (target, net) => {
+    const state = store.getState();
+    // The active target is the ball, which the field view already aims at
+    if (target.point === state.ballPosition) return getCurrentNetAim(net);
+
+    const key = [
+      target.point,
+      state.pitchOffset,
+      state.exitSpeed,
+      state.contactHeight,
+      net,
+    ];
+    const cached = targetAimCache.get(target.id);
+    if (cached && key.every((value, index) => value === cached.key[index])) {
+      return cached.value;
+    }
+
+    const value = calculateNetAim({
+      launchPoint: state.pitchOffset,
+      target: target.point,
+      exitSpeed: kmhToMetersPerSecond(state.exitSpeed),
+      contactHeight: state.contactHeight,
+      net,
+    });
+    targetAimCache.set(target.id, { key, value });
+    return value;
+  };
+
+  /**
+   * Net impact readouts of the session targets
+   * @returns {Map<string, TargetReadout|null>} Readouts by target id, null for targets before the net, empty without a net
+   */
+  const getTargetReadouts = () => {
+    const state = store.getState();
+    const net = getCurrentNet();
+    const readouts = new Map();
+    if (!net) return readouts;
+
+    const launchPoint = state.pitchOffset;
+    const straightAhead = intersectNet(net, launchPoint, {
+      x: launchPoint.x,
+      y: launchPoint.y + 1,
+    });
+    const targets = resolveTargets(state);
+    targetAimCache.forEach((_, id) => {
+      if (!targets.some((target) => target.id === id)) {
+        targetAimCache.delete(id);
+      }
+    });
+    targets.forEach((target) => {
+      const impact = intersectNet(net, launchPoint, target.point);
+      if (!impact) {
+        readouts.set(target.id, {
+          point: null,
+          offset: null,
+          isOnNet: false,
+          height: null,
+        });
+        return;
+      }
+      if (impact.t > 1) {
+        readouts.set(target.id, null);
+        return;
+      }
+      const aim = impact.isOnNet ? getTargetNetAim(target, net) : null;
+      readouts.set(target.id, {
+        point: impact.point,
+        offset: impact.position - (straightAhead?.position ?? impact.position),
+        isOnNet: impact.isOnNet,
+        height: aim?.netCrossing?.height ?? null,
+      });
+    });
+    return readouts;
+  };
+
+  let netCache = { key: null, value: null };
+
+  /**
+   * Net placement from the net distance input and the net settings
+   * @returns {Net|null} Null when the distance is empty or invalid
+   */
+  const getCurrentNet = () => {
+    const netDistanceCm = parseFloat(netDistanceInput.value);
+    if (isNaN(netDistanceCm) || netDistanceCm <= 0) return null;
+
+    const { netYawDeg, netOffset, netWidth } = store.getState();
+    const key = [netDistanceCm, netYawDeg, netOffset, netWidth];
+    if (
+      !netCache.key ||
+      key.some((value, index) => value !== netCache.key[index])
+    ) {
+      netCache = {
+        key,
+        value: createNet({
+          distance: netDistanceCm / 100,
+          yawDeg: netYawDeg,
+          offset: netOffset,
+          width: netWidth,
+        }),
+      };
+    }
+    return netCache.value;
+  };
+
   /**
    * Format distance for display
    */
@@ -87,6 +393,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
   const drawField = () => {
     const state = store.getState();
     if (!state.fieldProfile) return;
+    const { ballPosition, pitchOffset } = state;
 
     // Clear measurement hit areas
     measurementHitAreas = [];
@@ -123,6 +430,15 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
       ctx.stroke();
     };
 
+    // Shade the zone the aim point is in
+    const hitClassification = ballPosition
+      ? classifyHit(ballPosition, pitchOffset, geometry, state.fieldProfile)
+      : null;
+    if (hitClassification) {
+      drawHitZone(hitClassification.status, geometry, origin, scale);
+    }
+    updateHitBadge(hitClassification);
+
     // Draw field boundary lines
     drawFieldLine({ start: geometry.homeLeft, end: geometry.homeRight });
     drawFieldLine({ start: geometry.homeLeft, end: geometry.diagonalLeftEnd });
@@ -287,46 +603,12 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
       ctx.stroke();
     });
 
-    // Draw net distance line if provided
-    const netDistanceCm = parseFloat(netDistanceInput.value);
-    if (!isNaN(netDistanceCm) && netDistanceCm > 0) {
-      const netDistanceM = netDistanceCm / 100;
-      const netY = 0.3 + netDistanceM;
-
-      // Calculate net endpoints based on field geometry
-      const sectorOriginY = state.fieldProfile.battingSector.originOffsetY;
-      const leftAngleDeg = state.fieldProfile.battingSector.leftAngleDeg;
-      const rightAngleDeg = state.fieldProfile.battingSector.rightAngleDeg;
-      const leftDir = {
-        x: Math.sin((leftAngleDeg * Math.PI) / 180),
-        y: Math.cos((leftAngleDeg * Math.PI) / 180),
-      };
-      const rightDir = {
-        x: Math.sin((rightAngleDeg * Math.PI) / 180),
-        y: Math.cos((rightAngleDeg * Math.PI) / 180),
-      };
-
-      let netLeftX, netRightX;
-      if (netY <= geometry.homeLeft.y) {
-        const tLeft = (netY - sectorOriginY) / leftDir.y;
-        const tRight = (netY - sectorOriginY) / rightDir.y;
-        netLeftX = leftDir.x * tLeft;
-        netRightX = rightDir.x * tRight;
-      } else if (netY <= geometry.diagonalLeftEnd.y) {
-        const tLeft = (netY - geometry.homeLeft.y) / leftDir.y;
-        const tRight = (netY - geometry.homeRight.y) / rightDir.y;
-        netLeftX = geometry.homeLeft.x + leftDir.x * tLeft;
-        netRightX = geometry.homeRight.x + rightDir.x * tRight;
-      } else {
-        netLeftX = geometry.diagonalLeftEnd.x;
-        netRightX = geometry.diagonalRightEnd.x;
-      }
-
-      const netExtension = 6;
-      const netLeft = { x: netLeftX - netExtension, y: netY };
-      const netRight = { x: netRightX + netExtension, y: netY };
-      const netLeftCanvas = toCanvas(netLeft, origin, scale);
-      const netRightCanvas = toCanvas(netRight, origin, scale);
+    // Draw net if a distance is given
+    const net = getCurrentNet();
+    if (net) {
+      const netEnds = getNetEnds(net, state.fieldProfile, geometry);
+      const netLeftCanvas = toCanvas(netEnds.left, origin, scale);
+      const netRightCanvas = toCanvas(netEnds.right, origin, scale);
 
       // Draw green net pattern
       ctx.save();
@@ -346,19 +628,30 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
       patternCtx.stroke();
 
       const pattern = ctx.createPattern(patternCanvas, "repeat");
-      ctx.fillStyle = pattern;
-      ctx.fillRect(
-        netLeftCanvas.x,
-        netLeftCanvas.y - 1,
-        netRightCanvas.x - netLeftCanvas.x,
-        2,
-      );
+      ctx.strokeStyle = pattern;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(netLeftCanvas.x, netLeftCanvas.y);
+      ctx.lineTo(netRightCanvas.x, netRightCanvas.y);
+      ctx.stroke();
 
       ctx.restore();
       ctx.strokeStyle = "#ffffff";
       ctx.lineWidth = 2;
     }
 
+    if (state.showHall) {
+      drawHall(getHallAnalysis(), origin, scale);
+    }
+
+    if (state.aimTargets.length > 0) {
+      drawAimTargets(getTargetReadouts(), origin, scale);
+    }
+
+    if (state.hitLogging) {
+      drawLoggedHits(origin, scale);
+    }
+
     // Draw ball and angle lines if ball position exists
     if (ballPosition) {
       // Launch point (home plate center + pitch offset)
@@ -401,40 +694,66 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
       ctx.setLineDash([]);
       ctx.restore();
 
-      // Distance to net (if net is defined and ball is beyond it)
-      const netDistanceCmActive = parseFloat(netDistanceInput.value);
-      if (!isNaN(netDistanceCmActive) && netDistanceCmActive > 0) {
-        const netDistanceM = netDistanceCmActive / 100;
-        const netY = 0.3 + netDistanceM;
-
-        if (netY <= ballPosition.y && netY > launchPoint.y) {
-          // Calculate where direct line intersects with net
-          const ballRelY = ballPosition.y - launchPoint.y;
-          const ballRelX = ballPosition.x - launchPoint.x;
-          const netRelY = netY - launchPoint.y;
-          const directLineX = launchPoint.x + (netRelY / ballRelY) * ballRelX;
-          const verticalLineX = launchPoint.x;
-          const distanceM = Math.abs(directLineX - verticalLineX);
-          const midX = (directLineX + verticalLineX) / 2;
-          const labelPos = toCanvas({ x: midX, y: netY }, origin, scale);
-
-          drawMeasurementLabel(ctx, {
-            text: formatDistance(distanceM),
-            x: labelPos.x,
-            y: labelPos.y - 5,
-            textAlign: "center",
-            textBaseline: "bottom",
-            color: "#16e1ff",
-            font: "bold 24px sans-serif",
-            backgroundColor: "rgba(0, 0, 0, 0.6)",
-            padding: 4,
-            tooltipData: {
-              value: formatDistance(distanceM),
-              description: "Etäisyys keskiviivasta osumakohtaan verkossa",
-            },
-            measurementHitAreas,
-          });
+      // Distance along the net from the straight-ahead line to the impact
+      const activeNet = getCurrentNet();
+      const netImpact = activeNet
+        ? intersectNet(activeNet, launchPoint, ballPosition)
+        : null;
+      if (netImpact && netImpact.t <= 1) {
+        const straightAhead = intersectNet(activeNet, launchPoint, {
+          x: launchPoint.x,
+          y: launchPoint.y + 1,
+        });
+        const referencePosition = straightAhead?.position ?? netImpact.position;
+        const distanceM = Math.abs(netImpact.position - referencePosition);
+        const labelPos = toCanvas(
+          getNetPoint(activeNet, (netImpact.position + referencePosition) / 2),
+          origin,
+          scale,
+        );
+
+        drawMeasurementLabel(ctx, {
+          text: formatDistance(distanceM),
+          x: labelPos.x,
+          y: labelPos.y - 5,
+          textAlign: "center",
+          textBaseline: "bottom",
+          color: "#16e1ff",
+          font: "bold 24px sans-serif",
+          backgroundColor: "rgba(0, 0, 0, 0.6)",
+          padding: 4,
+          tooltipData: {
+            value: formatDistance(distanceM),
+            description: "Etäisyys keskiviivasta osumakohtaan verkossa",
+          },
+          measurementHitAreas,
+        });
+
+        if (netImpact.isOnNet) {
+          drawNetAim(
+            getCurrentNetAim(activeNet),
+            netImpact.point,
+            origin,
+            scale,
+          );
+        } else {
+          drawNetMiss(
+            toCanvas(netImpact.point, origin, scale),
+            translate(
+              "net.missesNetTooltip",
+              "Lyöntilinja kulkee verkon pään ohi",
+            ),
+          );
         }
+      } else if (activeNet && !netImpact) {
+        // The hit line runs along or turns away from a yawed net
+        drawNetMiss(
+          { x: ballCenter.x, y: ballCenter.y + 16 },
+          translate(
+            "net.neverMeetsNetTooltip",
+            "Lyöntilinja kulkee verkon suuntaisesti tai siitä poispäin",
+          ),
+        );
       }
 
       // Distance labels (relative to launch point)
@@ -503,8 +822,813 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
       drawBall(ballPosition.x, ballPosition.y, origin, scale);
     }
 
+    // Reverse mode: the hit line through the net impact point
+    const stripImpact =
+      state.reverseMode && ballPosition && ballPosition.y > pitchOffset.y
+        ? getNetImpact(ballPosition)
+        : null;
+    if (stripImpact) {
+      const strip = traceLandingStrip({
+        launchPoint: pitchOffset,
+        impact: stripImpact,
+        geometry,
+      });
+      if (strip) drawLandingStrip(strip, origin, scale);
+    }
+
+    const currentFlight = getCurrentFlight();
+    if (currentFlight) {
+      drawFlight(currentFlight, origin, scale);
+    }
+
     // Restore canvas context (end zoom/pan transformation)
     ctx.restore();
+
+    drawElevation();
+  };
+
+  /**
+   * Where the line from the launch point to the target meets the net
+   * @param {Point} target - Target point
+   * @returns {Point|null} Null without a net or when the line turns away from it
+   */
+  const getNetImpact = (target) => {
+    const net = getCurrentNet();
+    if (!net) return null;
+    return (
+      intersectNet(net, store.getState().pitchOffset, target)?.point ?? null
+    );
+  };
+
+  /**
+   * Reverse mode: aim the hit through a point on the net
+   * The target goes to the back boundary on the same line, so every view
+   * that follows the target (flight, classification, side view) follows
+   * the net impact point too.
+   * @param {Point} point - Field point, projected onto the net line
+   * @returns {boolean} True if the target was set
+   */
+  const setNetImpact = (point) => {
+    const state = store.getState();
+    const net = getCurrentNet();
+    if (!net) return false;
+    const impact = getNetPoint(net, getNetPosition(net, point));
+    if (impact.y <= state.pitchOffset.y) return false;
+
+    const geometry = calculateGeometry(
+      state.fieldProfile,
+      state.editablePoints,
+    );
+    const strip = traceLandingStrip({
+      launchPoint: state.pitchOffset,
+      impact,
+      geometry,
+    });
+    store.setState({ ballPosition: strip.end });
+    drawField();
+    return true;
+  };
+
+  /**
+   * Check whether a field point is close enough to the net line to grab it
+   * @param {Point} point - Field point
+   * @returns {boolean}
+   */
+  const isNearNet = (point) => {
+    const net = getCurrentNet();
+    if (!net || Math.abs(distanceFromNet(net, point)) >= 2) return false;
+
+    // Only the drawn part of the net can be grabbed
+    const state = store.getState();
+    const ends = getNetEnds(
+      net,
+      state.fieldProfile,
+      calculateGeometry(state.fieldProfile, state.editablePoints),
+    );
+    const position = getNetPosition(net, point);
+    return (
+      position >= getNetPosition(net, ends.left) - 1 &&
+      position <= getNetPosition(net, ends.right) + 1
+    );
+  };
+
+  /**
+   * Draw session targets with their numbers and net impact marks
+   * The active target is the ball, so only its number is drawn here.
+   * @param {Map<string, TargetReadout|null>} readouts - From getTargetReadouts
+   * @param {Point} origin - Canvas origin
+   * @param {number} scale - Scale factor
+   */
+  const drawAimTargets = (readouts, origin, scale) => {
+    const state = store.getState();
+    const launch = toCanvas(state.pitchOffset, origin, scale);
+
+    resolveTargets(state).forEach((target, index) => {
+      const number = index + 1;
+      const isActive = target.id === state.activeTargetId;
+      const point = toCanvas(target.point, origin, scale);
+
+      if (!isActive) {
+        ctx.save();
+        ctx.strokeStyle = target.color;
+        ctx.globalAlpha = 0.6;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([2, 4]);
+        ctx.beginPath();
+        ctx.moveTo(launch.x, launch.y);
+        ctx.lineTo(point.x, point.y);
+        ctx.stroke();
+        ctx.restore();
+      }
+
+      // Number badge, beside the ball for the active target
+      const badge = isActive ? { x: point.x + 16, y: point.y - 16 } : point;
+      ctx.save();
+      ctx.fillStyle = target.color;
+      ctx.strokeStyle = "rgba(0, 0, 0, 0.6)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(badge.x, badge.y, 10, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = "#111111";
+      ctx.font = "bold 12px sans-serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(String(number), badge.x, badge.y);
+      ctx.restore();
+
+      const readout = readouts.get(target.id);
+      if (!readout || isActive) return;
+
+      // A line that never meets the net is labelled below the target
+      const impact = readout.point
+        ? toCanvas(readout.point, origin, scale)
+        : { x: point.x, y: point.y + 10 };
+      if (readout.point) {
+        ctx.save();
+        ctx.strokeStyle = target.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(impact.x, impact.y, Math.max(4, 0.3 * scale), 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+      }
+
+      let value;
+      if (!readout.isOnNet) {
+        value = translate("targets.missesNet", "ohi verkosta");
+      } else if (readout.height === null) {
+        value = translate("aim.outOfReach", "Ei ulotu");
+      } else {
+        value = `↑ ${formatDistance(readout.height)}`;
+      }
+      const text = `${number} · ${value}`;
+      drawMeasurementLabel(ctx, {
+        text,
+        x: impact.x,
+        y: impact.y + 8,
+        textAlign: "center",
+        textBaseline: "top",
+        color: target.color,
+        font: "bold 14px sans-serif",
+        backgroundColor: "rgba(0, 0, 0, 0.6)",
+        padding: 3,
+        tooltipData: {
+          value: text,
+          description: target.label || translate("targets.target", "Kohde"),
+        },
+        measurementHitAreas,
+      });
+    });
+  };
+
+  /**
+   * Net hit the current target is aimed through
+   * @returns {NetHit|null} Null without a net or when the target is before it
+   */
+  const getIntendedNetHit = () => {
+    const { ballPosition, pitchOffset } = store.getState();
+    const net = getCurrentNet();
+    if (!net || !ballPosition) return null;
+    const impact = intersectNet(net, pitchOffset, ballPosition);
+    return impact && impact.t <= 1 ? impact : null;
+  };
+
+  /**
+   * Log where the ball struck the net against the current target
+   * The hit line from the launch point through the struck point is carried
+   * on to the target distance to get the field landing direction.
+   * @param {Point} point - Field point, projected onto the net line
+   * @returns {boolean} True if the hit was logged
+   */
+  const logNetHit = (point) => {
+    const state = store.getState();
+    const net = getCurrentNet();
+    const intended = getIntendedNetHit();
+    if (!intended) return false;
+
+    const launchPoint = state.pitchOffset;
+    const netPoint = getNetPoint(net, getNetPosition(net, point));
+    const dx = netPoint.x - launchPoint.x;
+    const dy = netPoint.y - launchPoint.y;
+    const lineLength = Math.hypot(dx, dy);
+    if (dy <= 0 || lineLength === 0) return false;
+
+    const distance = Math.hypot(
+      state.ballPosition.x - launchPoint.x,
+      state.ballPosition.y - launchPoint.y,
+    );
+    const landing = {
+      x: launchPoint.x + (dx / lineLength) * distance,
+      y: launchPoint.y + (dy / lineLength) * distance,
+    };
+    const classification = classifyHit(
+      landing,
+      launchPoint,
+      calculateGeometry(state.fieldProfile, state.editablePoints),
+      state.fieldProfile,
+    );
+
+    // Offsets from the straight-ahead line, like the target readouts
+    const straightAhead = intersectNet(net, launchPoint, {
+      x: launchPoint.x,
+      y: launchPoint.y + 1,
+    });
+    const centre = straightAhead?.position ?? 0;
+
+    const targets = resolveTargets(state);
+    const index = targets.findIndex(
+      (target) => target.id === state.activeTargetId,
+    );
+    const target = targets[index];
+    let targetLabel = translate("hitLog.ball", "Pallo");
+    if (target) {
+      targetLabel = target.label
+        ? `${index + 1} · ${target.label}`
+        : `${translate("targets.target", "Kohde")} ${index + 1}`;
+    }
+
+    logHit({
+      targetId: target ? target.id : null,
+      targetLabel,
+      intendedOffset: intended.position - centre,
+      offset: getNetPosition(net, netPoint) - centre,
+      netPoint,
+      landing,
+      hitAngleDeg: classification.hitAngleDeg,
+      status: classification.status,
+    });
+    return true;
+  };
+
+  /**
+   * Draw the logged hits of the selected session
+   * Each hit is a dot where it struck the net, green within the tolerance,
+   * with a faint line on to its landing point.
+   * @param {Point} origin - Canvas origin
+   * @param {number} scale - Scale factor
+   */
+  const drawLoggedHits = (origin, scale) => {
+    const session = getSelectedSession();
+    const launch = toCanvas(store.getState().pitchOffset, origin, scale);
+
+    session.hits.forEach((hit) => {
+      const color =
+        Math.abs(getHitError(hit)) <= session.tolerance ? "#4cd964" : "#ff6b6b";
+      const netPoint = toCanvas(hit.netPoint, origin, scale);
+      const landing = toCanvas(hit.landing, origin, scale);
+
+      ctx.save();
+      ctx.strokeStyle = color;
+      ctx.globalAlpha = 0.35;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(launch.x, launch.y);
+      ctx.lineTo(landing.x, landing.y);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(netPoint.x, netPoint.y, 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.arc(landing.x, landing.y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    });
+  };
+
+  /**
+   * Training hall check for the current net and hit
+   * @returns {HallAnalysis}
+   */
+  const getHallAnalysis = () => {
+    const state = store.getState();
+    const hall = getSelectedHall();
+    const net = getCurrentNet();
+    const impact = state.ballPosition
+      ? findHallImpact(hall, simulateCurrentFlight().flight, net)
+      : null;
+    if (!net) return { hall, fit: null, reach: null, impact };
+
+    const crossings = getSectorCrossings(
+      state.fieldProfile,
+      calculateGeometry(state.fieldProfile, state.editablePoints),
+      net,
+    );
+    const reachTo = (side) =>
+      findSectorReach({
+        hall,
+        net,
+        launchPoint: state.pitchOffset,
+        side,
+        sectorCrossing: crossings[side],
+      });
+    return {
+      hall,
+      fit: checkNetFit(hall, net),
+      reach: { left: reachTo("left"), right: reachTo("right") },
+      impact,
+    };
+  };
+
+  /**
+   * Draw training hall walls, obstacles, widest hits and the wall impact
+   * @param {HallAnalysis} analysis - Analysis from getHallAnalysis
+   * @param {Point} origin - Canvas origin
+   * @param {number} scale - Scale factor
+   */
+  const drawHall = ({ hall, reach, impact }, origin, scale) => {
+    const bounds = getHallBounds(hall);
+    const hallColor = "#ffb347";
+
+    ctx.save();
+    ctx.strokeStyle = hallColor;
+    ctx.lineWidth = 3;
+    const farLeft = toCanvas(
+      { x: bounds.left, y: bounds.front },
+      origin,
+      scale,
+    );
+    const nearRight = toCanvas(
+      { x: bounds.right, y: bounds.back },
+      origin,
+      scale,
+    );
+    ctx.strokeRect(
+      farLeft.x,
+      farLeft.y,
+      nearRight.x - farLeft.x,
+      nearRight.y - farLeft.y,
+    );
+
+    ctx.lineWidth = 1;
+    ctx.fillStyle = "rgba(255, 179, 71, 0.35)";
+    getObstacleRects(hall).forEach((rect, index) => {
+      const corner = toCanvas({ x: rect.left, y: rect.front }, origin, scale);
+      const opposite = toCanvas({ x: rect.right, y: rect.back }, origin, scale);
+      ctx.fillRect(
+        corner.x,
+        corner.y,
+        opposite.x - corner.x,
+        opposite.y - corner.y,
+      );
+      ctx.strokeRect(
+        corner.x,
+        corner.y,
+        opposite.x - corner.x,
+        opposite.y - corner.y,
+      );
+      ctx.fillStyle = hallColor;
+      ctx.font = "12px sans-serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(
+        `${index + 1} · ↑ ${formatDistance(rect.height)}`,
+        (corner.x + opposite.x) / 2,
+        (corner.y + opposite.y) / 2,
+      );
+      ctx.fillStyle = "rgba(255, 179, 71, 0.35)";
+    });
+    ctx.restore();
+
+    // Widest hits that still end in the net
+    const launch = toCanvas(store.getState().pitchOffset, origin, scale);
+    ["left", "right"].forEach((side) => {
+      const sideReach = reach?.[side];
+      if (!sideReach?.netPoint) return;
+      const end = toCanvas(sideReach.netPoint, origin, scale);
+      const color = sideReach.reachesSector ? "#4cd964" : hallColor;
+
+      ctx.save();
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(launch.x, launch.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+      ctx.restore();
+
+      const angleText = `${Math.abs(sideReach.maxAngleDeg).toFixed(1)}°`;
+      drawMeasurementLabel(ctx, {
+        text: angleText,
+        x: end.x,
+        y: end.y - 5,
+        textAlign: side === "left" ? "right" : "left",
+        textBaseline: "bottom",
+        color,
+        font: "bold 16px sans-serif",
+        backgroundColor: "rgba(0, 0, 0, 0.6)",
+        padding: 4,
+        tooltipData: {
+          value: angleText,
+          description: translate(
+            "halls.reachTooltip",
+            "Laajin lyöntikulma, jolla pallo osuu verkkoon ennen seinää tai estettä",
+          ),
+        },
+        measurementHitAreas,
+      });
+    });
+
+    // The current hit meets the hall before the net
+    if (!impact || impact.surface === "net" || impact.surface === "floor") {
+      return;
+    }
+    const point = toCanvas(impact.point, origin, scale);
+    const size = 6;
+    ctx.save();
+    ctx.strokeStyle = "#ff6b6b";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(point.x - size, point.y - size);
+    ctx.lineTo(point.x + size, point.y + size);
+    ctx.moveTo(point.x + size, point.y - size);
+    ctx.lineTo(point.x - size, point.y + size);
+    ctx.stroke();
+    ctx.restore();
+
+    const impactText = `${getSurfaceLabel(impact.surface)} · ↑ ${formatDistance(
+      impact.height,
+    )}`;
+    drawMeasurementLabel(ctx, {
+      text: impactText,
+      x: point.x,
+      y: point.y + size + 4,
+      textAlign: "center",
+      textBaseline: "top",
+      color: "#ff6b6b",
+      font: "bold 16px sans-serif",
+      backgroundColor: "rgba(0, 0, 0, 0.6)",
+      padding: 4,
+      tooltipData: {
+        value: impactText,
+        description: translate(
+          "halls.impactTooltip",
+          "Lyönti osuu tähän ennen verkkoa",
+        ),
+      },
+      measurementHitAreas,
+    });
+  };
+
+  /**
+   * Draw reverse mode landing strip with zone labels
+   * @param {LandingStrip} strip - Strip from traceLandingStrip
+   * @param {Point} origin - Canvas origin
+   * @param {number} scale - Scale factor
+   */
+  const drawLandingStrip = (strip, origin, scale) => {
+    const { segments } = strip;
+    if (segments.length > 0) {
+      const start = toCanvas(segments[0].start, origin, scale);
+      const end = toCanvas(segments.at(-1).end, origin, scale);
+      ctx.save();
+      ctx.strokeStyle = "rgba(255, 159, 67, 0.45)";
+      ctx.lineWidth = Math.max(6, 1.5 * scale);
+      ctx.lineCap = "round";
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    segments.forEach((segment) => {
+      const middle = toCanvas(
+        {
+          x: (segment.start.x + segment.end.x) / 2,
+          y: (segment.start.y + segment.end.y) / 2,
+        },
+        origin,
+        scale,
+      );
+      const text = getZoneLabel(segment);
+      drawMeasurementLabel(ctx, {
+        text,
+        x: middle.x + 10,
+        y: middle.y,
+        textAlign: "left",
+        textBaseline: "middle",
+        color: "#ff9f43",
+        font: "bold 16px sans-serif",
+        backgroundColor: "rgba(0, 0, 0, 0.6)",
+        padding: 4,
+        tooltipData: {
+          value: text,
+          description: translate(
+            "landingStrip.tooltip",
+            "Kenttäalue, jonka läpi verkon osumakohdasta jatkettu linja kulkee",
+          ),
+        },
+        measurementHitAreas,
+      });
+    });
+
+    // Impact point on the net
+    const impact = toCanvas(strip.impact, origin, scale);
+    ctx.save();
+    ctx.fillStyle = "#ff9f43";
+    ctx.beginPath();
+    ctx.arc(impact.x, impact.y, Math.max(5, 0.4 * scale), 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  };
+
+  /**
+   * Shade the zone of a hit classification
+   * @param {string} status - Classification status
+   * @param {Object} geometry - Field geometry
+   * @param {Point} origin - Canvas origin
+   * @param {number} scale - Scale factor
+   */
+  const drawHitZone = (status, geometry, origin, scale) => {
+    ctx.save();
+    ctx.globalAlpha = 0.15;
+    ctx.fillStyle = HIT_COLORS[status];
+    ctx.beginPath();
+    getHitZone(status, geometry).forEach((polygon) => {
+      polygon.forEach((point, index) => {
+        const canvasPoint = toCanvas(point, origin, scale);
+        if (index === 0) {
+          ctx.moveTo(canvasPoint.x, canvasPoint.y);
+        } else {
+          ctx.lineTo(canvasPoint.x, canvasPoint.y);
+        }
+      });
+      ctx.closePath();
+    });
+    ctx.fill("evenodd");
+    ctx.restore();
+  };
+
+  /**
+   * Show hit classification, hit angle and sideline margin
+   * @param {HitClassification|null} classification - Null when no aim point
+   */
+  const updateHitBadge = (classification) => {
+    if (!hitCard || !hitBadge || !hitDetails) return;
+    hitCard.hidden = !classification;
+    if (!classification) return;
+
+    const { status, hitAngleDeg, sidelineMargin, nearestSide } = classification;
+    hitBadge.dataset.status = status;
+    hitBadge.textContent = translate(`hit.${status}`, HIT_LABELS[status]);
+
+    const angle = Math.abs(hitAngleDeg).toFixed(1);
+    const angleText =
+      Math.abs(hitAngleDeg) < 0.05
+        ? translate("hit.angleCentre", "Suoraan keskiviivaa pitkin")
+        : translate(
+            hitAngleDeg < 0 ? "hit.angleLeft" : "hit.angleRight",
+            hitAngleDeg < 0
+              ? "{angle}° keskiviivasta vasemmalle"
+              : "{angle}° keskiviivasta oikealle",
+          ).replace("{angle}", angle);
+    let marginFallback;
+    if (nearestSide === "home") {
+      marginFallback = "Kotipesäviivan takana {margin}";
+    } else if (sidelineMargin >= 0) {
+      marginFallback = `${nearestSide === "left" ? "Vasempaan" : "Oikeaan"} sivurajaan {margin}`;
+    } else {
+      marginFallback = `${nearestSide === "left" ? "Vasemman" : "Oikean"} sivurajan yli {margin}`;
+    }
+    const marginText = translate(
+      sidelineMargin >= 0
+        ? `hit.margin.${nearestSide}`
+        : `hit.over.${nearestSide}`,
+      marginFallback,
+    ).replace("{margin}", formatDistance(Math.abs(sidelineMargin)));
+    hitDetails.textContent = `${angleText} · ${marginText}`;
+  };
+
+  /**
+   * Draw side view of the pitch and the hit, and show the net crossing
+   * height below it
+   */
+  const drawElevation = () => {
+    if (!elevationCtx) return;
+    const state = store.getState();
+
+    const width = elevationCanvas.clientWidth || 600;
+    const height = 220;
+    if (elevationCanvas.width !== width) elevationCanvas.width = width;
+    if (elevationCanvas.height !== height) elevationCanvas.height = height;
+
+    const { flight } = simulateCurrentFlight();
+    const net = getCurrentNet();
+    const netCrossing = net ? findNetCrossing(flight, net) : null;
+
+    // Net distance along the hit, also when the ball does not reach it
+    let netDistance = netCrossing?.distance ?? null;
+    const [start, next] = flight.path;
+    if (netDistance === null && net && next) {
+      const hit = intersectNet(net, start, next);
+      netDistance = hit
+        ? Math.hypot(hit.point.x - start.x, hit.point.y - start.y)
+        : null;
+    }
+
+    drawElevationChart(elevationCtx, {
+      width,
+      height,
+      pitchHeight: state.pitchHeight,
+      contactHeight: state.contactHeight,
+      path: projectFlightPath(flight),
+      netDistance,
+      netCrossing,
+      format: formatDistance,
+    });
+
+    if (!netCrossingReadout) return;
+    let text;
+    if (!net) {
+      text = translate(
+        "elevation.noNet",
+        "Syötä verkon etäisyys nähdäksesi ylityskorkeuden",
+      );
+    } else if (netCrossing) {
+      text = translate(
+        "elevation.crossing",
+        "Pallo ylittää verkon linjan {height} korkeudella",
+      ).replace("{height}", formatDistance(netCrossing.height));
+    } else {
+      text = translate("elevation.beforeNet", "Pallo putoaa ennen verkkoa");
+    }
+    const missesNet = Boolean(netCrossing && !netCrossing.isOnNet);
+    if (missesNet) {
+      text += ` · ${translate(
+        "elevation.missesNet",
+        "Lentorata ohittaa verkon pään",
+      )}`;
+    }
+    if (state.pitchHeight < PITCH_RULE_MIN_HEIGHT) {
+      text += ` · ${translate(
+        "elevation.pitchTooLow",
+        "Syöttö ei nouse säännön vaatimaan 1 metriin",
+      )}`;
+    }
+    netCrossingReadout.textContent = text;
+    netCrossingReadout.classList.toggle(
+      "warning",
+      missesNet || state.pitchHeight < PITCH_RULE_MIN_HEIGHT,
+    );
+  };
+
+  /**
+   * Draw simulated flight: ground track and landing point
+   * @param {{flight: BallFlight, status: string}} current - Flight and landing status
+   * @param {Point} origin - Canvas origin
+   * @param {number} scale - Scale factor
+   */
+  const drawFlight = ({ flight, status }, origin, scale) => {
+    const color = LANDING_COLORS[status];
+    const landing = toCanvas(flight.landingPoint, origin, scale);
+
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([8, 6]);
+    ctx.beginPath();
+    flight.path.forEach((point, index) => {
+      const canvasPoint = toCanvas(point, origin, scale);
+      if (index === 0) {
+        ctx.moveTo(canvasPoint.x, canvasPoint.y);
+      } else {
+        ctx.lineTo(canvasPoint.x, canvasPoint.y);
+      }
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Landing mark: ring with a cross
+    const radius = Math.max(6, 0.8 * scale);
+    ctx.beginPath();
+    ctx.arc(landing.x, landing.y, radius, 0, Math.PI * 2);
+    ctx.moveTo(landing.x - radius, landing.y);
+    ctx.lineTo(landing.x + radius, landing.y);
+    ctx.moveTo(landing.x, landing.y - radius);
+    ctx.lineTo(landing.x, landing.y + radius);
+    ctx.stroke();
+    ctx.restore();
+
+    drawMeasurementLabel(ctx, {
+      text: `${formatDistance(flight.carry)} · ${getLandingLabel(status)}`,
+      x: landing.x,
+      y: landing.y - radius - 4,
+      textAlign: "center",
+      textBaseline: "bottom",
+      color,
+      font: "bold 18px sans-serif",
+      backgroundColor: "rgba(0, 0, 0, 0.6)",
+      padding: 4,
+      tooltipData: {
+        value: formatDistance(flight.carry),
+        description: translate(
+          "flight.tooltip",
+          "Simuloitu lentomatka lyöntihetkestä ensimmäiseen maakosketukseen",
+        ),
+      },
+      measurementHitAreas,
+    });
+  };
+
+  /**
+   * Draw the warning for a hit line that misses the net
+   * @param {Point} position - Canvas point above the label
+   * @param {string} description - Why the line misses
+   */
+  const drawNetMiss = (position, description) => {
+    drawMeasurementLabel(ctx, {
+      text: translate("net.missesNet", "Linja ohittaa verkon"),
+      x: position.x,
+      y: position.y + 5,
+      textAlign: "center",
+      textBaseline: "top",
+      color: "#ff6b6b",
+      font: "bold 16px sans-serif",
+      backgroundColor: "rgba(0, 0, 0, 0.6)",
+      padding: 4,
+      tooltipData: {
+        value: translate("net.missesNet", "Linja ohittaa verkon"),
+        description,
+      },
+      measurementHitAreas,
+    });
+  };
+
+  /**
+   * Draw the height to hit on the net for the target landing point
+   * @param {NetAim} aim - Aim from calculateNetAim
+   * @param {Point} netPoint - Where the hit line meets the net
+   * @param {Point} origin - Canvas origin
+   * @param {number} scale - Scale factor
+   */
+  const drawNetAim = (aim, netPoint, origin, scale) => {
+    const point = toCanvas(netPoint, origin, scale);
+    const isReachable = aim.netCrossing !== null;
+    const color = isReachable ? "#ffd166" : "#ff6b6b";
+
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, Math.max(4, 0.3 * scale), 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+
+    const text = isReachable
+      ? `↑ ${formatDistance(aim.netCrossing.height)} · ${aim.launchAngleDeg.toFixed(1)}°`
+      : translate("aim.outOfReach", "Ei ulotu");
+    const description = isReachable
+      ? translate(
+          "aim.tooltip",
+          "Osumakorkeus verkossa ja lähtökulma, joilla pallo putoaa kohdepisteeseen",
+        )
+      : translate(
+          "aim.outOfReachTooltip",
+          "Kohdepiste ei ole tavoitettavissa tällä lähtönopeudella (pisin lento {carry})",
+        ).replace("{carry}", formatDistance(aim.maxCarry));
+
+    drawMeasurementLabel(ctx, {
+      text,
+      x: point.x,
+      y: point.y + 8,
+      textAlign: "center",
+      textBaseline: "top",
+      color,
+      font: "bold 20px sans-serif",
+      backgroundColor: "rgba(0, 0, 0, 0.6)",
+      padding: 4,
+      tooltipData: {
+        value: isReachable ? formatDistance(aim.netCrossing.height) : text,
+        description,
+      },
+      measurementHitAreas,
+    });
   };
 
   /**
@@ -605,6 +1729,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     context.setLineDash([]);
 
     // Calculate ball position
+    const { pitchOffset } = store.getState();
     const ballX = centerX + pitchOffset.x * pixelsPerMeter;
     const ballY = centerY - pitchOffset.y * pixelsPerMeter; // Negative because canvas Y increases downward
 
@@ -657,6 +1782,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     const indicator = document.getElementById("pitchOffsetIndicator");
     if (!indicator) return;
 
+    const { pitchOffset } = store.getState();
     const hasOffset = pitchOffset.x !== 0 || pitchOffset.y !== 0;
     indicator.classList.toggle("active", hasOffset);
   };
@@ -665,7 +1791,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
    * Reset pitch offset to center
    */
   const resetPitchOffset = () => {
-    pitchOffset = { x: 0, y: 0 };
+    store.setState({ pitchOffset: { x: 0, y: 0 } });
     drawPitchPlate(pitchPlateCtx, pitchPlateCanvas);
     drawPitchPlate(pitchPlateCtxMobile, pitchPlateCanvasMobile);
     drawField();
@@ -743,26 +1869,67 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
   window.addEventListener("resize", resizeCanvas);
 
   // Field profile buttons
-  fieldButtons.forEach((button) => {
-    button.addEventListener("click", (event) => {
-      fieldButtons.forEach((btn) => btn.classList.remove("active"));
-      event.currentTarget.classList.add("active");
-
-      const profile =
-        event.currentTarget.dataset.field === "men"
-          ? fieldProfileMen
-          : fieldProfileWomen;
+  /**
+   * Switch to another field profile
+   * @param {FieldProfile} profile - Profile to show
+   */
+  const selectFieldProfile = (profile) => {
+    store.setFieldProfile(profile);
+    resizeCanvas();
+  };
 
-      store.setFieldProfile(profile);
-      resizeCanvas();
+  const renderFieldSelector = () => {
+    renderProfileSelector(fieldSelector, {
+      activeId: store.getState().fieldProfile.id,
+      dataAttribute: "field",
+      onSelect: selectFieldProfile,
     });
-  });
+  };
 
   // Net distance input
   netDistanceInput.addEventListener("input", () => {
     drawField();
   });
 
+  // Net yaw, offset and width; offset and width are entered in cm
+  const syncNetSettings = () => {
+    if (!netYawInput || !netOffsetInput || !netWidthInput) return;
+    const { netYawDeg, netOffset, netWidth } = store.getState();
+    netYawInput.value = netYawDeg;
+    netOffsetInput.value = Math.round(netOffset * 100);
+    netWidthInput.value = netWidth === null ? "" : Math.round(netWidth * 100);
+  };
+
+  if (netYawInput && netOffsetInput && netWidthInput) {
+    syncNetSettings();
+    const updateNetSettings = () => {
+      const yawDeg = parseFloat(netYawInput.value);
+      const offsetCm = parseFloat(netOffsetInput.value);
+      const widthCm = parseFloat(netWidthInput.value);
+      store.setState({
+        netYawDeg: Number.isFinite(yawDeg)
+          ? Math.min(45, Math.max(-45, yawDeg))
+          : 0,
+        netOffset: Number.isFinite(offsetCm) ? offsetCm / 100 : 0,
+        netWidth:
+          Number.isFinite(widthCm) && widthCm > 0 ? widthCm / 100 : null,
+      });
+      drawField();
+    };
+    [netYawInput, netOffsetInput, netWidthInput].forEach((input) =>
+      input.addEventListener("input", updateNetSettings),
+    );
+  }
+
+  // Reverse mode toggle
+  if (reverseModeToggle) {
+    reverseModeToggle.checked = store.getState().reverseMode;
+    reverseModeToggle.addEventListener("change", () => {
+      store.setState({ reverseMode: reverseModeToggle.checked });
+      drawField();
+    });
+  }
+
   // Zoom controls
   const updateZoomDisplay = () => {
     const state = store.getState();
@@ -1025,8 +2192,12 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
 
       // Clamp to allowed range
       const maxOffset = info.maxOffset;
-      pitchOffset.x = Math.max(-maxOffset, Math.min(maxOffset, offsetX));
-      pitchOffset.y = Math.max(-maxOffset, Math.min(maxOffset, offsetY));
+      store.setState({
+        pitchOffset: {
+          x: Math.max(-maxOffset, Math.min(maxOffset, offsetX)),
+          y: Math.max(-maxOffset, Math.min(maxOffset, offsetY)),
+        },
+      });
 
       // Redraw
       drawPitchPlate(context, canvasElement);
@@ -1197,6 +2368,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
 
   // Check if mouse/touch is near the ball
   const isNearBall = (fieldX, fieldY) => {
+    const { ballPosition } = store.getState();
     if (!ballPosition) return false;
     const dx = fieldX - ballPosition.x;
     const dy = fieldY - ballPosition.y;
@@ -1227,6 +2399,22 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
 
     const fieldPos = screenToFieldCoords(clientX, clientY);
 
+    // Taps on the net log a hit on click instead
+    if (state.hitLogging && isNearNet(fieldPos)) return;
+
+    // Reverse mode drags the impact point along the net instead
+    if (state.reverseMode) {
+      if (isNearNet(fieldPos) && setNetImpact(fieldPos)) {
+        isDraggingBall = true;
+        wasDragged = false;
+        if (event.cancelable) {
+          event.preventDefault();
+        }
+        canvas.style.cursor = "grabbing";
+      }
+      return;
+    }
+
     if (isNearBall(fieldPos.x, fieldPos.y)) {
       isDraggingBall = true;
       wasDragged = false;
@@ -1259,7 +2447,11 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     }
 
     const fieldPos = screenToFieldCoords(clientX, clientY);
-    ballPosition = fieldPos;
+    if (store.getState().reverseMode) {
+      setNetImpact(fieldPos);
+      return;
+    }
+    store.setState({ ballPosition: fieldPos });
     drawField();
   };
 
@@ -1306,7 +2498,15 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     }
 
     const fieldPos = screenToFieldCoords(clientX, clientY);
-    ballPosition = fieldPos;
+    if (state.hitLogging) {
+      if (isNearNet(fieldPos)) logNetHit(fieldPos);
+      return;
+    }
+    if (state.reverseMode) {
+      if (isNearNet(fieldPos)) setNetImpact(fieldPos);
+      return;
+    }
+    store.setState({ ballPosition: fieldPos });
     drawField();
   };
 
@@ -1429,6 +2629,7 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
   // Listen for language changes and update unit label
   window.addEventListener("languageChanged", () => {
     updateNetDistanceUnit();
+    drawField();
   });
 
   /**
@@ -1454,8 +2655,56 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
     }
   }
 
-  // Initialize with women's field
-  store.setFieldProfile(fieldProfileWomen);
+  // Initialize with the default field
+  store.setFieldProfile(getFieldProfile(DEFAULT_FIELD_PROFILE_ID));
+  initFieldProfileStorage();
+  renderFieldSelector();
+  window.addEventListener("fieldProfilesChanged", renderFieldSelector);
+
+  // Custom field profile editor
+  initSidePanels();
+  initProfileEditor({
+    getActiveProfile: () => store.getState().fieldProfile,
+    onPreview: (profile) => {
+      store.setFieldProfile(profile);
+      resizeCanvas();
+    },
+    onSave: (profile) => {
+      store.setFieldProfile(profile);
+      registerFieldProfile(profile, { custom: true });
+      resizeCanvas();
+    },
+    onCancel: (profile) => {
+      store.setFieldProfile(profile);
+      resizeCanvas();
+    },
+  });
+  initProfileTransfer({
+    onImport: selectFieldProfile,
+    onDelete: () =>
+      selectFieldProfile(getFieldProfile(DEFAULT_FIELD_PROFILE_ID)),
+  });
+  initFlightPanel({
+    getFlight: getCurrentFlight,
+    onChange: drawField,
+  });
+  initTarpPanel({ getNet: getCurrentNet, getBallAim: getCurrentNetAim });
+  initTargetPanel({
+    getReadouts: getTargetReadouts,
+    format: formatDistance,
+    onChange: drawField,
+  });
+  initHallStorage();
+  initHallPanel({
+    getAnalysis: getHallAnalysis,
+    onChange: drawField,
+  });
+  initHitLogStorage();
+  initHitLogPanel({
+    canLog: () => getIntendedNetHit() !== null,
+    format: formatDistance,
+    onChange: drawField,
+  });
 
   // Draw initial pitch plates
   drawPitchPlate(pitchPlateCtx, pitchPlateCanvas);
@@ -1467,5 +2716,66 @@ import { fieldProfileMen, fieldProfileWomen, store } from "./modules/state.js";
   // Initialize net distance unit
   updateNetDistanceUnit();
 
+  // Undo/redo (a drag on the field or pitch plate is one step)
+  [canvas, pitchPlateCanvas, pitchPlateCanvasMobile].forEach(
+    groupHistoryOnDrag,
+  );
+  initHistoryControls({
+    onRestore: () => {
+      renderFieldSelector();
+      syncNetSettings();
+      drawPitchPlate(pitchPlateCtx, pitchPlateCanvas);
+      drawPitchPlate(pitchPlateCtxMobile, pitchPlateCanvasMobile);
+      updatePitchOffsetIndicator();
+      resizeCanvas();
+    },
+  });
+
   resizeCanvas();
+  store.clearHistory();
+
+  const captureScenario = () =>
+    captureSnapshot(store.getState(), {
+      netDistance: parseFloat(netDistanceInput.value) || null,
+    });
+
+  /**
+   * Apply saved or shared scenario
+   * @param {ScenarioSnapshot} snapshot - Scenario to show
+   * @returns {boolean} False if the scenario could not be used
+   */
+  const applyScenario = (snapshot) => {
+    const updates = snapshotToState(snapshot);
+    if (!updates) return false;
+
+    store.setState(updates);
+    if (Number.isFinite(snapshot.netDistance)) {
+      netDistanceInput.value = snapshot.netDistance;
+    }
+    syncNetSettings();
+
+    renderFieldSelector();
+    drawPitchPlate(pitchPlateCtx, pitchPlateCanvas);
+    drawPitchPlate(pitchPlateCtxMobile, pitchPlateCanvasMobile);
+    updatePitchOffsetIndicator();
+    resizeCanvas();
+    return true;
+  };
+
+  initScenarioStorage();
+  initScenarioLibrary({
+    page: "kulma",
+    capture: captureScenario,
+    apply: applyScenario,
+  });
+
+  // Share links carry profile, net distance and hit setup in the URL hash
+  initShareButton({
+    buildPayload: () => ({
+      v: SHARE_VERSION,
+      page: "kulma",
+      ...captureScenario(),
+    }),
+  });
+  watchSharedScenario("kulma", applyScenario);
 })();
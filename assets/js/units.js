@@ -127,6 +127,32 @@ class UnitSystem {
     return includeUnit ? `${meters.toFixed(2)} m` : meters.toFixed(2);
   }
 
+  /**
+   * Convert square meters to square feet
+   * @param {number} squareMeters - Area in m²
+   * @returns {number} Area in ft²
+   */
+  squareMetersToSquareFeet(squareMeters) {
+    return squareMeters * 10.7639;
+  }
+
+  /**
+   * Format area for display (whole units)
+   * @param {number} squareMeters - Area in m²
+   * @param {boolean} includeUnit - Whether to include unit symbol
+   * @returns {string} Formatted string
+   */
+  formatSquareMeters(squareMeters, includeUnit = true) {
+    if (this.currentUnit === "imperial") {
+      const squareFeet = Math.round(
+        this.squareMetersToSquareFeet(squareMeters),
+      );
+      return includeUnit ? `${squareFeet} ft²` : `${squareFeet}`;
+    }
+    const rounded = Math.round(squareMeters);
+    return includeUnit ? `${rounded} m²` : `${rounded}`;
+  }
+
   /**
    * Format centimeters as feet and inches (e.g., "5 ft 6 in")
    * @param {number} cm - Value in centimeters